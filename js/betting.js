@@ -0,0 +1,305 @@
+/**
+ * Betting Pools
+ * Pari-mutuel wagering - tickets go into pools before the race, the pools close at "GO!"
+ * and are paid out from the finish order once the race is over.
+ *
+ * Horses are identified by lane index (program number - 1) throughout.
+ */
+
+// Every bet type and the pool it goes into - boxed bets share the pool of their straight version
+const BET_TYPES = {
+    win:           { label: 'Win',             pool: 'win',        picks: 1, boxed: false },
+    place:         { label: 'Place',           pool: 'place',      picks: 1, boxed: false },
+    show:          { label: 'Show',            pool: 'show',       picks: 1, boxed: false },
+    exacta:        { label: 'Exacta',          pool: 'exacta',     picks: 2, boxed: false },
+    exactaBox:     { label: 'Exacta Box',      pool: 'exacta',     picks: 2, boxed: true },
+    trifecta:      { label: 'Trifecta',        pool: 'trifecta',   picks: 3, boxed: false },
+    trifectaBox:   { label: 'Trifecta Box',    pool: 'trifecta',   picks: 3, boxed: true },
+    superfecta:    { label: 'Superfecta',      pool: 'superfecta', picks: 4, boxed: false },
+    superfectaBox: { label: 'Superfecta Box',  pool: 'superfecta', picks: 4, boxed: true }
+};
+
+// How many horses in each pool have to finish in the money for it to pay
+const POOL_PLACES = {
+    win: 1,
+    place: 2,
+    show: 3,
+    exacta: 2,
+    trifecta: 3,
+    superfecta: 4
+};
+
+class BettingPools {
+    constructor(options = {}) {
+        // Share of every pool the house keeps before paying winners
+        this.takeout = options.takeout !== undefined ? options.takeout : 0.15;
+        this.minimumBet = options.minimumBet || 1;
+        this.fieldSize = 0;
+        this.reset();
+    }
+    
+    // Throw away all tickets and open fresh pools
+    reset() {
+        this.tickets = [];
+        this.nextTicketId = 1;
+        this.isOpen = true;
+        this.settlement = null;
+    }
+    
+    setFieldSize(fieldSize) {
+        this.fieldSize = fieldSize;
+    }
+    
+    setTakeout(takeout) {
+        if (!Number.isFinite(takeout) || takeout < 0 || takeout >= 1) {
+            throw new Error('Takeout must be between 0% and 99%');
+        }
+        this.takeout = takeout;
+    }
+    
+    close() {
+        this.isOpen = false;
+        console.log(`Betting closed with ${this.tickets.length} tickets`);
+    }
+    
+    // Every ordered combination a ticket covers - one for straight bets, all arrangements for boxes
+    static getCombinations(type, selections) {
+        const betType = BET_TYPES[type];
+        if (!betType.boxed) {
+            return [selections.slice()];
+        }
+        
+        const combinations = [];
+        const build = (current, remaining) => {
+            if (current.length === betType.picks) {
+                combinations.push(current);
+                return;
+            }
+            remaining.forEach((lane, index) => {
+                build(current.concat(lane), remaining.filter((_, i) => i !== index));
+            });
+        };
+        build([], selections);
+        return combinations;
+    }
+    
+    /**
+     * Add a ticket to its pool
+     * @param {Object} bet
+     * @param {string} bet.bettor - Who placed the bet - up to 40 characters, without < > or "
+     * @param {string} bet.type - Key of BET_TYPES
+     * @param {number[]} bet.selections - Lanes, in finishing order for straight exotic bets
+     * @param {number} bet.amount - Stake per combination
+     * @returns {Object} The new ticket
+     */
+    placeBet({ bettor, type, selections, amount }) {
+        if (!this.isOpen) {
+            throw new Error('Betting is closed for this race');
+        }
+        
+        const name = typeof bettor === 'string' ? bettor.trim() : '';
+        if (name.length > 40 || /[<>"]/.test(name)) {
+            throw new Error('Bettor names can be up to 40 characters, without < > or "');
+        }
+        
+        const betType = BET_TYPES[type];
+        if (!betType) {
+            throw new Error(`Unknown bet type "${type}"`);
+        }
+        
+        if (betType.boxed ? selections.length < betType.picks : selections.length !== betType.picks) {
+            throw new Error(`${betType.label} needs ${betType.boxed ? 'at least ' : ''}${betType.picks} horse${betType.picks > 1 ? 's' : ''}`);
+        }
+        if (new Set(selections).size !== selections.length) {
+            throw new Error('The same horse can only be picked once');
+        }
+        if (selections.some(lane => !Number.isInteger(lane) || lane < 0 || lane >= this.fieldSize)) {
+            throw new Error('Pick horses from the current field');
+        }
+        if (betType.picks > this.fieldSize) {
+            throw new Error(`${betType.label} needs at least ${betType.picks} horses in the race`);
+        }
+        if (!Number.isFinite(amount) || amount < this.minimumBet) {
+            throw new Error(`Minimum bet is $${this.minimumBet.toFixed(2)}`);
+        }
+        
+        const combinations = BettingPools.getCombinations(type, selections);
+        const ticket = {
+            id: this.nextTicketId++,
+            bettor: name || 'Anonymous',
+            type,
+            pool: betType.pool,
+            selections: selections.slice(),
+            amount,
+            combinations,
+            cost: amount * combinations.length,
+            payout: null
+        };
+        
+        this.tickets.push(ticket);
+        console.log(`Ticket #${ticket.id}: ${ticket.bettor} bets $${ticket.cost.toFixed(2)} on ${betType.label} ${selections.map(lane => lane + 1).join('-')}`);
+        return ticket;
+    }
+    
+    getPoolTotal(pool) {
+        return this.tickets
+            .filter(ticket => ticket.pool === pool)
+            .reduce((total, ticket) => total + ticket.cost, 0);
+    }
+    
+    // Current tote odds for a horse to win, e.g. 3.5 means 3.5-1 (null if nobody has backed it)
+    getWinOdds(lane) {
+        const stake = this.tickets
+            .filter(ticket => ticket.pool === 'win' && ticket.selections[0] === lane)
+            .reduce((total, ticket) => total + ticket.amount, 0);
+        if (stake === 0) return null;
+        return Math.max(0, (this.getPoolTotal('win') * (1 - this.takeout)) / stake - 1);
+    }
+    
+    // Turn a raw pay-per-dollar into what the tote pays: round down to 5 cents per dollar
+    // (dime breakage on a $2 ticket) and never pay back less than $1.05
+    static applyBreakage(rate) {
+        return Math.max(1.05, Math.floor(rate * 20 + 1e-9) / 20);
+    }
+    
+    // Every finish order consistent with the result, e.g. a dead heat for second gives two exactas
+    static getWinningKeys(finishers, places) {
+        const groups = [];
+        finishers.forEach(finisher => {
+            const group = groups[groups.length - 1];
+            if (group && group.position === finisher.position) {
+                group.lanes.push(finisher.lane);
+            } else {
+                groups.push({ position: finisher.position, lanes: [finisher.lane] });
+            }
+        });
+        
+        const keys = new Set();
+        const build = (current, groupIndex, remaining) => {
+            if (current.length >= places) {
+                keys.add(current.slice(0, places).join('-'));
+                return;
+            }
+            if (remaining.length === 0) {
+                if (groupIndex < groups.length) {
+                    build(current, groupIndex + 1, groups[groupIndex].lanes);
+                }
+                return;
+            }
+            remaining.forEach((lane, index) => {
+                build(current.concat(lane), groupIndex, remaining.filter((_, i) => i !== index));
+            });
+        };
+        build([], 0, []);
+        return Array.from(keys);
+    }
+    
+    /**
+     * Pay out every pool from the finish order
+     * @param {Array<number|Object>} finishers - Lanes in the order they finished, or { lane, position }
+     *     objects in finishing order where dead-heated horses share a position
+     * @returns {Object} Settlement with the pay rate per pool and the payout per ticket
+     */
+    settle(finishers) {
+        this.isOpen = false;
+        
+        finishers = finishers.map((finisher, index) =>
+            typeof finisher === 'number' ? { lane: finisher, position: index + 1 } : finisher);
+        const finishOrder = finishers.map(finisher => finisher.lane);
+        
+        const pools = {};
+        Object.keys(POOL_PLACES).forEach(pool => {
+            pools[pool] = this.settlePool(pool, finishers);
+        });
+        
+        // Every ticket gets back its stake on each winning combination times the pool rate
+        this.tickets.forEach(ticket => {
+            const result = pools[ticket.pool];
+            if (result.refunded) {
+                ticket.payout = ticket.cost;
+                return;
+            }
+            
+            ticket.payout = ticket.combinations.reduce((total, combination) => {
+                const rate = result.rates[combination.join('-')];
+                return total + (rate ? ticket.amount * rate : 0);
+            }, 0);
+        });
+        
+        this.settlement = { finishOrder, finishers, takeout: this.takeout, pools };
+        console.log('Betting settled', this.settlement);
+        return this.settlement;
+    }
+    
+    // Work out the pay rate for every winning combination in a single pool
+    settlePool(pool, finishers) {
+        const places = POOL_PLACES[pool];
+        const tickets = this.tickets.filter(ticket => ticket.pool === pool);
+        const total = tickets.reduce((sum, ticket) => sum + ticket.cost, 0);
+        const net = total * (1 - this.takeout);
+        const result = { total, net, rates: {}, refunded: false };
+        
+        if (total === 0) {
+            return result;
+        }
+        
+        // Not enough finishers to decide the pool - give everyone their money back
+        if (finishers.length < places) {
+            result.refunded = true;
+            return result;
+        }
+        
+        // Stake riding on a given combination key
+        const stakeOn = key => tickets.reduce((sum, ticket) => {
+            const covered = ticket.combinations.filter(combination => combination.join('-') === key).length;
+            return sum + covered * ticket.amount;
+        }, 0);
+        
+        if (pool === 'place' || pool === 'show') {
+            // Place and show: the profit is split evenly between every horse in the money,
+            // which can be more than the usual number when there's a dead heat at the cut-off
+            const inTheMoney = finishers
+                .filter(finisher => finisher.position <= places)
+                .map(finisher => String(finisher.lane));
+            const stakes = inTheMoney.map(stakeOn);
+            const winningStake = stakes.reduce((sum, stake) => sum + stake, 0);
+            if (winningStake === 0) {
+                result.refunded = true;
+                return result;
+            }
+            
+            const paidHorses = stakes.filter(stake => stake > 0).length;
+            const profitShare = (net - winningStake) / paidHorses;
+            inTheMoney.forEach((key, index) => {
+                if (stakes[index] > 0) {
+                    result.rates[key] = BettingPools.applyBreakage(1 + profitShare / stakes[index]);
+                }
+            });
+            return result;
+        }
+        
+        // Win and exotic pools: the net pool goes to the exact winning combination - after a dead heat
+        // the profit is split evenly between every combination that won and was backed
+        const winningKeys = BettingPools.getWinningKeys(finishers, places);
+        const stakes = winningKeys.map(stakeOn);
+        const winningStake = stakes.reduce((sum, stake) => sum + stake, 0);
+        if (winningStake === 0) {
+            result.refunded = true;
+            return result;
+        }
+        
+        const paidKeys = stakes.filter(stake => stake > 0).length;
+        const profitShare = (net - winningStake) / paidKeys;
+        winningKeys.forEach((key, index) => {
+            if (stakes[index] > 0) {
+                result.rates[key] = BettingPools.applyBreakage(1 + profitShare / stakes[index]);
+            }
+        });
+        return result;
+    }
+}
+
+// Allow the pools to be loaded in Node for headless runs
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BettingPools, BET_TYPES };
+}
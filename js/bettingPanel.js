@@ -0,0 +1,190 @@
+/**
+ * Betting Panel
+ * The betting window UI - takes tickets for the scene's BettingPools and shows what they paid
+ */
+class BettingPanel {
+    constructor(scene) {
+        this.scene = scene;
+        this.pools = scene.betting;
+        
+        this.container = document.querySelector('.betting-panel');
+        this.typeSelect = document.getElementById('bet-type');
+        this.selectionsElement = document.getElementById('bet-selections');
+        this.bettorInput = document.getElementById('bettor-name');
+        this.amountInput = document.getElementById('bet-amount');
+        this.takeoutInput = document.getElementById('bet-takeout');
+        this.messageElement = document.getElementById('bet-message');
+        this.ticketsElement = document.getElementById('bet-tickets');
+        
+        if (!this.container) {
+            console.error("Could not find betting panel elements");
+            return;
+        }
+        
+        // Fill the bet type list
+        this.typeSelect.innerHTML = Object.keys(BET_TYPES)
+            .map(type => `<option value="${type}">${BET_TYPES[type].label}</option>`)
+            .join('');
+        
+        this.typeSelect.addEventListener('change', () => this.renderSelections());
+        this.takeoutInput.addEventListener('change', () => this.updateTakeout());
+        document.getElementById('place-bet').addEventListener('click', () => this.placeBet());
+        
+        this.takeoutInput.value = Math.round(this.pools.takeout * 100);
+    }
+    
+    toggle() {
+        if (!this.container) return;
+        this.container.style.display = this.container.style.display === 'flex' ? 'none' : 'flex';
+    }
+    
+    // Rebuild the horse pickers for a new field
+    setField(horses) {
+        this.horses = horses;
+        this.pools.setFieldSize(horses.length);
+        this.renderSelections();
+        this.render();
+    }
+    
+    // Straight bets get one dropdown per finishing position, boxes get a checkbox per horse
+    renderSelections() {
+        if (!this.selectionsElement || !this.horses) return;
+        
+        const betType = BET_TYPES[this.typeSelect.value];
+        const options = this.horses
+            .map(horse => `<option value="${horse.lane}">${horse.lane + 1}. ${horse.name}</option>`)
+            .join('');
+        const positionLabels = ['1st', '2nd', '3rd', '4th'];
+        
+        if (betType.boxed) {
+            this.selectionsElement.innerHTML = this.horses.map(horse => `
+                <label class="bet-box-option">
+                    <input type="checkbox" value="${horse.lane}"> ${horse.lane + 1}. ${horse.name}
+                </label>
+            `).join('');
+        } else {
+            let html = '';
+            for (let i = 0; i < betType.picks; i++) {
+                const label = betType.picks > 1 ? positionLabels[i] : 'Horse';
+                html += `<label class="bet-pick">${label} <select data-pick="${i}">${options}</select></label>`;
+            }
+            this.selectionsElement.innerHTML = html;
+            
+            // Default exotic picks to different horses
+            this.selectionsElement.querySelectorAll('select').forEach((select, index) => {
+                select.selectedIndex = Math.min(index, this.horses.length - 1);
+            });
+        }
+    }
+    
+    readSelections() {
+        if (BET_TYPES[this.typeSelect.value].boxed) {
+            return Array.from(this.selectionsElement.querySelectorAll('input:checked'))
+                .map(input => parseInt(input.value, 10));
+        }
+        return Array.from(this.selectionsElement.querySelectorAll('select'))
+            .map(select => parseInt(select.value, 10));
+    }
+    
+    placeBet() {
+        try {
+            const ticket = this.pools.placeBet({
+                bettor: this.bettorInput.value.trim(),
+                type: this.typeSelect.value,
+                selections: this.readSelections(),
+                amount: parseFloat(this.amountInput.value)
+            });
+            this.showMessage(`Ticket #${ticket.id} accepted - $${ticket.cost.toFixed(2)}`, false);
+        } catch (error) {
+            this.showMessage(error.message, true);
+        }
+        this.render();
+    }
+    
+    updateTakeout() {
+        try {
+            this.pools.setTakeout(parseFloat(this.takeoutInput.value) / 100);
+            this.showMessage(`Takeout set to ${Math.round(this.pools.takeout * 100)}%`, false);
+        } catch (error) {
+            this.takeoutInput.value = Math.round(this.pools.takeout * 100);
+            this.showMessage(error.message, true);
+        }
+        this.render();
+    }
+    
+    showMessage(text, isError) {
+        if (!this.messageElement) return;
+        this.messageElement.textContent = text;
+        this.messageElement.className = isError ? 'bet-message bet-error' : 'bet-message';
+    }
+    
+    describeTicket(ticket) {
+        const betType = BET_TYPES[ticket.type];
+        const picks = ticket.selections.map(lane => lane + 1).join(betType.boxed ? ',' : '-');
+        return `#${ticket.id} ${ticket.bettor}: ${betType.label} ${picks}`;
+    }
+    
+    // Ticket list, pool totals and whether the windows are open
+    render() {
+        if (!this.ticketsElement) return;
+        
+        const status = this.pools.isOpen ? 'Windows open' : (this.pools.settlement ? 'Race official' : 'Betting closed');
+        const poolTotals = ['win', 'place', 'show', 'exacta', 'trifecta', 'superfecta']
+            .map(pool => `<span class="bet-pool">${pool}: $${this.pools.getPoolTotal(pool).toFixed(2)}</span>`)
+            .join('');
+        
+        const tickets = this.pools.tickets.map(ticket => {
+            const payout = ticket.payout === null ? '' :
+                `<span class="${ticket.payout > 0 ? 'bet-paid' : 'bet-lost'}">$${ticket.payout.toFixed(2)}</span>`;
+            return `
+                <div class="bet-ticket">
+                    <span>${this.describeTicket(ticket)} ($${ticket.cost.toFixed(2)})</span>
+                    ${payout}
+                </div>
+            `;
+        }).join('');
+        
+        this.ticketsElement.innerHTML = `
+            <div class="bet-status">${status}</div>
+            <div class="bet-pools">${poolTotals}</div>
+            ${tickets || '<div class="bet-empty">No tickets yet</div>'}
+        `;
+    }
+    
+    // Payout section added to the results panel once the race is official
+    renderSettlement(container) {
+        const settlement = this.pools.settlement;
+        if (!settlement || this.pools.tickets.length === 0) return;
+        
+        const payouts = document.createElement('div');
+        payouts.className = 'bet-payouts';
+        
+        let html = `<h3>Payouts (per $2, ${Math.round(settlement.takeout * 100)}% takeout)</h3>`;
+        Object.keys(settlement.pools).forEach(pool => {
+            const result = settlement.pools[pool];
+            if (result.total === 0) return;
+            
+            if (result.refunded) {
+                html += `<div class="bet-payout-row"><span>${pool}</span><span>Refunded</span></div>`;
+                return;
+            }
+            Object.keys(result.rates).forEach(key => {
+                const horses = key.split('-').map(lane => parseInt(lane, 10) + 1).join('-');
+                html += `<div class="bet-payout-row"><span>${pool} ${horses}</span><span>$${(result.rates[key] * 2).toFixed(2)}</span></div>`;
+            });
+        });
+        
+        html += '<h3>Tickets</h3>';
+        this.pools.tickets.forEach(ticket => {
+            html += `
+                <div class="bet-payout-row">
+                    <span>${this.describeTicket(ticket)}</span>
+                    <span class="${ticket.payout > 0 ? 'bet-paid' : 'bet-lost'}">$${ticket.payout.toFixed(2)}</span>
+                </div>
+            `;
+        });
+        
+        payouts.innerHTML = html;
+        container.appendChild(payouts);
+    }
+}
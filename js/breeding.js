@@ -0,0 +1,163 @@
+/**
+ * Breeding
+ * Foals from two horses in the stable. A foal takes after both parents - its speed, stamina and
+ * acceleration fall somewhere between theirs, its favourite surface and running style come from one
+ * of them and its colour is a mix of the two - with a little mutation on top, so a foal can turn out
+ * better (or worse) than either parent.
+ *
+ * Foals are kept in the stable like any other horse, with the names of their sire and dam, so
+ * a pedigree can be traced back through every generation bred here.
+ */
+
+// How far (as a share) a foal's speed, stamina and acceleration can stray from its parents',
+// and how wide its going preference can stray (0 fast to 1 sloppy)
+const BREEDING_MUTATION = 0.06;
+const BREEDING_GOING_MUTATION = 0.15;
+
+// Chance a foal takes to a surface neither parent liked
+const BREEDING_SURFACE_MUTATION = 0.1;
+
+// Stats never go past these, however well a line is bred - a little beyond a freshly rolled horse
+const BREEDING_LIMITS = {
+    baseSpeed: { min: 1.3, max: 3.8 },
+    stamina: { min: 0.5, max: 1.35 },
+    acceleration: { min: 0.25, max: 0.7 },
+    luckFactor: { min: 0.05, max: 0.25 }
+};
+
+// Generations shown in a pedigree - the horse, its parents and grandparents
+const PEDIGREE_DEPTH = 3;
+
+const Breeding = {
+    /**
+     * A foal's colour and skills - traits aren't included, they follow from the stats (Runner.getTraits)
+     * @param {Object} sire - Stable record of one parent
+     * @param {Object} dam - Stable record of the other
+     * @param {SeededRandom} rng - Random stream for the foal
+     * @returns {Object} { color, skills }
+     */
+    breed(sire, dam, rng) {
+        const inherit = stat => {
+            const limits = BREEDING_LIMITS[stat];
+            const blend = rng.range(0.3, 0.7);
+            const value = (sire.skills[stat] * blend + dam.skills[stat] * (1 - blend)) * (1 + rng.range(-BREEDING_MUTATION, BREEDING_MUTATION));
+            return Math.max(limits.min, Math.min(limits.max, value));
+        };
+        
+        const from = () => rng.next() < 0.5 ? sire.skills : dam.skills;
+        const surfacePreference = rng.next() < BREEDING_SURFACE_MUTATION ?
+            rng.pick(['dirt', 'turf', 'synthetic']) : from().surfacePreference;
+        const parentGoing = (sire.skills.goingPreference + dam.skills.goingPreference) / 2;
+        
+        return {
+            color: this.mixColors(sire.color, dam.color, rng),
+            skills: {
+                baseSpeed: inherit('baseSpeed'),
+                stamina: inherit('stamina'),
+                acceleration: inherit('acceleration'),
+                luckFactor: inherit('luckFactor'),
+                style: from().style,
+                surfacePreference,
+                goingPreference: Math.max(0, Math.min(1, parentGoing + rng.range(-BREEDING_GOING_MUTATION, BREEDING_GOING_MUTATION)))
+            }
+        };
+    },
+    
+    // Somewhere between the parents' colours, channel by channel, e.g. "#A0522D"
+    mixColors(first, second, rng) {
+        const a = parseInt(first.replace('#', ''), 16);
+        const b = parseInt(second.replace('#', ''), 16);
+        let mixed = 0;
+        [16, 8, 0].forEach(shift => {
+            const blend = rng.range(0.25, 0.75);
+            const channel = ((a >> shift) & 0xFF) * blend + ((b >> shift) & 0xFF) * (1 - blend) + rng.range(-16, 16);
+            mixed |= Math.round(Math.max(0, Math.min(255, channel))) << shift;
+        });
+        return '#' + mixed.toString(16).padStart(6, '0').toUpperCase();
+    },
+    
+    /**
+     * A name for the foal made from its parents' - a word from each, or the front of one and the back of the other
+     * @param {string} sireName
+     * @param {string} damName
+     * @param {SeededRandom} rng - Picks between the names that work
+     * @param {string[]} [takenNames] - Names already in the stable or the race history
+     * @returns {string|null} Null if every name the parents give is taken or not allowed
+     */
+    suggestName(sireName, damName, rng, takenNames = []) {
+        const sireWords = sireName.trim().split(/\s+/);
+        const damWords = damName.trim().split(/\s+/);
+        const sireLast = sireWords[sireWords.length - 1];
+        const damLast = damWords[damWords.length - 1];
+        
+        const candidates = [this.blend(sireWords[0], damLast), this.blend(damWords[0], sireLast)];
+        if (sireWords.length > 1 || damWords.length > 1) {
+            candidates.push(`${sireWords[0]} ${damLast}`, `${damWords[0]} ${sireLast}`);
+        }
+        
+        // Names the registry wouldn't accept are passed over (the name packs aren't loaded in Node)
+        const taken = new Set(takenNames.concat(sireName, damName).map(name => name.toLowerCase()));
+        const registrable = name => typeof NamePacks === 'undefined' || !NamePacks.checkName(name);
+        const usable = name => !taken.has(name.toLowerCase()) && registrable(name);
+        const names = candidates.filter((name, index) => candidates.indexOf(name) === index);
+        const free = names.filter(usable);
+        if (free.length > 0) return rng.pick(free);
+        
+        // Every blend is taken - number them like racehorses of the same name, first blend first
+        for (const numeral of ['II', 'III', 'IV', 'V']) {
+            const numbered = names.map(name => `${name} ${numeral}`).find(usable);
+            if (numbered) return numbered;
+        }
+        return null;
+    },
+    
+    // One word from the front of another and the back of a second, without doubling the letter they meet on
+    blend(first, second) {
+        const start = this.front(first);
+        const end = this.back(second).toLowerCase();
+        return start + (start[start.length - 1].toLowerCase() === end[0] ? end.slice(1) : end);
+    },
+    
+    // Start of a word up to the end of a syllable near its middle, e.g. "Secret" from "Secretariat"
+    front(word) {
+        for (let i = Math.floor(word.length / 2); i < word.length - 1; i++) {
+            if (this.isVowel(word[i - 1]) && !this.isVowel(word[i])) return word.slice(0, i + 1);
+        }
+        return word;
+    },
+    
+    // End of a word from the start of a syllable near its middle, e.g. "thentic" from "Authentic"
+    back(word) {
+        for (let i = Math.floor(word.length / 2); i > 0; i--) {
+            if (this.isVowel(word[i - 1]) && !this.isVowel(word[i])) return word.slice(i);
+        }
+        return word;
+    },
+    
+    isVowel(letter) {
+        return /[aeiouy]/i.test(letter);
+    },
+    
+    /**
+     * A horse's family tree from the stable records
+     * @param {function(string): Object} getHorse - Looks a horse up by name, e.g. stable.getHorse
+     * @param {string} name
+     * @param {number} [depth=PEDIGREE_DEPTH] - Generations, counting the horse itself
+     * @returns {Object} { name, color, sire, dam } - parents are trees too, or null if unknown
+     *     (horses that weren't bred here, or have left the stable, are the end of their line)
+     */
+    getPedigree(getHorse, name, depth = PEDIGREE_DEPTH) {
+        const horse = getHorse(name);
+        const tree = { name, color: horse ? horse.color : null, sire: null, dam: null };
+        if (!horse || depth <= 1) return tree;
+        
+        if (horse.sire) tree.sire = this.getPedigree(getHorse, horse.sire, depth - 1);
+        if (horse.dam) tree.dam = this.getPedigree(getHorse, horse.dam, depth - 1);
+        return tree;
+    }
+};
+
+// Allow breeding to be loaded in Node for headless runs
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Breeding, BREEDING_LIMITS, PEDIGREE_DEPTH };
+}
@@ -0,0 +1,142 @@
+/**
+ * Card Panel
+ * Sets up a meet (championship or heats and final) from the horses on the track and shows
+ * the race card with the standings as the meet goes on
+ */
+class CardPanel {
+    constructor(scene) {
+        this.scene = scene;
+        
+        this.container = document.querySelector('.card-panel');
+        this.formatSelect = document.getElementById('card-format');
+        this.racesInput = document.getElementById('card-races');
+        this.heatsInput = document.getElementById('card-heats');
+        this.qualifiersInput = document.getElementById('card-qualifiers');
+        this.autoRunInput = document.getElementById('card-auto-run');
+        this.messageElement = document.getElementById('card-message');
+        this.contentElement = document.getElementById('card-content');
+        
+        if (!this.container) {
+            console.error("Could not find race card elements");
+            return;
+        }
+        
+        this.formatSelect.innerHTML = Object.keys(CARD_FORMATS)
+            .map(format => `<option value="${format}">${CARD_FORMATS[format]}</option>`)
+            .join('');
+        
+        this.formatSelect.addEventListener('change', () => this.updateFormatOptions());
+        document.getElementById('card-start').addEventListener('click', () => this.startMeet());
+        document.getElementById('card-abandon').addEventListener('click', () => this.abandonMeet());
+        
+        this.updateFormatOptions();
+        this.render();
+    }
+    
+    toggle() {
+        if (!this.container) return;
+        this.container.style.display = this.container.style.display === 'flex' ? 'none' : 'flex';
+    }
+    
+    // Only show the settings that apply to the chosen format
+    updateFormatOptions() {
+        const championship = this.formatSelect.value === 'championship';
+        this.racesInput.parentElement.style.display = championship ? '' : 'none';
+        this.heatsInput.parentElement.style.display = championship ? 'none' : '';
+        this.qualifiersInput.parentElement.style.display = championship ? 'none' : '';
+    }
+    
+    // Whether the next race on the card should start by itself once it's loaded
+    isAutoRun() {
+        return this.autoRunInput ? this.autoRunInput.checked : false;
+    }
+    
+    startMeet() {
+        try {
+            this.scene.startMeet({
+                format: this.formatSelect.value,
+                races: parseInt(this.racesInput.value, 10),
+                heats: parseInt(this.heatsInput.value, 10),
+                qualifiers: parseInt(this.qualifiersInput.value, 10)
+            });
+            this.showMessage('', false);
+        } catch (error) {
+            this.showMessage(error.message, true);
+        }
+        this.render();
+    }
+    
+    abandonMeet() {
+        if (!this.scene.raceCard) return;
+        if (!confirm('Abandon the meet? Results so far will be lost.')) return;
+        
+        this.scene.abandonMeet();
+        this.render();
+    }
+    
+    showMessage(text, isError) {
+        if (!this.messageElement) return;
+        this.messageElement.textContent = text;
+        this.messageElement.className = isError ? 'card-message card-error' : 'card-message';
+    }
+    
+    // Race list and standings for the meet in progress
+    render() {
+        if (!this.contentElement) return;
+        
+        const card = this.scene.raceCard;
+        if (!card) {
+            this.contentElement.innerHTML = '<div class="card-empty">No meet running - the horses on the track will make up the card</div>';
+            return;
+        }
+        
+        const races = card.races.map((race, index) => {
+            let status = '';
+            if (race.results) {
+                status = `Won by ${race.results[0].name}`;
+            } else if (index === card.currentRace) {
+                status = 'Next';
+            }
+            return `
+                <div class="card-race${index === card.currentRace ? ' card-race-current' : ''}">
+                    <span>${race.label} (${race.entries.length})</span>
+                    <span>${status}</span>
+                </div>
+            `;
+        }).join('');
+        
+        const champion = card.getChampion();
+        this.contentElement.innerHTML = `
+            <h3>${card.name}</h3>
+            ${champion ? `<div class="card-champion">🏆 Champion: ${champion.name}</div>` : ''}
+            <div class="card-races">${races}</div>
+            <h3>Standings</h3>
+        `;
+        this.renderStandings(this.contentElement);
+    }
+    
+    // Points table - also added to the results panel after every race on the card
+    renderStandings(container) {
+        const card = this.scene.raceCard;
+        if (!card) return;
+        
+        const table = document.createElement('table');
+        table.className = 'card-standings';
+        
+        let html = '<tr><th></th><th>Horse</th><th>Pts</th><th>Wins</th></tr>';
+        card.getStandings().forEach((standing, index) => {
+            const points = Number.isInteger(standing.points) ? standing.points : standing.points.toFixed(1);
+            html += `
+                <tr class="${standing.eliminated ? 'card-eliminated' : ''}">
+                    <td>${index + 1}</td>
+                    <td><span class="horse-color" style="background-color: ${standing.color}"></span>${standing.name}</td>
+                    <td>${points}</td>
+                    <td>${standing.wins}</td>
+                </tr>
+            `;
+        });
+        
+        table.innerHTML = html;
+        container.appendChild(table);
+    }
+}
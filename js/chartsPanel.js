@@ -0,0 +1,94 @@
+/**
+ * Charts Panel
+ * The post-race charts beside the results - pick a chart and a horse to pick out, and save the
+ * chart as SVG or PNG to share
+ */
+
+// PNGs are drawn at this multiple of the chart size so they stay sharp in a chat window
+const CHART_PNG_SCALE = 2;
+
+class ChartsPanel {
+    constructor(scene) {
+        this.scene = scene;
+        this.recording = null;
+        this.svg = null;
+        
+        this.container = document.querySelector('.charts-panel');
+        this.typeSelect = document.getElementById('chart-type');
+        this.horseSelect = document.getElementById('chart-horse');
+        this.contentElement = document.getElementById('chart-content');
+        
+        if (!this.container || !this.typeSelect || !this.horseSelect || !this.contentElement) {
+            console.error("Could not find race chart elements");
+            this.container = null;
+            return;
+        }
+        
+        this.typeSelect.innerHTML = Object.keys(CHART_TYPES)
+            .map(type => `<option value="${type}">${CHART_TYPES[type]}</option>`)
+            .join('');
+        
+        this.typeSelect.addEventListener('change', () => this.render());
+        this.horseSelect.addEventListener('change', () => this.render());
+        document.getElementById('chart-export-svg').addEventListener('click', () => this.exportSvg());
+        document.getElementById('chart-export-png').addEventListener('click', () => this.exportPng());
+    }
+    
+    // Chart a finished race - the winner is picked out to start with
+    show(recording) {
+        if (!this.container || !recording) return;
+        this.recording = recording;
+        
+        const names = {};
+        recording.horses.forEach(horse => {
+            names[horse.lane] = horse.name;
+        });
+        this.horseSelect.innerHTML = recording.results
+            .map(result => `<option value="${result.lane}">${result.position}. ${names[result.lane]}</option>`)
+            .join('');
+        
+        this.container.style.display = 'flex';
+        this.render();
+    }
+    
+    hide() {
+        if (!this.container) return;
+        this.container.style.display = 'none';
+        this.recording = null;
+    }
+    
+    render() {
+        if (!this.recording) return;
+        
+        this.svg = RaceCharts.render(this.typeSelect.value, this.recording, parseInt(this.horseSelect.value, 10));
+        this.contentElement.innerHTML = this.svg;
+    }
+    
+    getFilename(extension) {
+        return `jel-derby-${this.typeSelect.value}-${this.recording.seed || 'race'}.${extension}`;
+    }
+    
+    exportSvg() {
+        if (!this.svg) return;
+        FileUtils.download(this.getFilename('svg'), this.svg, 'image/svg+xml');
+    }
+    
+    // Draw the SVG onto a canvas and save that
+    exportPng() {
+        if (!this.svg) return;
+        
+        const filename = this.getFilename('png');
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = image.width * CHART_PNG_SCALE;
+            canvas.height = image.height * CHART_PNG_SCALE;
+            const context = canvas.getContext('2d');
+            context.scale(CHART_PNG_SCALE, CHART_PNG_SCALE);
+            context.drawImage(image, 0, 0);
+            canvas.toBlob(blob => FileUtils.download(filename, blob, 'image/png'), 'image/png');
+        };
+        image.onerror = () => console.error("Could not draw the chart for a PNG");
+        image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(this.svg);
+    }
+}
@@ -0,0 +1,315 @@
+/**
+ * Race Commentary
+ * Calls the race as it happens - the start, lead changes, the run to the final lap, horses moving
+ * through the field, the simulation's incidents, close finishes and the result. Needs no DOM: lines
+ * go to a callback (the scene shows them on the commentary ticker).
+ *
+ * Each kind of call has several phrasings, dealt out like a shuffled deck so the same words don't
+ * come round again until the others have been used.
+ */
+
+// Phrasings for each kind of call - {name}, {previous}, {second}, {position}, {jockey}, {margin}, {place}, {time}
+const COMMENTARY_PHRASES = {
+    start: [
+        "And they're off!",
+        "They're away and racing!",
+        "The gates open - and they're off!",
+        "They jump from the stalls and we're racing!"
+    ],
+    lead: [
+        "{name} takes the lead!",
+        "{name} hits the front!",
+        "And now it's {name} in front!",
+        "{name} goes past {previous} into the lead!",
+        "{previous} is headed - {name} leads!"
+    ],
+    approachFinal: [
+        "They're coming round to the final lap - {name} still leads",
+        "One more lap after this, and {name} is in charge",
+        "Nearly at the bell, {name} out in front"
+    ],
+    finalLap: [
+        "Final lap! {name} leads from {second}",
+        "The bell rings! It's {name}, {second} second",
+        "One lap to go - {name} in front, {second} chasing"
+    ],
+    movingUp: [
+        "{name} is flying up the field - now {position}!",
+        "Here comes {name}, up to {position}!",
+        "{name} is picking them off, {position} now",
+        "Watch {name} - up to {position} and still coming"
+    ],
+    burst: [
+        "{name} finds a burst of speed!",
+        "{name} finds another gear!",
+        "A real turn of foot from {name}!"
+    ],
+    comeback: [
+        "{name} is making a comeback effort!",
+        "Don't write off {name} - fighting back!",
+        "{name} refuses to give in!"
+    ],
+    surge: [
+        "{name} gets a surge of energy!",
+        "{name} comes again!",
+        "New life in {name}!"
+    ],
+    move: [
+        "{name} makes a move!",
+        "{name} is on the move!",
+        "{name} starts to improve!"
+    ],
+    'ease-pace': [
+        "{name} eases the pace slightly in front",
+        "{name} takes a breather out in front",
+        "{name} steadies things up front"
+    ],
+    'boxed-in': [
+        "{name} is boxed in - nowhere to go!",
+        "Trouble for {name}, no room at all!",
+        "{name} is stuck in traffic!"
+    ],
+    'swing-out': [
+        "{name} swings wide looking for room",
+        "{name} pulls out for a run",
+        "{name} goes round the outside"
+    ],
+    whip: [
+        "{jockey} goes for the whip on {name}",
+        "{jockey} gets serious on {name}",
+        "Out comes the whip - {jockey} asks {name} for everything"
+    ],
+    'front-runner': [
+        "{name} is starting to tire",
+        "{name} is beginning to feel it up front",
+        "The early pace is telling on {name}"
+    ],
+    stalker: [
+        "{name} moves up to challenge",
+        "{name} throws down a challenge",
+        "{name} comes off the pace to challenge"
+    ],
+    closer: [
+        "{name} launches a late run!",
+        "Here comes {name} from off the pace!",
+        "{name} is finishing fast!"
+    ],
+    winner: [
+        "{name} crosses the line first!",
+        "{name} wins it!",
+        "And it's {name}!"
+    ],
+    closeFinish: [
+        "It's close! {name} just fails - {margin}!",
+        "Inches in it! {name} beaten a {margin}!",
+        "{name} so close - just a {margin} behind at the line!"
+    ],
+    deadHeat: [
+        "Dead heat! {previous} and {name} can't be split for {place}!",
+        "They can't be separated - a dead heat for {place} between {previous} and {name}!"
+    ],
+    closePlace: [
+        "A tight one for {place} - {previous} holds off {name}",
+        "{previous} just keeps {place} from {name}"
+    ],
+    result: [
+        "The result: {name}, then {second}, then {position}. Winning time {time}",
+        "Official: {name} wins, {second} second, {position} third, in {time}"
+    ]
+};
+
+// Incidents the simulation reports that get called - the rest are left to the race log
+const COMMENTARY_INCIDENTS = ['burst', 'comeback', 'surge', 'move', 'catch-up', 'ease-pace', 'boxed-in', 'swing-out', 'whip', 'style-move'];
+
+// Quiet time (ms of race time) before the next ordinary call, and before the same horse is mentioned again
+const COMMENTARY_GAP = 1500;
+const COMMENTARY_HORSE_GAP = 6000;
+
+// How often positions are compared to spot horses coming through the field, and how many places counts
+const COMMENTARY_SAMPLE_INTERVAL = 2000;
+const COMMENTARY_PLACES_GAINED = 3;
+
+// Margin (lengths) that makes a finish worth calling close
+const COMMENTARY_CLOSE_LENGTHS = 0.3;
+
+class RaceCommentator {
+    /**
+     * @param {Function} onLine - Called with { text, time, important } for every call
+     */
+    constructor(onLine) {
+        this.onLine = onLine;
+        this.reset();
+    }
+    
+    // Forget the last race
+    reset(rng = null) {
+        this.rng = rng;
+        this.decks = {};
+        this.lastCallTime = -Infinity;
+        this.lastMentioned = {};
+        this.leader = null;
+        this.calledApproach = false;
+        this.calledFinalLap = false;
+        this.positionSamples = [];
+        this.nextSampleTime = COMMENTARY_SAMPLE_INTERVAL;
+    }
+    
+    /**
+     * The gates are open
+     * @param {SeededRandom} rng - Side stream for choosing phrasings, so calling the race never shifts it
+     */
+    start(rng) {
+        this.reset(rng);
+        this.call('start', {}, 0, true);
+    }
+    
+    // Look over the race after each step - lead changes, laps and horses coming through
+    update(simulation) {
+        // Once the winner is home the finish calls take over
+        if (!this.rng || !simulation.running || simulation.finishedRunners.length > 0) return;
+        
+        const standings = simulation.standings;
+        if (standings.length === 0) return;
+        const time = simulation.elapsed;
+        const leader = standings[0];
+        
+        // Only call a new leader once it's properly in front, not for a stride of the nose -
+        // and keep trying until the call goes out, a lead change matters more than a horse's last mention
+        if (leader !== this.leader) {
+            const second = standings[1];
+            const clear = !second || leader.distance - second.distance > simulation.horseLength * 0.25;
+            if (!this.leader) {
+                this.leader = leader;
+            } else if (clear && this.call('lead', { name: leader.name, previous: this.leader.name }, time, false)) {
+                this.leader = leader;
+                this.lastMentioned[leader.name] = time;
+            }
+        }
+        
+        // Coming round to the bell, then the bell itself
+        const totalLaps = simulation.totalLaps;
+        if (totalLaps > 1) {
+            const lapPosition = ((leader.distance + simulation.startOffset) % simulation.trackLength) / simulation.trackLength;
+            if (!this.calledApproach && leader.currentLap === totalLaps - 1 && lapPosition > 0.8) {
+                this.calledApproach = true;
+                this.call('approachFinal', { name: leader.name }, time, true);
+            }
+            if (!this.calledFinalLap && leader.currentLap === totalLaps) {
+                this.calledFinalLap = true;
+                this.calledApproach = true;
+                this.call('finalLap', { name: leader.name, second: standings[1] ? standings[1].name : 'the rest' }, time, true);
+            }
+        }
+        
+        // Horses making up ground - compared with where they were two samples ago
+        if (time >= this.nextSampleTime) {
+            this.nextSampleTime = time + COMMENTARY_SAMPLE_INTERVAL;
+            const sample = new Map(standings.map((runner, index) => [runner, index]));
+            const earlier = this.positionSamples.length >= 2 ? this.positionSamples[this.positionSamples.length - 2] : null;
+            if (earlier) {
+                standings.forEach((runner, index) => {
+                    const before = earlier.get(runner);
+                    if (index > 0 && before !== undefined && before - index >= COMMENTARY_PLACES_GAINED) {
+                        this.call('movingUp', { name: runner.name, position: RaceCommentator.ordinal(index + 1) }, time, false, runner);
+                    }
+                });
+            }
+            this.positionSamples = this.positionSamples.concat([sample]).slice(-2);
+        }
+    }
+    
+    // An 'incident' from the simulation
+    incident({ runner, type, time }) {
+        if (!this.rng || COMMENTARY_INCIDENTS.indexOf(type) === -1 || runner.finished) return;
+        
+        // A running style's move is called in its own words, catching up is just a move
+        const kind = type === 'style-move' ? runner.style : (type === 'catch-up' ? 'move' : type);
+        if (!COMMENTARY_PHRASES[kind]) return;
+        
+        const jockey = runner.jockey ? runner.jockey.name : 'The jockey';
+        this.call(kind, { name: runner.name, jockey }, time, false, runner);
+    }
+    
+    // A horse has been placed - the winner, and anything close at the front
+    finish(runner, simulation) {
+        if (!this.rng) return;
+        
+        const ahead = simulation.finishedRunners[simulation.finishedRunners.indexOf(runner) - 1];
+        const place = RaceCommentator.ordinal(runner.position);
+        if (runner.deadHeat && ahead && ahead.position === runner.position) {
+            this.call('deadHeat', { name: runner.name, previous: ahead.name, place }, runner.finishTime, true);
+        } else if (runner.position === 1) {
+            this.call('winner', { name: runner.name }, runner.finishTime, true);
+        } else if (ahead && runner.marginLengths < COMMENTARY_CLOSE_LENGTHS) {
+            const margin = simulation.constructor.describeMargin(runner.marginLengths, false);
+            if (runner.position === 2) {
+                this.call('closeFinish', { name: runner.name, margin }, runner.finishTime, true);
+            } else if (runner.position <= 4) {
+                this.call('closePlace', { name: runner.name, previous: ahead.name, place: RaceCommentator.ordinal(ahead.position) },
+                    runner.finishTime, true);
+            }
+        }
+    }
+    
+    // Every horse is home - read out the first three
+    complete(finishers) {
+        if (!this.rng || finishers.length === 0) return;
+        
+        const name = index => finishers[index] ? finishers[index].name : '-';
+        this.call('result', {
+            name: name(0),
+            second: name(1),
+            position: name(2),
+            time: `${(finishers[0].finishTime / 1000).toFixed(2)}s`
+        }, finishers[finishers.length - 1].finishTime, true);
+        this.rng = null;
+    }
+    
+    // Say something - ordinary calls wait their turn, important ones always go out. Returns whether it was said
+    call(kind, values, time, important, runner = null) {
+        if (!important) {
+            if (time - this.lastCallTime < COMMENTARY_GAP) return false;
+            if (runner && time - (this.lastMentioned[runner.name] || -Infinity) < COMMENTARY_HORSE_GAP) return false;
+        }
+        
+        this.lastCallTime = time;
+        if (runner) {
+            this.lastMentioned[runner.name] = time;
+        }
+        const text = this.nextPhrase(kind).replace(/\{(\w+)\}/g, (match, key) => values[key] !== undefined ? values[key] : match);
+        this.onLine({ text, time, important });
+        return true;
+    }
+    
+    // Next phrasing from this kind's deck - reshuffled once it runs out, never starting with the one just used
+    nextPhrase(kind) {
+        const phrases = COMMENTARY_PHRASES[kind];
+        let deck = this.decks[kind];
+        if (!deck || deck.order.length === 0) {
+            const order = phrases.map((phrase, index) => index);
+            for (let i = order.length - 1; i > 0; i--) {
+                const j = this.rng.int(i + 1);
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+            if (deck && order.length > 1 && order[0] === deck.last) {
+                order.push(order.shift());
+            }
+            deck = this.decks[kind] = { order, last: deck ? deck.last : null };
+        }
+        
+        deck.last = deck.order.shift();
+        return phrases[deck.last];
+    }
+    
+    // 1st, 2nd, 3rd, 4th... 11th, 12th, 13th... 21st
+    static ordinal(number) {
+        const tens = number % 100;
+        const suffix = tens >= 11 && tens <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th');
+        return `${number}${suffix}`;
+    }
+}
+
+// Allow the commentator to be loaded in Node for headless runs
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RaceCommentator, COMMENTARY_PHRASES };
+}
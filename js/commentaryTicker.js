@@ -0,0 +1,53 @@
+/**
+ * Commentary Ticker
+ * The race call across the bottom of the screen - the latest line large enough to read from the
+ * back of the room, with the last few calls under it
+ */
+
+// Earlier calls kept under the latest one
+const TICKER_HISTORY_LINES = 3;
+
+class CommentaryTicker {
+    constructor(scene) {
+        this.scene = scene;
+        this.lines = [];
+        
+        this.container = document.querySelector('.commentary-ticker');
+        this.lineElement = document.getElementById('commentary-line');
+        this.historyElement = document.getElementById('commentary-history');
+        
+        if (!this.container || !this.lineElement || !this.historyElement) {
+            console.error("Could not find commentary ticker elements");
+            this.container = null;
+        }
+    }
+    
+    // A new call from the commentator ({ text, time, important })
+    show(line) {
+        console.log(`Commentary: ${line.text}`);
+        this.lines.push(line);
+        if (!this.container) return;
+        
+        this.container.style.display = 'block';
+        this.lineElement.textContent = line.text;
+        this.lineElement.classList.toggle('commentary-important', line.important);
+        
+        // Restart the slide-in for the new line
+        this.lineElement.classList.remove('commentary-new');
+        void this.lineElement.offsetWidth;
+        this.lineElement.classList.add('commentary-new');
+        
+        this.historyElement.innerHTML = this.lines.slice(-TICKER_HISTORY_LINES - 1, -1).reverse()
+            .map(earlier => `<div class="commentary-earlier">${earlier.text}</div>`)
+            .join('');
+    }
+    
+    clear() {
+        this.lines = [];
+        if (!this.container) return;
+        
+        this.container.style.display = 'none';
+        this.lineElement.textContent = '';
+        this.historyElement.innerHTML = '';
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * Race Conditions
+ * Race-day surface, going and weather. Each race is run on a surface (dirt, turf or synthetic) with a
+ * going from fast to sloppy, under some weather - picked in the setup panel or drawn from the seed.
+ *
+ * The simulation only sees plain numbers from getRaceEffects(), so it runs the same in Node:
+ *     surface: key of TRACK_SURFACES - horses that prefer it run a little better
+ *     softness: 0 (fast) to 1 (sloppy) - compared with each horse's going preference
+ *     preference: how much the going preference matters (synthetic tracks drain well and ride much the same)
+ *     speed: multiplier on every horse's speed
+ *     stamina: multiplier on every horse's stamina - heavy ground and heat tire horses sooner
+ *     luck: multiplier on the random speed wobble - slippery ground is less predictable
+ *     leaderDrag: speed the leader loses running into the wind with nobody to tuck in behind
+ */
+const TRACK_SURFACES = {
+    dirt: { name: 'Dirt', color: 0xd2b48c, wetColor: 0x6b4f32, speed: 1 },
+    turf: { name: 'Turf', color: 0x5da343, wetColor: 0x2f5a22, speed: 1.02 },
+    synthetic: { name: 'Synthetic', color: 0x9c6b4e, wetColor: 0x5e3e2c, speed: 1, preference: 0.4 }
+};
+
+const TRACK_GOINGS = {
+    fast: { name: 'Fast', softness: 0, speed: 1.03, stamina: 1 },
+    good: { name: 'Good', softness: 0.25, speed: 1, stamina: 1 },
+    soft: { name: 'Soft', softness: 0.5, speed: 0.96, stamina: 0.95 },
+    muddy: { name: 'Muddy', softness: 0.75, speed: 0.93, stamina: 0.91, luck: 1.2 },
+    sloppy: { name: 'Sloppy', softness: 1, speed: 0.91, stamina: 0.88, luck: 1.4 }
+};
+
+// weight: how often the weather turns up when it's left to chance
+const RACE_WEATHER = {
+    clear: { name: 'Clear', weight: 6 },
+    rain: { name: 'Rain', weight: 2, speed: 0.99, luck: 1.2 },
+    wind: { name: 'Wind', weight: 2, leaderDrag: 0.02 },
+    heat: { name: 'Heat', weight: 1, stamina: 0.93 }
+};
+
+// Setting for any of surface, going or weather that leaves it to the seed
+const RANDOM_CONDITION = 'random';
+
+const RaceConditions = {
+    /**
+     * Turn the chosen settings into the race's conditions, drawing anything left random
+     * @param {Object} settings - { surface, going, weather }, each a key or 'random'
+     * @param {SeededRandom} rng - Random stream for the draw
+     * @returns {Object} { surface, going, weather } keys
+     */
+    resolve(settings, rng) {
+        const pick = (table, value) => value && value !== RANDOM_CONDITION ? value : rng.pick(Object.keys(table));
+        
+        let weather = settings.weather;
+        if (!weather || weather === RANDOM_CONDITION) {
+            const total = Object.keys(RACE_WEATHER).reduce((sum, key) => sum + RACE_WEATHER[key].weight, 0);
+            let roll = rng.next() * total;
+            weather = Object.keys(RACE_WEATHER).find(key => (roll -= RACE_WEATHER[key].weight) < 0) || 'clear';
+        }
+        
+        // Rain softens the ground, so a wet day isn't drawn a fast track
+        let going = settings.going;
+        if (!going || going === RANDOM_CONDITION) {
+            const goings = Object.keys(TRACK_GOINGS).filter(key => weather !== 'rain' || TRACK_GOINGS[key].softness >= 0.5);
+            going = rng.pick(goings);
+        }
+        
+        return this.validate({ surface: pick(TRACK_SURFACES, settings.surface), going, weather });
+    },
+    
+    // Check every condition is one we know - throws an Error naming the first that isn't
+    validate(conditions) {
+        if (!TRACK_SURFACES[conditions.surface]) {
+            throw new Error(`Unknown track surface "${conditions.surface}"`);
+        }
+        if (!TRACK_GOINGS[conditions.going]) {
+            throw new Error(`Unknown going "${conditions.going}"`);
+        }
+        if (!RACE_WEATHER[conditions.weather]) {
+            throw new Error(`Unknown weather "${conditions.weather}"`);
+        }
+        return conditions;
+    },
+    
+    // The numbers the simulation races with (see the top of this file)
+    getRaceEffects(conditions) {
+        const surface = TRACK_SURFACES[conditions.surface];
+        const going = TRACK_GOINGS[conditions.going];
+        const weather = RACE_WEATHER[conditions.weather];
+        
+        return {
+            surface: conditions.surface,
+            softness: going.softness,
+            preference: surface.preference !== undefined ? surface.preference : 1,
+            speed: surface.speed * going.speed * (weather.speed || 1),
+            stamina: going.stamina * (weather.stamina || 1),
+            luck: (going.luck || 1) * (weather.luck || 1),
+            leaderDrag: weather.leaderDrag || 0
+        };
+    },
+    
+    // Colour of the racing surface - darker the wetter it is
+    getSurfaceColor(conditions) {
+        const surface = TRACK_SURFACES[conditions.surface];
+        const wetness = Math.max(0, TRACK_GOINGS[conditions.going].softness - 0.25) / 0.75;
+        const mix = shift => {
+            const dry = (surface.color >> shift) & 0xFF;
+            const wet = (surface.wetColor >> shift) & 0xFF;
+            return Math.round(dry + (wet - dry) * wetness) << shift;
+        };
+        return mix(16) | mix(8) | mix(0);
+    },
+    
+    // e.g. "Turf, Good - Rain"
+    describe(conditions) {
+        return `${TRACK_SURFACES[conditions.surface].name}, ${TRACK_GOINGS[conditions.going].name} - ${RACE_WEATHER[conditions.weather].name}`;
+    },
+    
+    // What a horse likes, e.g. "Turf, likes it soft"
+    describePreferences(runner) {
+        const surface = TRACK_SURFACES[runner.surfacePreference];
+        if (!surface) return '';
+        
+        const going = runner.goingPreference < 0.35 ? 'likes it fast' : (runner.goingPreference > 0.65 ? 'likes it soft' : 'any going');
+        return `${surface.name}, ${going}`;
+    }
+};
+
+// Allow the conditions to be loaded in Node for headless runs
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RaceConditions, TRACK_SURFACES, TRACK_GOINGS, RACE_WEATHER, RANDOM_CONDITION };
+}
@@ -0,0 +1,36 @@
+/**
+ * File Utilities
+ * Saving and loading files from the browser for replays, results and other exports
+ */
+const FileUtils = {
+    // Offer some text (or a Blob, e.g. an image) to the user as a file download
+    download(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType || 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        // Give the browser a moment to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        console.log(`Saved ${filename}`);
+    },
+    
+    downloadJson(filename, data) {
+        this.download(filename, JSON.stringify(data, null, 2), 'application/json');
+    },
+    
+    // Read a file picked in an <input type="file"> as text
+    readText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+            reader.readAsText(file);
+        });
+    }
+};
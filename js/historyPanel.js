@@ -0,0 +1,217 @@
+/**
+ * History Panel
+ * Browse every race run on this machine - the win leaderboard, fastest times per distance, the
+ * races a horse has run in and how it has done against a rival - and move the history between
+ * machines with export and import
+ */
+
+// Races listed at once, newest first
+const HISTORY_RACES_SHOWN = 30;
+const HISTORY_LEADERBOARD_SIZE = 10;
+
+class HistoryPanel {
+    constructor(scene) {
+        this.scene = scene;
+        this.history = scene.raceHistory;
+        
+        this.container = document.querySelector('.history-panel');
+        this.horseSelect = document.getElementById('history-horse');
+        this.rivalSelect = document.getElementById('history-rival');
+        this.fileInput = document.getElementById('history-file');
+        this.messageElement = document.getElementById('history-message');
+        this.contentElement = document.getElementById('history-content');
+        
+        if (!this.container) {
+            console.error("Could not find race history elements");
+            return;
+        }
+        
+        this.horseSelect.addEventListener('change', () => this.render());
+        this.rivalSelect.addEventListener('change', () => this.render());
+        document.getElementById('clear-history').addEventListener('click', () => this.clearHistory());
+        document.getElementById('export-history').addEventListener('click', () => this.exportHistory());
+        document.getElementById('import-history').addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => this.importHistory());
+        
+        // Show the saved races once they've been read from the database
+        this.history.ready.then(() => this.render());
+    }
+    
+    toggle() {
+        if (!this.container) return;
+        this.container.style.display = this.container.style.display === 'flex' ? 'none' : 'flex';
+        this.render();
+    }
+    
+    showMessage(text, isError) {
+        if (!this.messageElement) return;
+        this.messageElement.textContent = text;
+        this.messageElement.className = isError ? 'roster-message roster-error' : 'roster-message';
+    }
+    
+    clearHistory() {
+        if (!confirm('Delete every race in the history? Export it first if you want to keep it.')) return;
+        
+        this.history.clear();
+        this.showMessage('', false);
+        this.render();
+    }
+    
+    exportHistory() {
+        FileUtils.download('jel-derby-history.json', this.history.toJson(), 'application/json');
+    }
+    
+    importHistory() {
+        const file = this.fileInput.files[0];
+        if (!file) return;
+        
+        FileUtils.readText(file)
+            .then(text => this.history.importJson(text))
+            .then(added => {
+                this.showMessage(`Added ${added} races from ${file.name}`, false);
+                this.render();
+            })
+            .catch(error => {
+                console.error("Could not import race history:", error);
+                this.showMessage(error.message, true);
+            })
+            .finally(() => {
+                // Allow the same file to be picked again once it's been fixed
+                this.fileInput.value = '';
+            });
+    }
+    
+    // Refill a horse picker, keeping the choice if that horse is still there
+    fillSelect(select, names, emptyLabel) {
+        const chosen = select.value;
+        select.innerHTML = `<option value="">${emptyLabel}</option>` +
+            names.map(name => `<option value="${name}">${name}</option>`).join('');
+        select.value = names.includes(chosen) ? chosen : '';
+        return select.value || null;
+    }
+    
+    render() {
+        if (!this.contentElement) return;
+        
+        const names = this.history.getHorseNames();
+        const horse = this.fillSelect(this.horseSelect, names, 'All horses');
+        const rival = this.fillSelect(this.rivalSelect, names.filter(name => name !== horse), 'No rival');
+        this.rivalSelect.disabled = !horse;
+        
+        if (this.history.races.length === 0) {
+            this.contentElement.innerHTML = '<div class="stable-empty">No races in the history yet</div>';
+            return;
+        }
+        
+        let html = '';
+        if (horse) {
+            html += this.renderHorse(horse, rival);
+        } else {
+            html += this.renderLeaderboard();
+        }
+        html += this.renderFastestTimes();
+        html += this.renderRaces(horse);
+        this.contentElement.innerHTML = html;
+    }
+    
+    // One horse's record, and against the rival if one is picked
+    renderHorse(horse, rival) {
+        const record = this.history.getLeaderboard().find(entry => entry.name === horse);
+        let html = `
+            <h3 class="history-title">${horse}</h3>
+            <div class="history-row">
+                <span title="Starts: wins-places-shows">${HistoryPanel.describeRecord(record)}</span>
+                <span>${HistoryPanel.describeStrikeRate(record)} wins</span>
+            </div>
+        `;
+        
+        if (rival) {
+            const headToHead = this.history.getHeadToHead(horse, rival);
+            const ties = headToHead.ties > 0 ? `, ${headToHead.ties} dead heat${headToHead.ties === 1 ? '' : 's'}` : '';
+            html += headToHead.races === 0 ?
+                `<div class="history-row">Never met ${rival}</div>` :
+                `<div class="history-row history-head-to-head">
+                    <span>v ${rival}: ${headToHead.races} race${headToHead.races === 1 ? '' : 's'}</span>
+                    <span>ahead ${headToHead.first} - ${headToHead.second} behind${ties}</span>
+                </div>`;
+        }
+        return html;
+    }
+    
+    renderLeaderboard() {
+        const rows = this.history.getLeaderboard().slice(0, HISTORY_LEADERBOARD_SIZE).map((record, index) => `
+            <div class="history-row">
+                <span class="history-name">${index + 1}. ${record.name}</span>
+                <span title="Starts: wins-places-shows">${HistoryPanel.describeRecord(record)}</span>
+                <span title="Strike rate">${HistoryPanel.describeStrikeRate(record)}</span>
+            </div>
+        `).join('');
+        return `<h3 class="history-title">Leaderboard</h3>${rows}`;
+    }
+    
+    renderFastestTimes() {
+        const rows = this.history.getFastestTimes().map(best => `
+            <div class="history-row">
+                <span>${HistoryPanel.describeDistance(best)}</span>
+                <span class="history-name">${best.name}</span>
+                <span>${(best.finishTime / 1000).toFixed(3)}s</span>
+            </div>
+        `).join('');
+        return `<h3 class="history-title">Fastest Times</h3>${rows}`;
+    }
+    
+    // Newest races first - each opens up to show the full finishing order
+    renderRaces(horse) {
+        const races = this.history.getRaces(horse);
+        const rows = races.slice(0, HISTORY_RACES_SHOWN).map(race => {
+            const winner = race.results[0];
+            const placing = horse ? race.results.find(result => result.name === horse) : null;
+            const headline = placing ?
+                `${horse} ${RaceCommentator.ordinal(placing.position)}` :
+                `${winner.name} ${(winner.finishTime / 1000).toFixed(2)}s`;
+            const conditions = race.conditions ? ` - ${RaceConditions.describe(race.conditions)}` : '';
+            const balance = race.balance ? `, ${race.balance.name} balance` : '';
+            const seed = race.seed ? `<div class="history-detail">Seed: ${race.seed}</div>` : '';
+            const order = race.results.map(result => `
+                <div class="history-row${result.name === horse ? ' history-highlight' : ''}">
+                    <span>${result.position}. ${result.name}${result.jockey ? ` (${result.jockey})` : ''}</span>
+                    <span>${(result.finishTime / 1000).toFixed(3)}s</span>
+                </div>
+            `).join('');
+            
+            return `
+                <details class="history-race">
+                    <summary>
+                        <span class="history-date">${new Date(race.savedAt).toLocaleString()}</span>
+                        ${headline}
+                    </summary>
+                    <div class="history-detail">${race.race ? `${race.race}, ` : ''}${HistoryPanel.describeDistance(race)}${conditions}${balance}</div>
+                    ${seed}
+                    ${order}
+                </details>
+            `;
+        }).join('');
+        
+        const more = races.length > HISTORY_RACES_SHOWN ?
+            `<div class="stable-empty">and ${races.length - HISTORY_RACES_SHOWN} older races</div>` : '';
+        return `<h3 class="history-title">Races (${races.length})</h3>${rows}${more}`;
+    }
+    
+    // Whole laps as laps, anything else in furlongs
+    static describeDistance({ raceDistance, trackLength }) {
+        const laps = raceDistance / trackLength;
+        if (Math.abs(laps - Math.round(laps)) < 1e-9) {
+            return `${Math.round(laps)} lap${Math.round(laps) === 1 ? '' : 's'}`;
+        }
+        return `${+(laps * FURLONGS_PER_LAP).toFixed(1)}f`;
+    }
+    
+    // e.g. "12: 3-2-1"
+    static describeRecord(record) {
+        return `${record.starts}: ${record.wins}-${record.places}-${record.shows}`;
+    }
+    
+    static describeStrikeRate(record) {
+        return `${Math.round(record.wins / record.starts * 100)}%`;
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * Jockeys
+ * The riders - a fixed weighing room of jockeys, each with their own way of riding, booked onto the
+ * field before every race. Their career records are kept in localStorage next to the stable.
+ *
+ * skill: 0 to 1 - getting away from the gate and judging the pace
+ * weight: kg carried - a heavier rider slows the horse a touch
+ * aggression: 0 to 1 - how often they ask the horse for a move, and how hard they push the pace
+ * whipTiming: share of the race run when they go for the whip
+ *
+ * Stored as JSON: { version: 1, jockeys: [{ name, career: { rides, wins, places, shows, earnings } }] }
+ */
+const JOCKEY_STORAGE_KEY = 'jel-derby-jockeys';
+const JOCKEY_VERSION = 1;
+
+// Share of each horse's prize money that goes to its jockey
+const JOCKEY_PURSE_SHARE = 0.1;
+
+const JOCKEYS = [
+    { name: 'Rosa Delgado',     skill: 0.92, weight: 52, aggression: 0.55, whipTiming: 0.85 },
+    { name: 'Tom Whitaker',     skill: 0.88, weight: 55, aggression: 0.35, whipTiming: 0.9 },
+    { name: 'Kenji Morita',     skill: 0.85, weight: 51, aggression: 0.7,  whipTiming: 0.8 },
+    { name: 'Aoife Brennan',    skill: 0.83, weight: 53, aggression: 0.45, whipTiming: 0.88 },
+    { name: 'Luis Ortega',      skill: 0.8,  weight: 54, aggression: 0.8,  whipTiming: 0.75 },
+    { name: 'Grace Mbeki',      skill: 0.78, weight: 52, aggression: 0.5,  whipTiming: 0.86 },
+    { name: 'Sam Fairbairn',    skill: 0.74, weight: 56, aggression: 0.6,  whipTiming: 0.82 },
+    { name: 'Priya Nair',       skill: 0.72, weight: 50, aggression: 0.4,  whipTiming: 0.9 },
+    { name: 'Jack Cullen',      skill: 0.7,  weight: 55, aggression: 0.9,  whipTiming: 0.7 },
+    { name: 'Elena Petrova',    skill: 0.68, weight: 53, aggression: 0.3,  whipTiming: 0.92 },
+    { name: 'Marcus Hale',      skill: 0.65, weight: 57, aggression: 0.65, whipTiming: 0.78 },
+    { name: 'Chloe Dubois',     skill: 0.62, weight: 51, aggression: 0.55, whipTiming: 0.84 },
+    { name: 'Diego Santos',     skill: 0.6,  weight: 54, aggression: 0.75, whipTiming: 0.76 },
+    { name: 'Hannah Lowe',      skill: 0.57, weight: 52, aggression: 0.45, whipTiming: 0.88 },
+    { name: 'Ravi Chandra',     skill: 0.55, weight: 55, aggression: 0.5,  whipTiming: 0.85 },
+    { name: 'Molly Quinn',      skill: 0.52, weight: 50, aggression: 0.85, whipTiming: 0.72 },
+    { name: 'Oscar Lindqvist',  skill: 0.5,  weight: 56, aggression: 0.4,  whipTiming: 0.9 },
+    { name: 'Fatima Haddad',    skill: 0.48, weight: 53, aggression: 0.6,  whipTiming: 0.8 },
+    { name: 'Billy Nolan',      skill: 0.45, weight: 57, aggression: 0.7,  whipTiming: 0.74 },
+    { name: 'Ines Carvalho',    skill: 0.42, weight: 51, aggression: 0.35, whipTiming: 0.92 }
+];
+
+class JockeyRoom {
+    constructor(options = {}) {
+        // localStorage in the browser - pass null (or your own store) to keep records in memory
+        this.storage = options.storage !== undefined ? options.storage :
+            (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = options.storageKey || JOCKEY_STORAGE_KEY;
+        this.careers = {};
+        this.load();
+    }
+    
+    load() {
+        if (!this.storage) return;
+        
+        try {
+            const saved = this.storage.getItem(this.storageKey);
+            if (!saved) return;
+            
+            const data = JSON.parse(saved);
+            if (!data || data.version > JOCKEY_VERSION || !Array.isArray(data.jockeys)) {
+                console.error("Ignoring saved jockey records in an unknown format");
+                return;
+            }
+            data.jockeys.forEach(jockey => {
+                this.careers[jockey.name] = jockey.career;
+            });
+            console.log(`Loaded records for ${data.jockeys.length} jockeys`);
+        } catch (error) {
+            console.error("Could not load the jockey records:", error);
+        }
+    }
+    
+    save() {
+        if (!this.storage) return;
+        
+        try {
+            const jockeys = Object.keys(this.careers).map(name => ({ name, career: this.careers[name] }));
+            this.storage.setItem(this.storageKey, JSON.stringify({ version: JOCKEY_VERSION, jockeys }));
+        } catch (error) {
+            // Storage full or disabled (e.g. private browsing) - the records still work for this session
+            console.error("Could not save the jockey records:", error);
+        }
+    }
+    
+    clear() {
+        this.careers = {};
+        this.save();
+        console.log("Jockey records cleared");
+    }
+    
+    // The regulars, then apprentices for fields bigger than the weighing room
+    getJockeys(count) {
+        const jockeys = JOCKEYS.slice();
+        for (let i = jockeys.length; i < count; i++) {
+            jockeys.push(JockeyRoom.createApprentice(i - JOCKEYS.length + 1));
+        }
+        return jockeys;
+    }
+    
+    // Apprentices are light but raw - the same numbers every time so their records line up
+    static createApprentice(number) {
+        return {
+            name: `Apprentice ${number}`,
+            skill: 0.3 + ((number * 0.137) % 0.15),
+            weight: 48 + (number % 4),
+            aggression: 0.4 + ((number * 0.291) % 0.5),
+            whipTiming: 0.7 + ((number * 0.173) % 0.2)
+        };
+    }
+    
+    getJockey(name) {
+        return JOCKEYS.find(jockey => jockey.name === name) ||
+            (/^Apprentice \d+$/.test(name) ? JockeyRoom.createApprentice(parseInt(name.split(' ')[1], 10)) : null);
+    }
+    
+    /**
+     * Book a jockey onto every runner - a fresh draw each race
+     * @param {Runner[]} runners - The field
+     * @param {SeededRandom} rng - Random stream for the draw
+     */
+    assign(runners, rng) {
+        // Shuffle the whole weighing room - a small field leaves some jockeys without a ride
+        const jockeys = this.getJockeys(runners.length);
+        for (let i = jockeys.length - 1; i > 0; i--) {
+            const j = rng.int(i + 1);
+            [jockeys[i], jockeys[j]] = [jockeys[j], jockeys[i]];
+        }
+        
+        runners.forEach((runner, index) => {
+            runner.jockey = jockeys[index];
+        });
+    }
+    
+    getCareer(name) {
+        return this.careers[name] || { rides: 0, wins: 0, places: 0, shows: 0, earnings: 0 };
+    }
+    
+    /**
+     * Add a finished race to every jockey's record
+     * @param {Runner[]} finishers - Runners in finishing order
+     * @param {number[]} earnings - Prize money won by each finisher
+     */
+    recordRace(finishers, earnings) {
+        finishers.forEach((runner, index) => {
+            if (!runner.jockey) return;
+            
+            const career = this.getCareer(runner.jockey.name);
+            career.rides++;
+            if (runner.position === 1) career.wins++;
+            if (runner.position === 2) career.places++;
+            if (runner.position === 3) career.shows++;
+            career.earnings += Math.round(earnings[index] * JOCKEY_PURSE_SHARE);
+            this.careers[runner.jockey.name] = career;
+        });
+        
+        this.save();
+    }
+    
+    // Jockeys' championship - most wins first, then prize money
+    getStandings() {
+        return Object.keys(this.careers)
+            .map(name => ({ name, career: this.careers[name] }))
+            .filter(standing => standing.career.rides > 0)
+            .sort((a, b) => b.career.wins - a.career.wins || b.career.earnings - a.career.earnings);
+    }
+    
+    // Record summary like "12: 3-2-1" (rides: wins-places-shows)
+    static describeRecord(career) {
+        return `${career.rides}: ${career.wins}-${career.places}-${career.shows}`;
+    }
+}
+
+// Allow the jockeys to be loaded in Node for headless runs
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { JockeyRoom, JOCKEYS };
+}
@@ -23,6 +23,11 @@ document.addEventListener('DOMContentLoaded', function() {
     // Setup event handlers
     const startRaceButton = document.getElementById('start-race');
     const resetRaceButton = document.getElementById('reset-race');
+    const toggleBetsButton = document.getElementById('toggle-bets');
+    const toggleStableButton = document.getElementById('toggle-stable');
+    const toggleCardButton = document.getElementById('toggle-card');
+    const toggleHistoryButton = document.getElementById('toggle-history');
+    const toggleTimingButton = document.getElementById('toggle-timing');
     
     // Hide results panel initially
     const resultsPanel = document.querySelector('.results-panel');
@@ -63,8 +68,43 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     });
     
+    toggleBetsButton.addEventListener('click', function() {
+        if (raceScene && raceScene.bettingPanel) {
+            raceScene.bettingPanel.toggle();
+        }
+    });
+    
+    toggleStableButton.addEventListener('click', function() {
+        if (raceScene && raceScene.stablePanel) {
+            raceScene.stablePanel.toggle();
+        }
+    });
+    
+    toggleCardButton.addEventListener('click', function() {
+        if (raceScene && raceScene.cardPanel) {
+            raceScene.cardPanel.toggle();
+        }
+    });
+    
+    toggleHistoryButton.addEventListener('click', function() {
+        if (raceScene && raceScene.historyPanel) {
+            raceScene.historyPanel.toggle();
+        }
+    });
+    
+    toggleTimingButton.addEventListener('click', function() {
+        if (raceScene && raceScene.timingTower) {
+            raceScene.timingTower.toggle();
+        }
+    });
+    
     // Add keyboard shortcuts
     document.addEventListener('keydown', function(event) {
+        // Ignore shortcuts while typing in a form field (e.g. the seed box or betting window)
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) {
+            return;
+        }
+        
         // Start race with spacebar
         if (event.code === 'Space' && raceScene && !raceScene.raceInProgress) {
             startRaceButton.click();
@@ -74,6 +114,11 @@ document.addEventListener('DOMContentLoaded', function() {
         if (event.code === 'KeyR') {
             resetRaceButton.click();
         }
+        
+        // Switch camera with 'C' key
+        if (event.code === 'KeyC' && raceScene && raceScene.raceCamera) {
+            raceScene.raceCamera.nextMode();
+        }
     });
     
     // Function to adjust the game container size on window resize
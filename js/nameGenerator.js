@@ -1,88 +1,162 @@
 /**
  * Horse Name Generator
- * Generates unique horse names from a predefined list
+ * Names new horses from the chosen name pack (see js/namePacks.js), checking every name against the
+ * registry rules. The pack, the team members for the team pack and any packs loaded from files are
+ * kept in localStorage.
+ *
+ * Stored as JSON: { version: 1, pack, teamMembers: [names], customPacks: { id: pack } }
  */
+const NAME_STORAGE_KEY = 'jel-derby-names';
+const NAME_STORAGE_VERSION = 1;
+const DEFAULT_NAME_PACK = 'classic';
+
+// Names tried before giving up on the pack (the caller falls back to a plain "Horse XII")
+const NAME_ATTEMPTS = 50;
+
 class NameGenerator {
-    constructor() {
-        // Custom horse names - EDIT THIS LIST TO SET YOUR DESIRED NAMES
-        this.customNames = [
-            "Secretariat",
-            "Monarchos", "Northern Dancer",
-            "Spend A Buck",
-            "Decidedly",
-            "Proud Clarion",
-            "Authentic",
-            "Grindstone",
-            "Mandaloun",
-            "Fusaichi Pegasus", 
-            "Aura Boost", 
-            "Extra Credit"
-        ];
-        
-        // Fallback adjectives and nouns for random name generation if needed
-        this.adjectives = [
-            "Swift", "Mighty", "Brave", "Royal", "Noble", "Dashing", "Glorious", "Lunar",
-            "Proud", "Golden", "Thunder", "Lightning", "Silver", "Wild", "Lucky", "Blazing",
-            "Stellar", "Cosmic", "Northern", "Southern", "Certified", "Western", "Mystic", "Ancient",
-            "Fiery", "Stormy", "Rapid", "Steady", "Grand", "Regal", "Crimson", "Big"
-        ];
-        
-        this.nouns = [
-            "Arrow", "Spirit", "Star", "Wind", "Shadow", "Flame", "Legend", "Champion",
-            "Fury", "Rider", "Runner", "Dash", "Dream", "Quest", "Knight", "Storm",
-            "Bolt", "Glory", "Victory", "Prince", "Duke", "King", "Queen", "Duchess",
-            "Whisper", "Thunder", "Lightning", "Breeze", "Gale", "Tempest", "Blaze", "Valor"
-        ];
+    constructor(options = {}) {
+        // localStorage in the browser - pass null (or your own store) to keep the choice in memory
+        this.storage = options.storage !== undefined ? options.storage :
+            (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = options.storageKey || NAME_STORAGE_KEY;
         
-        // Keep track of which names have been used
-        this.usedNames = new Set();
-        this.usedCustomNames = [];
+        this.packId = DEFAULT_NAME_PACK;
+        this.teamMembers = [];
+        this.customPacks = {};
+        this.load();
     }
     
-    // Generate a name - will use names from customNames list
-    generateName() {
-        // If we've used all custom names, start over
-        if (this.usedCustomNames.length >= this.customNames.length) {
-            this.usedCustomNames = [];
-        }
-        
-        // Find a name from the custom list that hasn't been used yet
-        let name = null;
-        for (const customName of this.customNames) {
-            if (!this.usedCustomNames.includes(customName)) {
-                name = customName;
-                this.usedCustomNames.push(customName);
-                break;
-            }
-        }
+    load() {
+        if (!this.storage) return;
         
-        // If no custom name is available, generate a random one
-        if (!name) {
-            name = this.generateRandomName();
+        try {
+            const saved = this.storage.getItem(this.storageKey);
+            if (!saved) return;
             
-            // Ensure uniqueness for random names
-            let attempts = 0;
-            while (this.usedNames.has(name) && attempts < 50) {
-                name = this.generateRandomName();
-                attempts++;
+            const data = JSON.parse(saved);
+            if (!data || data.version > NAME_STORAGE_VERSION) {
+                console.error("Ignoring saved name packs in an unknown format");
+                return;
             }
+            this.teamMembers = Array.isArray(data.teamMembers) ? data.teamMembers.filter(name => typeof name === 'string') : [];
+            // A pack that no longer passes (e.g. edited by hand) would break naming every new field
+            this.customPacks = {};
+            Object.keys(data.customPacks || {}).forEach(id => {
+                try {
+                    this.customPacks[id] = NamePacks.validate(data.customPacks[id]);
+                } catch (error) {
+                    console.error(`Dropping saved name pack ${id}:`, error);
+                }
+            });
+            if (this.getPack(data.pack)) this.packId = data.pack;
+        } catch (error) {
+            console.error("Could not load the name packs:", error);
         }
+    }
+    
+    save() {
+        if (!this.storage) return;
         
-        this.usedNames.add(name);
-        return name;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({
+                version: NAME_STORAGE_VERSION,
+                pack: this.packId,
+                teamMembers: this.teamMembers,
+                customPacks: this.customPacks
+            }));
+        } catch (error) {
+            console.error("Could not save the name packs:", error);
+        }
     }
     
-    // Generate a random name as fallback
-    generateRandomName() {
-        const adjective = this.adjectives[Math.floor(Math.random() * this.adjectives.length)];
-        const noun = this.nouns[Math.floor(Math.random() * this.nouns.length)];
-        return `${adjective} ${noun}`;
+    // Every pack that can be picked, built-in ones first
+    getPacks() {
+        const packs = {};
+        Object.keys(NAME_PACKS).forEach(id => {
+            packs[id] = this.getPack(id);
+        });
+        return Object.assign(packs, this.customPacks);
     }
     
-    // Reset used names
-    reset() {
-        this.usedNames.clear();
-        this.usedCustomNames = [];
+    getPack(id) {
+        if (id === TEAM_NAME_PACK) {
+            const pack = NAME_PACKS[TEAM_NAME_PACK];
+            return Object.assign({}, pack, { words: Object.assign({}, pack.words, { member: this.teamMembers }) });
+        }
+        return NAME_PACKS[id] || this.customPacks[id] || null;
+    }
+    
+    setPack(id) {
+        if (!this.getPack(id)) {
+            console.error(`Unknown name pack: ${id}`);
+            return;
+        }
+        this.packId = id;
+        this.save();
+        console.log(`Naming new horses from the ${this.getPack(id).name} pack`);
+    }
+    
+    // First names are best - they're what the team pack's templates are written around
+    setTeamMembers(names) {
+        this.teamMembers = names.map(name => name.trim()).filter(name => name !== '');
+        this.save();
+    }
+    
+    /**
+     * Keep a pack loaded from a file - a pack with the same name replaces the old one
+     * @param {Object} pack - From NamePacks.parse()
+     * @returns {string} The pack's id
+     * @throws {Error} If the name is only a different spelling of another pack's, e.g. "Sci-Fi" and "Sci Fi"
+     */
+    addPack(pack) {
+        const id = `custom-${pack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+        const existing = this.customPacks[id];
+        if (existing && existing.name !== pack.name) {
+            throw new Error(`The ${pack.name} pack clashes with the ${existing.name} pack - give it a different name`);
+        }
+        this.customPacks[id] = pack;
+        this.packId = id;
+        this.save();
+        console.log(`Loaded the ${pack.name} name pack`);
+        return id;
+    }
+    
+    /**
+     * A new name from the chosen pack that passes the registry rules
+     * The race's seeded random generator is passed in so names are reproducible
+     * @param {SeededRandom} rng
+     * @param {string[]} [takenNames] - Names it mustn't repeat - the field, the stable and the race history
+     * @returns {string|null} Null if the pack couldn't come up with a name that passes
+     */
+    generateName(rng, takenNames = []) {
+        let pack = this.getPack(this.packId);
+        if (NamePacks.getUsableTemplates(pack).length === 0) {
+            // e.g. the team pack before any team members are entered
+            console.error(`The ${pack.name} name pack has no names to give - using ${NAME_PACKS[DEFAULT_NAME_PACK].name}`);
+            pack = NAME_PACKS[DEFAULT_NAME_PACK];
+        }
+        
+        for (let attempts = 0; attempts < NAME_ATTEMPTS; attempts++) {
+            const name = NamePacks.fill(pack, rng);
+            if (!NamePacks.checkName(name, takenNames, pack.banned || [])) {
+                return name;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * A plain numbered name for when the pack runs dry, e.g. "Horse XII" for lane 12 - counting on
+     * from there if that one's taken
+     * @param {number} number
+     * @param {string[]} [takenNames]
+     * @returns {string}
+     */
+    getFallbackName(number, takenNames = []) {
+        for (let count = number; ; count++) {
+            const name = `Horse ${NamePacks.toRoman(count)}`;
+            if (!NamePacks.checkName(name, takenNames)) return name;
+        }
     }
 }
 
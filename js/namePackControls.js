@@ -0,0 +1,71 @@
+/**
+ * Name Pack Controls
+ * Picks the name pack new horses are named from, takes the team's names for the team pack and
+ * loads custom packs from JSON files - in the stable panel, next to the roster buttons
+ */
+class NamePackControls {
+    constructor(scene) {
+        this.scene = scene;
+        
+        this.packSelect = document.getElementById('name-pack');
+        this.teamInput = document.getElementById('name-team');
+        this.fileInput = document.getElementById('name-pack-file');
+        this.messageElement = document.getElementById('name-pack-message');
+        
+        if (!this.packSelect || !this.teamInput || !this.fileInput) {
+            console.error("Could not find name pack control elements");
+            return;
+        }
+        
+        this.teamInput.value = nameGenerator.teamMembers.join(', ');
+        this.render();
+        
+        this.packSelect.addEventListener('change', () => {
+            nameGenerator.setPack(this.packSelect.value);
+            this.render();
+        });
+        this.teamInput.addEventListener('change', () => {
+            nameGenerator.setTeamMembers(this.teamInput.value.split(','));
+            this.showMessage(`${nameGenerator.teamMembers.length} team members for the team pack`, false);
+        });
+        document.getElementById('load-name-pack').addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => this.loadFile());
+    }
+    
+    // The packs to pick from, and the team members box while the team pack is picked
+    render() {
+        // Built as Options rather than markup - custom pack names come from files
+        const packs = nameGenerator.getPacks();
+        this.packSelect.innerHTML = '';
+        Object.keys(packs).forEach(id => this.packSelect.add(new Option(packs[id].name, id)));
+        this.packSelect.value = nameGenerator.packId;
+        this.teamInput.style.display = nameGenerator.packId === TEAM_NAME_PACK ? 'block' : 'none';
+    }
+    
+    showMessage(text, isError) {
+        if (!this.messageElement) return;
+        this.messageElement.textContent = text;
+        this.messageElement.className = isError ? 'roster-message roster-error' : 'roster-message';
+    }
+    
+    loadFile() {
+        const file = this.fileInput.files[0];
+        if (!file) return;
+        
+        FileUtils.readText(file)
+            .then(text => {
+                const pack = NamePacks.parse(text);
+                nameGenerator.addPack(pack);
+                this.render();
+                this.showMessage(`Naming new horses from the ${pack.name} pack`, false);
+            })
+            .catch(error => {
+                console.error("Could not load name pack:", error);
+                this.showMessage(error.message, true);
+            })
+            .finally(() => {
+                // Allow the same file to be picked again once it's been fixed
+                this.fileInput.value = '';
+            });
+    }
+}
@@ -0,0 +1,244 @@
+/**
+ * Name Packs
+ * Themes for naming new horses, and the registry rules every generated name has to pass.
+ *
+ * A pack is a set of word lists and weighted templates that fill them in - "{adjective} {noun}"
+ * takes a word from the adjective list and one from the noun list. Templates are picked in
+ * proportion to their weight; a template needing a list the pack doesn't have is skipped.
+ * Custom packs are loaded from JSON files in the same shape:
+ * {
+ *     format: 'jel-derby-name-pack', version: 1, name,
+ *     words: { listName: [words...] },
+ *     templates: [{ pattern, weight }],
+ *     banned: [words...]  (optional - added to the registry's banned words for this pack's names)
+ * }
+ */
+const NAME_PACK_FORMAT = 'jel-derby-name-pack';
+const NAME_PACK_VERSION = 1;
+
+// Registry-style rules - the longest name allowed (spaces and punctuation count), the characters
+// a name can use, and words no horse can be named with
+const NAME_MAX_LENGTH = 18;
+const NAME_PATTERN = /^[A-Za-z][A-Za-z '.-]*[A-Za-z.]$/;
+const BANNED_NAME_WORDS = [
+    'damn', 'hell', 'crap', 'sucks', 'stupid', 'idiot', 'loser', 'drunk',
+    'scratched', 'disqualified', 'winner', 'dead heat', 'photo finish'
+];
+
+// Pack made from the names of the people on the team - see NameGenerator.setTeamMembers
+const TEAM_NAME_PACK = 'team';
+
+const NAME_PACKS = {
+    classic: {
+        name: 'Classic',
+        words: {
+            famous: [
+                'Secretariat', 'Monarchos', 'Northern Dancer', 'Spend A Buck', 'Decidedly', 'Proud Clarion',
+                'Authentic', 'Grindstone', 'Mandaloun', 'Fusaichi Pegasus', 'Aura Boost', 'Extra Credit'
+            ],
+            adjective: [
+                'Swift', 'Mighty', 'Brave', 'Royal', 'Noble', 'Dashing', 'Glorious', 'Lunar',
+                'Proud', 'Golden', 'Thunder', 'Lightning', 'Silver', 'Wild', 'Lucky', 'Blazing',
+                'Stellar', 'Cosmic', 'Northern', 'Southern', 'Certified', 'Western', 'Mystic', 'Ancient',
+                'Fiery', 'Stormy', 'Rapid', 'Steady', 'Grand', 'Regal', 'Crimson', 'Big'
+            ],
+            noun: [
+                'Arrow', 'Spirit', 'Star', 'Wind', 'Shadow', 'Flame', 'Legend', 'Champion',
+                'Fury', 'Rider', 'Runner', 'Dash', 'Dream', 'Quest', 'Knight', 'Storm',
+                'Bolt', 'Glory', 'Victory', 'Prince', 'Duke', 'King', 'Queen', 'Duchess',
+                'Whisper', 'Thunder', 'Lightning', 'Breeze', 'Gale', 'Tempest', 'Blaze', 'Valor'
+            ],
+            place: ['Kentucky', 'Saratoga', 'Epsom', 'Ascot', 'Belmont', 'Aintree', 'Galway', 'Dubai', 'Chantilly', 'Pimlico']
+        },
+        templates: [
+            { pattern: '{famous}', weight: 1 },
+            { pattern: '{adjective} {noun}', weight: 6 },
+            { pattern: '{place} {noun}', weight: 2 },
+            { pattern: '{noun} of {place}', weight: 1 },
+            { pattern: 'Miss {noun}', weight: 1 }
+        ]
+    },
+    scifi: {
+        name: 'Sci-fi',
+        words: {
+            adjective: [
+                'Quantum', 'Orbital', 'Plasma', 'Neon', 'Cyber', 'Ionic', 'Warp', 'Nebula', 'Photon',
+                'Stellar', 'Binary', 'Chrome', 'Galactic', 'Hyper', 'Solar', 'Void', 'Astro', 'Nova'
+            ],
+            noun: [
+                'Drive', 'Comet', 'Pulsar', 'Rocket', 'Vector', 'Android', 'Cruiser', 'Beacon', 'Quasar',
+                'Nebula', 'Probe', 'Engine', 'Laser', 'Station', 'Voyager', 'Drone', 'Signal', 'Orbit'
+            ],
+            designation: ['Prime', 'Zero', 'Omega', 'Alpha', 'Nine', 'Seven', 'Mark Two', 'Delta'],
+            planet: ['Mars', 'Titan', 'Europa', 'Vega', 'Orion', 'Kepler', 'Rigel', 'Io']
+        },
+        templates: [
+            { pattern: '{adjective} {noun}', weight: 5 },
+            { pattern: '{noun} {designation}', weight: 2 },
+            { pattern: '{planet} {noun}', weight: 2 },
+            { pattern: 'Pride of {planet}', weight: 1 }
+        ]
+    },
+    office: {
+        name: 'Office puns',
+        words: {
+            phrase: [
+                'Reply All', 'Per My Last Email', 'Circle Back', 'Quick Sync', 'Out Of Office', 'Hard Stop',
+                'Action Item', 'Blue Sky Thinking', 'Mute Button', 'Deadline Dash', 'Low Hanging Fruit',
+                'Going Forward', 'Take It Offline', 'Synergy', 'Deep Dive', 'Bandwidth'
+            ],
+            adjective: ['Agile', 'Urgent', 'Remote', 'Hybrid', 'Quarterly', 'Billable', 'Scalable', 'Overdue', 'Casual Friday'],
+            noun: ['Memo', 'Stapler', 'Spreadsheet', 'Standup', 'Sprint', 'Printer', 'Inbox', 'Pivot', 'Roadmap', 'Budget', 'Lanyard']
+        },
+        templates: [
+            { pattern: '{phrase}', weight: 4 },
+            { pattern: '{adjective} {noun}', weight: 4 },
+            { pattern: 'The {noun} Run', weight: 1 }
+        ]
+    },
+    team: {
+        name: 'Team members',
+        words: {
+            member: [],
+            adjective: ['Swift', 'Mighty', 'Brave', 'Lucky', 'Flying', 'Dashing', 'Golden', 'Royal', 'Steady', 'Sir', 'Lady'],
+            noun: ['Pride', 'Express', 'Dream', 'Rocket', 'Flyer', 'Legend', 'Spirit', 'Dash', 'Gambit', 'Folly']
+        },
+        templates: [
+            { pattern: "{member}'s {noun}", weight: 4 },
+            { pattern: '{adjective} {member}', weight: 3 },
+            { pattern: '{member} {noun}', weight: 2 }
+        ]
+    }
+};
+
+const NamePacks = {
+    /**
+     * Check a name against the registry rules
+     * @param {string} name
+     * @param {string[]} [takenNames] - Names already in the field, the stable or the race history
+     * @param {string[]} [bannedWords] - Banned on top of BANNED_NAME_WORDS
+     * @returns {string|null} What's wrong with the name, or null if it can be registered
+     */
+    checkName(name, takenNames = [], bannedWords = []) {
+        if (name.length > NAME_MAX_LENGTH) {
+            return `${name} is longer than ${NAME_MAX_LENGTH} characters`;
+        }
+        if (!NAME_PATTERN.test(name) || /\s\s|''|\.\./.test(name)) {
+            return `${name} can only use letters, single spaces, apostrophes, hyphens and full stops`;
+        }
+        const lower = name.toLowerCase();
+        const banned = BANNED_NAME_WORDS.concat(bannedWords)
+            .find(word => new RegExp(`(^|[^a-z])${word.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^a-z])`).test(lower));
+        if (banned) {
+            return `${name} uses the banned word "${banned}"`;
+        }
+        if (takenNames.some(taken => taken.toLowerCase() === lower)) {
+            return `${name} is already taken`;
+        }
+        return null;
+    },
+    
+    // Roman numerals for numbering horses - names can't have digits, e.g. 12 is "XII"
+    toRoman(number) {
+        const numerals = [[1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+            [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+        let roman = '';
+        numerals.forEach(([value, numeral]) => {
+            while (number >= value) {
+                roman += numeral;
+                number -= value;
+            }
+        });
+        return roman;
+    },
+    
+    // Templates the pack can fill in - every list a template needs has words in it
+    getUsableTemplates(pack) {
+        return pack.templates.filter(template => (template.pattern.match(/\{\w+\}/g) || [])
+            .every(slot => {
+                const words = pack.words[slot.slice(1, -1)];
+                return Array.isArray(words) && words.length > 0;
+            }));
+    },
+    
+    /**
+     * A name from the pack - not checked against the rules
+     * @param {Object} pack - One of NAME_PACKS or a loaded pack
+     * @param {SeededRandom} rng
+     * @returns {string|null} Null if the pack has no template it can fill in
+     */
+    fill(pack, rng) {
+        const templates = this.getUsableTemplates(pack);
+        if (templates.length === 0) return null;
+        
+        const total = templates.reduce((sum, template) => sum + template.weight, 0);
+        let roll = rng.next() * total;
+        const template = templates.find(candidate => (roll -= candidate.weight) < 0) || templates[templates.length - 1];
+        return template.pattern.replace(/\{(\w+)\}/g, (slot, list) => rng.pick(pack.words[list]));
+    },
+    
+    /**
+     * Read a custom pack from a file - throws an Error describing the first problem
+     * @param {string} text - JSON
+     * @returns {Object} The pack
+     */
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Name pack is not valid JSON: ${error.message}`);
+        }
+        if (!data || data.format !== NAME_PACK_FORMAT) {
+            throw new Error('This file is not a JEL Derby name pack');
+        }
+        if (data.version > NAME_PACK_VERSION) {
+            throw new Error(`Name pack version ${data.version} is newer than this simulator supports`);
+        }
+        return this.validate(data);
+    },
+    
+    validate(pack) {
+        if (typeof pack.name !== 'string' || !pack.name.trim()) {
+            throw new Error('Name pack needs a name');
+        }
+        if (pack.name.trim().length > 40 || /[<>"]/.test(pack.name)) {
+            throw new Error('Name pack name must be up to 40 characters without < > or "');
+        }
+        if (!pack.words || typeof pack.words !== 'object') {
+            throw new Error('Name pack needs "words" lists');
+        }
+        Object.keys(pack.words).forEach(list => {
+            const words = pack.words[list];
+            if (!Array.isArray(words) || words.some(word => typeof word !== 'string' || !word.trim())) {
+                throw new Error(`Word list "${list}" must be a list of words`);
+            }
+        });
+        if (!Array.isArray(pack.templates) || pack.templates.length === 0) {
+            throw new Error('Name pack needs at least one template');
+        }
+        pack.templates.forEach((template, index) => {
+            if (!template || typeof template.pattern !== 'string' || !(template.weight > 0)) {
+                throw new Error(`Template ${index + 1} needs a pattern and a weight above 0`);
+            }
+        });
+        if (pack.banned !== undefined && (!Array.isArray(pack.banned) || pack.banned.some(word => typeof word !== 'string'))) {
+            throw new Error('Banned words must be a list of words');
+        }
+        if (this.getUsableTemplates(pack).length === 0) {
+            throw new Error('None of the templates can be filled in from the word lists');
+        }
+        
+        return {
+            name: pack.name.trim(),
+            words: pack.words,
+            templates: pack.templates.map(template => ({ pattern: template.pattern, weight: template.weight })),
+            banned: pack.banned || []
+        };
+    }
+};
+
+// Allow the name packs to be loaded in Node for headless runs
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NamePacks, NAME_PACKS, NAME_MAX_LENGTH, BANNED_NAME_WORDS, TEAM_NAME_PACK };
+}
@@ -0,0 +1,116 @@
+/**
+ * Odds Calculator
+ * Morning-line odds from Monte Carlo runs - races a copy of the current field many times
+ * through the real simulation (catch-up and final lap balancing included) and counts wins
+ */
+
+// Standard tote board odds the morning line is rounded to (as odds-to-1)
+const MORNING_LINE_LADDER = [
+    [1, 5], [2, 5], [1, 2], [3, 5], [4, 5], [1, 1], [6, 5], [7, 5], [3, 2], [8, 5], [9, 5],
+    [2, 1], [5, 2], [3, 1], [7, 2], [4, 1], [9, 2], [5, 1], [6, 1], [8, 1], [10, 1],
+    [12, 1], [15, 1], [20, 1], [30, 1], [50, 1], [99, 1]
+];
+
+class OddsCalculator {
+    constructor(options = {}) {
+        this.trials = options.trials || 400;
+        // Races per batch when running in the browser, small enough to keep the page responsive
+        this.batchSize = options.batchSize || 10;
+        // Bookmaker's margin built into the line, like a real morning line
+        this.overround = options.overround !== undefined ? options.overround : 0.2;
+    }
+    
+    // A private simulation racing copies of the field - the real race is never touched
+    createTrialSimulation(simulation, rng) {
+        const config = Object.assign({}, simulation.getConfig(), { rng, verbose: false });
+        const trialSimulation = new simulation.constructor(config);
+        
+        simulation.runners.forEach(runner => {
+            const copy = trialSimulation.addRunner(runner.name, runner.color);
+            copy.setSkills(runner.getSkills());
+            copy.jockey = runner.jockey;
+        });
+        return trialSimulation;
+    }
+    
+    runTrials(trialSimulation, count, wins) {
+        for (let i = 0; i < count; i++) {
+            trialSimulation.reset(false);
+            const winner = trialSimulation.run()[0];
+            if (winner) {
+                wins[winner.lane]++;
+            }
+        }
+    }
+    
+    // Run every trial at once - for Node and tools
+    calculate(simulation, rng) {
+        const trialSimulation = this.createTrialSimulation(simulation, rng);
+        const wins = new Array(simulation.runners.length).fill(0);
+        this.runTrials(trialSimulation, this.trials, wins);
+        return this.buildOdds(wins, this.trials);
+    }
+    
+    // Run the trials in batches between frames and call onComplete with the odds
+    // Returns a job whose cancel() stops it (e.g. when the field is reset again)
+    calculateAsync(simulation, rng, onComplete) {
+        const trialSimulation = this.createTrialSimulation(simulation, rng);
+        const wins = new Array(simulation.runners.length).fill(0);
+        const job = { cancelled: false, cancel() { this.cancelled = true; } };
+        let completed = 0;
+        
+        const runBatch = () => {
+            if (job.cancelled) return;
+            
+            const count = Math.min(this.batchSize, this.trials - completed);
+            this.runTrials(trialSimulation, count, wins);
+            completed += count;
+            
+            if (completed < this.trials) {
+                setTimeout(runBatch, 0);
+            } else {
+                onComplete(this.buildOdds(wins, this.trials));
+            }
+        };
+        setTimeout(runBatch, 0);
+        
+        return job;
+    }
+    
+    // Turn win counts into probabilities and morning-line odds
+    buildOdds(wins, trials) {
+        const fieldSize = wins.length;
+        
+        return wins.map((count, lane) => {
+            // Smooth the counts so a horse that never won in the trials still gets a price
+            const probability = (count + 0.5) / (trials + 0.5 * fieldSize);
+            const decimal = Math.max(1.2, 1 / (probability * (1 + this.overround)));
+            const fraction = OddsCalculator.toMorningLine(decimal);
+            
+            return {
+                lane,
+                wins: count,
+                probability,
+                decimal: 1 + fraction[0] / fraction[1],
+                fractional: `${fraction[0]}-${fraction[1]}`
+            };
+        });
+    }
+    
+    // Nearest standard morning-line price to a decimal price
+    static toMorningLine(decimal) {
+        const target = Math.log(decimal - 1);
+        let best = MORNING_LINE_LADDER[0];
+        MORNING_LINE_LADDER.forEach(fraction => {
+            if (Math.abs(Math.log(fraction[0] / fraction[1]) - target) < Math.abs(Math.log(best[0] / best[1]) - target)) {
+                best = fraction;
+            }
+        });
+        return best;
+    }
+}
+
+// Allow the calculator to be loaded in Node for headless runs
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OddsCalculator };
+}
@@ -0,0 +1,125 @@
+/**
+ * Photo Finish
+ * Shows the finish-line camera picture when the judges need it to split a close finish
+ */
+
+// Finishes in the first three closer than this (in lengths) go to the photo
+const PHOTO_FINISH_LENGTHS = 0.5;
+
+class PhotoFinish {
+    constructor(scene) {
+        this.scene = scene;
+        
+        this.container = document.querySelector('.photo-finish');
+        this.canvas = document.getElementById('photo-finish-canvas');
+        this.caption = document.getElementById('photo-finish-caption');
+        
+        if (!this.container || !this.canvas) {
+            console.error("Could not find photo finish elements");
+            return;
+        }
+        
+        document.getElementById('photo-finish-close').addEventListener('click', () => this.hide());
+    }
+    
+    // The closest call in the first three, or null if nobody needs the photo
+    static findCloseFinish(finishedHorses) {
+        let closest = null;
+        for (let i = 1; i < Math.min(finishedHorses.length, 3); i++) {
+            const horse = finishedHorses[i];
+            if (horse.marginLengths === null || horse.marginLengths >= PHOTO_FINISH_LENGTHS) continue;
+            if (!closest || horse.marginLengths < closest.trailer.marginLengths) {
+                closest = { leader: finishedHorses[i - 1], trailer: horse };
+            }
+        }
+        return closest;
+    }
+    
+    // Show the photo after a race if the finish was close enough to need it
+    showIfClose(finishedHorses) {
+        const closeFinish = PhotoFinish.findCloseFinish(finishedHorses);
+        if (!closeFinish || !this.container) return;
+        
+        this.show(closeFinish.leader, closeFinish.trailer);
+    }
+    
+    // Picture taken the instant the leader's nose reached the line
+    show(leader, trailer) {
+        const simulation = this.scene.simulation;
+        const snapshot = leader.finishSnapshot;
+        if (!snapshot) return;
+        
+        const finishDistance = simulation.totalRaceDistance;
+        const horseLength = simulation.horseLength;
+        
+        // Everyone within a few lengths of the line makes it into the frame
+        const visibleLengths = 3;
+        const inFrame = snapshot
+            .map(entry => ({ horse: this.scene.horses[entry.lane], behind: (finishDistance - entry.distance) / horseLength }))
+            .filter(entry => entry.behind < visibleLengths)
+            .sort((a, b) => a.behind - b.behind);
+        
+        const ctx = this.canvas.getContext('2d');
+        const width = this.canvas.width;
+        const rowHeight = 28;
+        this.canvas.height = Math.max(3, inFrame.length) * rowHeight + 20;
+        const height = this.canvas.height;
+        
+        // The finish line sits near the right edge with 120px to a length
+        const pixelsPerLength = 120;
+        const lineX = width - 40;
+        
+        // Grainy sepia background like a finish-line strip camera
+        ctx.fillStyle = '#e8dcc0';
+        ctx.fillRect(0, 0, width, height);
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
+        for (let x = lineX; x > 0; x -= pixelsPerLength / 4) {
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+        }
+        
+        inFrame.forEach((entry, row) => {
+            const noseX = lineX - entry.behind * pixelsPerLength;
+            const y = 10 + row * rowHeight + rowHeight / 2;
+            const color = '#' + entry.horse.color.toString(16).padStart(6, '0');
+            
+            // Body runs back one length from the nose
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.ellipse(noseX - pixelsPerLength / 2, y, pixelsPerLength / 2, rowHeight / 3, 0, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.strokeStyle = '#000';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+            
+            // Names go down the left edge so they stay readable however far back the horse is
+            ctx.fillStyle = '#000';
+            ctx.font = '11px Arial';
+            ctx.textAlign = 'left';
+            ctx.fillText(`${entry.horse.lane + 1}. ${entry.horse.name}`, 6, y + 4);
+        });
+        
+        // The finish line itself
+        ctx.strokeStyle = '#c0392b';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(lineX, 0);
+        ctx.lineTo(lineX, height);
+        ctx.stroke();
+        
+        const margin = RaceSimulation.describeMargin(trailer.marginLengths, trailer.deadHeat);
+        this.caption.textContent = trailer.deadHeat ?
+            `Photo: dead heat between ${leader.name} and ${trailer.name} for position ${trailer.position}` :
+            `Photo: ${leader.name} by ${margin === '½' ? 'half a length' : 'a ' + margin} from ${trailer.name}`;
+        this.container.style.display = 'flex';
+        console.log(this.caption.textContent);
+    }
+    
+    hide() {
+        if (this.container) {
+            this.container.style.display = 'none';
+        }
+    }
+}
@@ -7,20 +7,99 @@ class RaceScene extends Phaser.Scene {
         super('RaceScene');
         
         this.horses = [];
-        this.numHorses = 12;
-        this.trackLength = 1200; // Length of a single lap
-        this.totalLaps = 4;     // Total number of laps to complete
-        this.totalRaceDistance = this.trackLength * this.totalLaps; // Total race distance
+        this.numHorses = 12;    // Field size - changed from the setup panel
+        this.trackLength = 1200; // Drawn length of a lap along the rail in pixels (the simulation has its own units)
+        this.totalLaps = 4;     // Race length in laps - a fraction when the race is set in furlongs
+        this.simulation = null; // Headless race physics - this scene just renders it
         this.raceInProgress = false;
         this.finishedHorses = [];
         this.raceStartTime = 0;
         this.currentTime = 0;
         
+        // Shared seeded random generator - every random roll in the race comes from here
+        // so entering the same seed reproduces the same race
+        this.rng = new SeededRandom(SeededRandom.createSeed());
+        this.seed = this.rng.seed;
+        
+        // Pari-mutuel pools for the race - the panel is created with the DOM in create()
+        this.betting = new BettingPools();
+        this.bettingPanel = null;
+        
+        // Morning-line odds, worked out in the background after every reset
+        this.oddsCalculator = new OddsCalculator();
+        this.morningLine = null;
+        this.oddsJob = null;
+        
+        // Every race is recorded so it can be watched again (or saved and loaded later)
+        this.recorder = new RaceRecorder();
+        this.lastRecording = null;
+        this.replay = null; // RaceReplay while a replay is showing
+        this.replayControls = null;
+        this.replayFieldLoaded = false; // True when a loaded replay swapped in its own horses
+        
+        // Finish-line camera for close finishes
+        this.photoFinish = null;
+        
+        // Broadcast camera over the course - created with the scene in create()
+        this.raceCamera = null;
+        
+        // Running order with gaps, and the field along the race distance
+        this.timingTower = null;
+        
+        // Post-race charts from the race recording
+        this.chartsPanel = null;
+        
+        // Everything that happens in a race, for anything that wants to follow along (see js/raceEvents.js)
+        this.raceEvents = new RaceEventBus();
+        
+        // The race call on the commentary ticker
+        this.commentator = null;
+        this.commentaryTicker = null;
+        
+        // Horses keep their skills and career records from race to race
+        this.stable = new Stable();
+        this.stablePanel = null;
+        
+        // Jockeys are booked onto the field before every race and keep their own records
+        this.jockeyRoom = new JockeyRoom();
+        this.fieldEntries = null; // Entries for the current field, null for the default horses
+        
+        // Every completed race is kept in the race history (IndexedDB) for the history view
+        this.raceHistory = new RaceHistory();
+        this.historyPanel = null;
+        
+        // Meet of several races (championship or heats and final) - null for a single race
+        this.raceCard = null;
+        this.cardPanel = null;
+        this.cardRaceLabel = null; // Label of the card race on the track
+        this.cardRaceIndex = null; // Which race of the card the horses on the track are running
+        this.cardAdvancePending = false; // Next card race is waiting for a replay to end
+        
+        // Field size and race length controls, and roster files
+        this.setupPanel = null;
+        this.rosterControls = null;
+        this.namePackControls = null;
+        
         // Initialize track parameters - will be updated in create()
         this.trackWidth = 0;
         this.trackHeight = 0;
         this.trackCenterX = 0;
         this.trackCenterY = 0;
+        
+        // Shape of the course - a key of TRACK_LAYOUTS, changed from the setup panel
+        this.trackLayout = DEFAULT_TRACK_LAYOUT;
+        this.trackGeometry = null;
+        
+        // Race-day conditions - the setup panel's choices, and what this race actually got
+        this.conditionSettings = { surface: RANDOM_CONDITION, going: RANDOM_CONDITION, weather: RANDOM_CONDITION };
+        this.conditions = { surface: 'dirt', going: 'good', weather: 'clear' };
+        this.drawnConditions = null; // Surface and going the track texture was last drawn with
+        this.weatherEffects = null;
+        
+        // How hard the race pulls the field together - a key of BALANCE_PROFILES or CUSTOM_BALANCE,
+        // and the settings for the custom profile
+        this.balanceProfile = DEFAULT_BALANCE_PROFILE;
+        this.customBalance = Object.assign({}, BALANCE_PROFILES[DEFAULT_BALANCE_PROFILE].settings);
     }
     
     preload() {
@@ -37,40 +116,26 @@ class RaceScene extends Phaser.Scene {
         // Set track dimensions based on screen size
         this.updateTrackDimensions();
         
+        // Camera modes and the overview inset - before anything is drawn, so it sees every object added
+        this.raceCamera = new RaceCamera(this);
+        
         // Create track background
         this.trackBackground = this.add.image(0, 0, 'track').setOrigin(0, 0);
         this.trackBackground.displayWidth = this.scale.width;
         this.trackBackground.displayHeight = this.scale.height;
         
-        // Add finish line
+        // Add finish line where the course geometry puts it
         this.finishLine = this.add.graphics();
+        this.drawFinishLine();
         
-        // Create a solid white finish line at 195 degree angle
-        const finishX = this.trackCenterX + (this.trackWidth * 0.52); // Positioned further right
-        const finishY = this.trackCenterY - (this.trackHeight * -0.04); // Slightly below center
-        const finishLineLength = this.trackHeight * 0.3; // Length of the finish line
-        const lineThickness = 10; // Thickness of the line
-        
-        // Save the current transformation
-        this.finishLine.save();
-        
-        // Translate to the position where we want the finish line
-        this.finishLine.translateCanvas(finishX, finishY);
-        
-        // Rotate by 195 degrees (converted to radians)
-        const angleInRadians = 195 * (Math.PI / 180);
-        this.finishLine.rotateCanvas(angleInRadians);
-        
-        // Draw a solid white line
-        this.finishLine.fillStyle(0xffffff, 1);
-        this.finishLine.fillRect(0, -lineThickness / 2, finishLineLength, lineThickness);
-        
-        // Restore the original transformation
-        this.finishLine.restore();
-        
-        // Add lane dividers (now circles)
+        // Add the rails
         this.createLaneDividers();
         
+        // Rain and wind over the whole course
+        this.weatherEffects = new WeatherEffects(this);
+        this.weatherEffects.setWeather(this.conditions.weather);
+        this.raceCamera.setOverlay(this.weatherEffects.graphics);
+        
         // Create countdown text
         this.countdownText = this.add.text(this.scale.width / 2, this.scale.height / 2, '', {
             fontSize: '64px',
@@ -79,7 +144,27 @@ class RaceScene extends Phaser.Scene {
             fontStyle: 'bold',
             stroke: '#000',
             strokeThickness: 6
-        }).setOrigin(0.5, 0.5).setAlpha(0);
+        }).setOrigin(0.5, 0.5).setAlpha(0).setDepth(2);
+        this.raceCamera.setOverlay(this.countdownText);
+        
+        // Betting window - needs to exist before the field is created
+        this.bettingPanel = new BettingPanel(this);
+        
+        // Replay bar and load/save buttons
+        this.replayControls = new ReplayControls(this);
+        this.replayControls.setReplayAvailable(false);
+        
+        this.photoFinish = new PhotoFinish(this);
+        this.commentaryTicker = new CommentaryTicker(this);
+        this.timingTower = new TimingTower(this);
+        this.commentator = new RaceCommentator(line => this.commentaryTicker.show(line));
+        this.stablePanel = new StablePanel(this);
+        this.cardPanel = new CardPanel(this);
+        this.historyPanel = new HistoryPanel(this);
+        this.chartsPanel = new ChartsPanel(this);
+        this.setupPanel = new SetupPanel(this);
+        this.rosterControls = new RosterControls(this);
+        this.namePackControls = new NamePackControls(this);
         
         // Initialize horse list display
         this.initHorseList();
@@ -97,11 +182,15 @@ class RaceScene extends Phaser.Scene {
         this.trackWidth = this.scale.width * 0.85;
         this.trackHeight = this.scale.height * 0.75;
         
-        // Update track length based on dimensions - approximate the oval circumference
-        const a = this.trackWidth / 2; // semi-major axis
-        const b = this.trackHeight / 2; // semi-minor axis
-        // Approximate ellipse circumference using the formula: 2π * sqrt((a² + b²) / 2)
-        this.trackLength = 2 * Math.PI * Math.sqrt((a * a + b * b) / 2);
+        // Lay the course out in the space and measure the lap along the rail
+        this.trackGeometry = new TrackGeometry({
+            layout: this.trackLayout,
+            centerX: this.trackCenterX,
+            centerY: this.trackCenterY,
+            width: this.trackWidth,
+            height: this.trackHeight
+        });
+        this.trackLength = this.trackGeometry.length;
         
         // Regenerate track assets with new dimensions
         this.createPlaceholderAssets();
@@ -112,32 +201,14 @@ class RaceScene extends Phaser.Scene {
             this.trackBackground.displayHeight = this.scale.height;
         }
         
+        // Fit the cameras and the inset to the new size
+        if (this.raceCamera) {
+            this.raceCamera.resize();
+        }
+        
         // Update finish line if it exists
         if (this.finishLine) {
-            this.finishLine.clear();
-            
-            // Create a solid white finish line at 195 degree angle
-            const finishX = this.trackCenterX + (this.trackWidth * 0.52); // Positioned further right
-            const finishY = this.trackCenterY - (this.trackHeight * -0.04); // Slightly below center
-            const finishLineLength = this.trackHeight * 0.3; // Length of the finish line
-            const lineThickness = 10; // Thickness of the line
-            
-            // Save the current transformation
-            this.finishLine.save();
-            
-            // Translate to the position where we want the finish line
-            this.finishLine.translateCanvas(finishX, finishY);
-            
-            // Rotate by 195 degrees (converted to radians)
-            const angleInRadians = 195 * (Math.PI / 180);
-            this.finishLine.rotateCanvas(angleInRadians);
-            
-            // Draw a solid white line
-            this.finishLine.fillStyle(0xffffff, 1);
-            this.finishLine.fillRect(0, -lineThickness / 2, finishLineLength, lineThickness);
-            
-            // Restore the original transformation
-            this.finishLine.restore();
+            this.drawFinishLine();
         }
         
         // Update lane dividers
@@ -148,17 +219,9 @@ class RaceScene extends Phaser.Scene {
         // Update horses if they exist
         if (this.horses && this.horses.length > 0) {
             this.horses.forEach(horse => {
-                // Use a middle lane as the reference path for all horses (lane 6 or 7)
-                const referenceIndex = Math.floor(this.numHorses / 2) - 1; // For 12 horses, this will be lane 6
-                const laneWidth = Math.min(this.trackWidth, this.trackHeight) / 300; // Reduced for more compact formation
-                // Set all horses to follow the middle lane's path with minimal variation
-                horse.laneOffset = (this.numHorses - 1 - referenceIndex) * laneWidth;
-                // Add a tiny offset for visual separation (1/10th of the already small lane width)
-                horse.laneOffset += (horse.lane - referenceIndex) * (laneWidth * 0.1);
-                
                 // Update horse position if not in a race
                 if (!this.raceInProgress) {
-                    const startPosition = this.getPositionOnTrack(0, horse.laneOffset);
+                    const startPosition = horse.getStartPosition();
                     if (horse.sprite) {
                         horse.sprite.x = startPosition.x;
                         horse.sprite.y = startPosition.y;
@@ -175,7 +238,15 @@ class RaceScene extends Phaser.Scene {
         }
     }
     
-    // Method to create lane dividers
+    // Solid white finish line from the rail across to the outside fence
+    drawFinishLine() {
+        const line = this.trackGeometry.getFinishLine();
+        this.finishLine.clear();
+        this.finishLine.lineStyle(10, 0xffffff, 1);
+        this.finishLine.lineBetween(line.x1, line.y1, line.x2, line.y2);
+    }
+    
+    // Inside rail and outside fence, following the course geometry
     createLaneDividers() {
         if (this.lanes) {
             this.lanes.clear();
@@ -183,118 +254,157 @@ class RaceScene extends Phaser.Scene {
             this.lanes = this.add.graphics();
         }
         
+        const geometry = this.trackGeometry;
         this.lanes.lineStyle(1, 0xaaaaaa, 0.5);
-        
-        // Draw a single ellipse for the track boundary
-        const outerRadiusX = this.trackWidth / 2;
-        const outerRadiusY = this.trackHeight / 2;
-        this.lanes.strokeEllipse(this.trackCenterX, this.trackCenterY, outerRadiusX * 2, outerRadiusY * 2);
-        
-        // Draw inner ellipse (to create an oval ring)
-        const innerRadiusX = this.trackWidth / 2 - (this.trackWidth / 10);
-        const innerRadiusY = this.trackHeight / 2 - (this.trackHeight / 10);
-        this.lanes.strokeEllipse(this.trackCenterX, this.trackCenterY, innerRadiusX * 2, innerRadiusY * 2);
+        this.lanes.strokePoints(geometry.getOutline(geometry.surfaceWidth), true, true);
+        this.lanes.strokePoints(geometry.getOutline(0), true, true);
+        
+        // The chute only has rails along its sides - its end opens onto the course
+        const chute = geometry.getChuteOutline(0, geometry.surfaceWidth);
+        if (chute) {
+            this.lanes.lineBetween(chute[0].x, chute[0].y, chute[1].x, chute[1].y);
+            this.lanes.lineBetween(chute[3].x, chute[3].y, chute[2].x, chute[2].y);
+        }
     }
     
-    initHorseList() {
+    // Entries ({ name, color }) replace the default horses, e.g. a new field or a loaded replay
+    // A replay's horses only come to be watched, so they stay out of the stable
+    initHorseList(entries, fromReplay = false) {
         // Clear existing horses
         this.horses.forEach(horse => horse.destroy());
         this.horses = [];
         this.finishedHorses = [];
         
+        // Fresh simulation for the new field - it shares the scene's seeded random generator
+        // and races over the shape of the chosen course
+        this.simulation = new RaceSimulation(Object.assign({
+            rng: this.rng,
+            totalLaps: this.totalLaps,
+            conditions: RaceConditions.getRaceEffects(this.conditions),
+            balance: this.getBalance().settings
+        }, TrackGeometry.getRaceProfile(this.trackLayout)));
+        this.simulation.on('finish', runner => this.horseFinished(this.horses[runner.lane]));
+        this.simulation.on('incident', incident => this.commentator.incident(incident));
+        this.publishSimulationEvents(this.simulation);
+        
+        if (entries) {
+            this.numHorses = entries.length;
+        }
+        if (!fromReplay) {
+            this.fieldEntries = entries || null;
+        }
+        
         // Debug log
         console.log("Initializing horse list with " + this.numHorses + " horses");
         
-        // Define specific horses for all lanes
-        const specificHorses = [
-            "Fusaichi Pegasus", // Lane 1 (index 0) - Black
-            "Aura Boost",       // Lane 2 (index 1) - White Smoke
-            "Orchid Dream",     // Lane 3 (index 2) - Orchid
-            "Shell Beach",      // Lane 4 (index 3) - Light Sea Green
-            "Rose Runner",      // Lane 5 (index 4) - American Rose
-            "Dusty Trails",     // Lane 6 (index 5) - Tan
-            "Amber Flash",      // Lane 7 (index 6) - Dark Orange
-            "Green Lightning",  // Lane 8 (index 7) - Lime Green
-            "Royal Thunder",    // Lane 9 (index 8) - Royal Blue
-            "Pink Dash",        // Lane 10 (index 9) - Hot Pink
-            "Silver Streak",    // Lane 11 (index 10) - Silver
-            "Golden Arrow"      // Lane 12 (index 11) - Dark Goldenrod
-        ];
-        
-        // Define fixed colors for each lane
-        const fixedColors = [
-            "#000000", // Black
-            "#F5F5F5", // White Smoke
-            "#DA70D6", // Orchid
-            "#20B2AA", // Light Sea Green
-            "#FF033E", // American Rose
-            "#D2B48C", // Tan
-            "#FF8C00", // Dark Orange
-            "#32CD32", // Lime Green
-            "#4169E1", // Royal Blue
-            "#FF69B4", // Hot Pink
-            "#C0C0C0", // Silver
-            "#B8860B"  // Dark Goldenrod
-        ];
-        
         // Create horses
         const horseListElement = document.getElementById('horse-list');
         if (horseListElement) {
             horseListElement.innerHTML = '';
             
+            const takenNames = [];
             for (let i = 0; i < this.numHorses; i++) {
-                // Use specific horse name for each lane
-                const horseName = (i < specificHorses.length) ? specificHorses[i] : `Horse ${i+1}`;
-                
-                // Get color for this lane
-                const horseColor = (i < fixedColors.length) ? fixedColors[i] : this.getRandomHexColor();
+                // Use the given entry or the default horse for this lane
+                const entry = entries ? entries[i] : this.getDefaultEntry(i, takenNames);
+                const horseName = entry.name;
+                const horseColor = entry.color;
+                takenNames.push(horseName);
                 
-                // Create horse instance with explicit color
-                const horse = new Horse(this, i, horseName, Phaser.Display.Color.HexStringToColor(horseColor).color);
+                // Create the simulated runner and the horse that draws it
+                const runner = this.simulation.addRunner(horseName, Phaser.Display.Color.HexStringToColor(horseColor).color);
+                if (!fromReplay) {
+                    this.stable.enroll(runner, horseColor, entry);
+                } else if (entry.jockey) {
+                    // Put the recorded jockeys back up - they're only booked from the seed for a live race
+                    runner.jockey = this.jockeyRoom.getJockey(entry.jockey);
+                }
+                const horse = new Horse(this, runner);
                 this.horses.push(horse);
                 
-                // Add horse to the HTML list
-                const horseElement = document.createElement('div');
-                horseElement.className = 'horse-item';
-                horseElement.innerHTML = `
-                    <div class="horse-color" style="background-color: ${horseColor}"></div>
-                    <div class="horse-name">Lane ${i + 1}: ${horseName}</div>
-                `;
-                horseListElement.appendChild(horseElement);
-                
                 // Debug log
                 console.log(`Added horse ${i+1}: ${horseName} with color ${horseColor}`);
             }
             
+            // Add the horses to the HTML list
+            this.renderEntryList();
+            
             // Clear results panel
             const resultsPanel = document.getElementById('results-panel');
             if (resultsPanel) {
                 resultsPanel.innerHTML = '';
             }
+            
+            // Let the betting window take bets on the new field
+            if (this.bettingPanel) {
+                this.bettingPanel.setField(this.horses);
+            }
+            
+            // And the camera follow any of them
+            if (this.raceCamera) {
+                this.raceCamera.setField(this.horses);
+            }
+            
+            // Keep the setup inputs in step with the field actually on the track
+            if (this.setupPanel) {
+                this.setupPanel.show();
+            }
         } else {
             console.error("Could not find horse-list element");
         }
     }
     
+    // Default horse for a lane - the house horses first, then generated names and evenly spread colors
+    getDefaultEntry(index, takenNames) {
+        const houseHorse = DEFAULT_ROSTER[index];
+        let name = houseHorse ? houseHorse.name : null;
+        if (!name || takenNames.includes(name)) {
+            // Same name for the same lane every time, so the stable knows it's the same horse
+            const nameRng = new SeededRandom(`lane-${index + 1}`);
+            name = nameGenerator.generateName(nameRng, takenNames) || nameGenerator.getFallbackName(index + 1, takenNames);
+        }
+        
+        const color = houseHorse ? houseHorse.color : this.getFallbackColor(index);
+        return { name, color };
+    }
+    
+    // Colors for lanes past the fixed ones - golden-angle hues so neighboring lanes never look alike
+    getFallbackColor(index) {
+        const hue = ((index * 137.508) % 360) / 360;
+        const color = Phaser.Display.Color.HSLToColor(hue, 0.75, 0.5);
+        return '#' + color.color.toString(16).padStart(6, '0');
+    }
+    
     getRandomHexColor() {
         const letters = '0123456789ABCDEF';
         let color = '#';
         for (let i = 0; i < 6; i++) {
-            color += letters[Math.floor(Math.random() * 16)];
+            color += letters[this.rng.int(16)];
         }
         return color;
     }
     
     startRace() {
         console.log("Starting race...");
-        if (this.raceInProgress) {
+        if (this.raceInProgress || this.replay) {
             console.log("Race already in progress");
             return;
         }
         
+        // The morning line is only useful before the race
+        if (this.oddsJob) {
+            this.oddsJob.cancel();
+        }
+        
         this.raceInProgress = true;
         this.raceStartTime = performance.now();
         this.finishedHorses = [];
+        this.replayControls.setRaceUnderway(true);
+        
+        // Reseed so the race runs the way it was priced up after reset
+        // (or the way a seed the player just typed in runs)
+        this.applySeed(this.readSeedInput() || this.seed);
+        this.applyConditions();
+        this.assignJockeys();
         
         // Hide the entire results panel container
         const resultsPanel = document.querySelector('.results-panel');
@@ -303,12 +413,13 @@ class RaceScene extends Phaser.Scene {
             console.log('Hiding results panel container at race start');
         }
         
+        // Reset horses - stable horses keep their own skills
+        this.simulation.reset(false);
+        this.horses.forEach(horse => horse.reset());
+        
         this.updateRaceInfo();
         this.updateHorseList();
         
-        // Reset horses
-        this.horses.forEach(horse => horse.reset());
-        
         // Start countdown
         this.startCountdown();
     }
@@ -317,6 +428,7 @@ class RaceScene extends Phaser.Scene {
         let count = 3;
         this.countdownText.setText(count.toString());
         this.countdownText.setAlpha(1);
+        this.raceEvents.emit(RACE_EVENTS.COUNTDOWN_TICK, { count });
         
         // Disable the race movement during countdown
         this.raceInProgress = false;
@@ -332,12 +444,17 @@ class RaceScene extends Phaser.Scene {
         
         const countdownInterval = setInterval(() => {
             count--;
+            this.raceEvents.emit(RACE_EVENTS.COUNTDOWN_TICK, { count });
             if (count > 0) {
                 this.countdownText.setText(count.toString());
             } else {
                 clearInterval(countdownInterval);
                 this.countdownText.setText('GO!');
                 
+                // Pools close the moment the gates open
+                this.betting.close();
+                this.bettingPanel.render();
+                
                 // When GO appears, wait briefly then start the race
                 setTimeout(() => {
                     this.countdownText.setAlpha(0);
@@ -356,6 +473,22 @@ class RaceScene extends Phaser.Scene {
         
         // Enable race movement and update the timer
         this.raceInProgress = true;
+        this.simulation.start();
+        this.recorder.start(this);
+        
+        // The call gets its own stream of the seed so the phrasing never shifts the race
+        this.commentaryTicker.clear();
+        this.commentator.start(this.rng.fork('commentary'));
+        
+        this.raceEvents.emit(RACE_EVENTS.RACE_START, {
+            seed: this.seed,
+            totalLaps: this.simulation.totalLaps,
+            raceDistance: this.simulation.raceDistance,
+            trackLayout: this.trackLayout,
+            conditions: Object.assign({}, this.conditions),
+            balance: this.balanceProfile,
+            horses: this.horses.map(horse => this.getHorseIdentity(horse.runner))
+        });
         
         // Update the timer initially to 0.00
         const raceTimeElement = document.getElementById('race-time');
@@ -365,9 +498,14 @@ class RaceScene extends Phaser.Scene {
     }
     
     horseFinished(horse) {
-        console.log(`Horse ${horse.name} finished the race in position ${this.finishedHorses.length + 1}`);
+        console.log(`Horse ${horse.name} finished the race in position ${horse.position}`);
         this.finishedHorses.push(horse);
-        horse.position = this.finishedHorses.length;
+        this.commentator.finish(horse.runner, this.simulation);
+        this.raceEvents.emit(RACE_EVENTS.HORSE_FINISHED, Object.assign(this.getHorseMoment(horse.runner, horse.finishTime), {
+            finishTime: horse.finishTime,
+            margin: horse.marginLengths,
+            deadHeat: horse.deadHeat
+        }));
         
         // If all horses have finished
         if (this.finishedHorses.length >= this.numHorses) {
@@ -376,9 +514,49 @@ class RaceScene extends Phaser.Scene {
             
             // Display the winner prominently
             const winner = this.finishedHorses[0];
-            const finishTime = ((winner.finishTime - this.raceStartTime) / 1000).toFixed(2);
+            const finishTime = (winner.finishTime / 1000).toFixed(2);
             console.log(`Winner: ${winner.name} with time ${finishTime}s`);
             
+            // Keep the recording so the race can be replayed
+            this.lastRecording = this.recorder.finish(this.finishedHorses);
+            this.replayControls.setReplayAvailable(true);
+            this.replayControls.setRaceUnderway(false);
+            this.chartsPanel.show(this.lastRecording);
+            
+            // Add the race to every horse's and every jockey's career
+            const finishers = this.finishedHorses.map(finisher => finisher.runner);
+            this.commentator.complete(finishers);
+            this.stable.recordRace(finishers, this.rng.fork('stable'), this.readDevelop());
+            this.jockeyRoom.recordRace(finishers, Stable.getEarnings(finishers));
+            this.stablePanel.render();
+            
+            // Keep the race in the history
+            this.raceHistory.add(this.getResultsRecord());
+            this.historyPanel.render();
+            
+            // Carry the result into the meet and bring on the next race (a re-run of a race already decided doesn't count)
+            if (this.raceCard && this.cardRaceIndex === this.raceCard.currentRace) {
+                this.recordCardResult();
+            }
+            
+            // Pay out the betting pools from the official finish order - dead heats share a position
+            this.betting.settle(this.finishedHorses.map(finisher => ({ lane: finisher.lane, position: finisher.position })));
+            this.bettingPanel.render();
+            
+            // Close finishes in the first three go to the photo
+            this.photoFinish.showIfClose(this.finishedHorses);
+            
+            this.raceEvents.emit(RACE_EVENTS.RACE_COMPLETE, {
+                time: this.simulation.elapsed,
+                results: this.finishedHorses.map(finisher => ({
+                    horse: this.getHorseIdentity(finisher.runner),
+                    position: finisher.position,
+                    finishTime: finisher.finishTime,
+                    margin: finisher.marginLengths,
+                    deadHeat: finisher.deadHeat
+                }))
+            });
+            
             // Update the UI to show the final results
             this.updateResultsPanel();
         } else if (this.finishedHorses.length === 1) {
@@ -408,55 +586,334 @@ class RaceScene extends Phaser.Scene {
             console.log('Showing results panel container after race');
             
             const resultsTitle = document.createElement('h2');
-            resultsTitle.textContent = 'Race Results';
+            resultsTitle.textContent = this.cardRaceLabel ? `Race Results - ${this.cardRaceLabel}` : 'Race Results';
             resultsContent.appendChild(resultsTitle);
 
             this.finishedHorses.forEach((horse, index) => {
                 const resultItem = document.createElement('div');
                 resultItem.className = 'result-item';
                 
-                if (index === 0) {
+                if (horse.position === 1) {
                     resultItem.classList.add('result-highlight');
                 }
                 
-                const finishTime = ((horse.finishTime - this.raceStartTime) / 1000).toFixed(2);
+                // Hundredths can't split most close finishes, so show thousandths like the official timer
+                const finishTime = (horse.finishTime / 1000).toFixed(3);
+                const deadHeat = horse.deadHeat ? ' <span class="result-dead-heat">DH</span>' : '';
+                const margin = index > 0 && !horse.deadHeat ?
+                    `<div class="result-margin">${RaceSimulation.describeMargin(horse.marginLengths, false)}</div>` : '';
                 
                 // Add trophy for the winner (first place)
-                if (index === 0) {
+                if (horse.position === 1) {
                     resultItem.innerHTML = `
                         <div class="result-position winner">
                             <span class="trophy">🏆</span> 
-                            1. ${horse.name} 
+                            1. ${horse.name}${this.getJockeyLabel(horse)}${deadHeat}
                         </div>
                         <div class="result-time">Time: ${finishTime}s</div>
                     `;
                 } else {
                     resultItem.innerHTML = `
-                        <div class="result-position">${index + 1}. ${horse.name}</div>
+                        <div class="result-position">${horse.position}. ${horse.name}${this.getJockeyLabel(horse)}${deadHeat}</div>
+                        ${margin}
                         <div class="result-time">Time: ${finishTime}s</div>
                     `;
                 }
                 resultsContent.appendChild(resultItem);
             });
+            
+            // Lap by lap, and the full result to take away
+            this.renderSectionals(resultsContent);
+            
+            // What every ticket paid
+            if (this.bettingPanel) {
+                this.bettingPanel.renderSettlement(resultsContent);
+            }
+            
+            // Where the meet stands after this race
+            if (this.raceCard && this.cardRaceLabel) {
+                const standingsTitle = document.createElement('h3');
+                standingsTitle.textContent = `${this.raceCard.name} Standings`;
+                resultsContent.appendChild(standingsTitle);
+                this.cardPanel.renderStandings(resultsContent);
+            }
+        }
+    }
+    
+    // Pre-race list of the whole field with traits and morning-line odds
+    renderEntryList() {
+        const horseListElement = document.getElementById('horse-list');
+        if (!horseListElement) return;
+        
+        horseListElement.innerHTML = '';
+        this.horses.forEach(horse => {
+            const line = this.morningLine ? this.morningLine[horse.lane] : null;
+            const odds = line ?
+                `<div class="horse-odds" title="Win probability ${(line.probability * 100).toFixed(1)}% (decimal ${line.decimal.toFixed(2)})">${line.fractional}</div>` :
+                '<div class="horse-odds pending" title="Simulating the field...">ML</div>';
+            
+            // Career record from the stable - "Debut" for a first-time starter
+            const stableHorse = this.stable.getHorse(horse.name);
+            const record = stableHorse && stableHorse.career.starts > 0 ?
+                `<div class="horse-record" title="Starts: wins-places-shows, form ${Stable.describeForm(stableHorse.career)}">${Stable.describeRecord(stableHorse.career)}</div>` :
+                '<div class="horse-record">Debut</div>';
+            
+            // Owner and silks from the roster show when hovering over the name
+            const connections = stableHorse ?
+                [stableHorse.owner ? `Owner: ${stableHorse.owner}` : '', stableHorse.silks ? `Silks: ${stableHorse.silks}` : '']
+                    .filter(text => text).join(', ') : '';
+            
+            // Running style - the player can change it until the race starts
+            const styles = Object.keys(RUNNING_STYLES)
+                .map(style => `<option value="${style}"${style === horse.runner.style ? ' selected' : ''}>${RUNNING_STYLES[style].name}</option>`)
+                .join('');
+            
+            // Surface and going it likes - picked out when today's surface is its favourite
+            const suited = horse.runner.surfacePreference === this.conditions.surface;
+            
+            const horseElement = document.createElement('div');
+            horseElement.className = 'horse-item';
+            horseElement.innerHTML = `
+                <div class="horse-color" style="background-color: ${Phaser.Display.Color.IntegerToColor(horse.color).rgba}"></div>
+                <div class="horse-name" title="${connections}">Lane ${horse.lane + 1}: ${horse.name}${this.getJockeyLabel(horse)}</div>
+                <div class="horse-traits">${horse.traits.join(', ')}</div>
+                <div class="horse-traits${suited ? ' horse-suited' : ''}" title="Favourite surface and going">${RaceConditions.describePreferences(horse.runner)}</div>
+                <select class="horse-style" title="Running style"${this.replayFieldLoaded ? ' disabled' : ''}>${styles}</select>
+                ${record}
+                ${odds}
+            `;
+            horseElement.querySelector('.horse-style').addEventListener('change', event => {
+                this.setRunningStyle(horse, event.target.value);
+            });
+            horseListElement.appendChild(horseElement);
+        });
+    }
+    
+    // Jockey's name to show after a horse's name - nothing for a horse with nobody booked
+    getJockeyLabel(horse) {
+        const jockey = horse.runner.jockey;
+        if (!jockey) return '';
+        
+        const details = `Jockey ${jockey.name}: skill ${Math.round(jockey.skill * 100)}, ${jockey.weight}kg, ` +
+            `aggression ${Math.round(jockey.aggression * 100)}`;
+        return ` <span class="horse-jockey" title="${details}">(${jockey.name})</span>`;
+    }
+    
+    // Expandable table of every horse's lap splits and places, with the results export buttons
+    renderSectionals(container) {
+        const totalLaps = this.simulation.totalLaps;
+        const finishers = this.simulation.finishedRunners;
+        const splits = finishers.map(runner => this.simulation.getSplits(runner));
+        const seconds = time => (time / 1000).toFixed(2);
+        
+        // Fastest time for each lap, to pick out in the table
+        const fastest = [];
+        for (let lap = 0; lap < totalLaps; lap++) {
+            fastest.push(Math.min(...splits.map(horseSplits => horseSplits[lap] ? horseSplits[lap].split : Infinity)));
         }
+        
+        let html = '<summary>Sectional times</summary><div class="sectionals-wrapper"><table class="sectionals-table"><tr><th>Horse</th>';
+        for (let lap = 1; lap <= totalLaps; lap++) {
+            html += `<th>Lap ${lap}</th>`;
+        }
+        html += '</tr>';
+        finishers.forEach((runner, index) => {
+            html += `<tr><td>${runner.position}. ${runner.name}</td>`;
+            splits[index].forEach((split, lap) => {
+                const fastestClass = split.split === fastest[lap] ? ' class="sectional-fastest"' : '';
+                html += `<td${fastestClass} title="${seconds(split.time)}s into the race">
+                    ${seconds(split.split)}s <span class="sectional-position">${RaceCommentator.ordinal(split.position)}</span>
+                </td>`;
+            });
+            html += '</tr>';
+        });
+        html += '</table></div>';
+        
+        const sectionals = document.createElement('details');
+        sectionals.className = 'result-sectionals';
+        sectionals.innerHTML = html;
+        container.appendChild(sectionals);
+        
+        const exportButtons = document.createElement('div');
+        exportButtons.className = 'result-export';
+        exportButtons.innerHTML = `
+            <button class="race-button" data-format="csv">Export CSV</button>
+            <button class="race-button" data-format="json">Export JSON</button>
+        `;
+        exportButtons.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', () => this.exportResults(button.dataset.format));
+        });
+        container.appendChild(exportButtons);
+    }
+    
+    // The finished race's full result, for the history and exports
+    getResultsRecord() {
+        return ResultsExport.build(this.simulation, {
+            seed: this.seed,
+            race: this.raceCard && this.cardRaceLabel ? `${this.raceCard.name} - ${this.cardRaceLabel}` : null,
+            trackLayout: this.trackLayout,
+            conditions: Object.assign({}, this.conditions),
+            balance: this.getBalance()
+        });
+    }
+    
+    // The balance profile races are run with: { profile, name, settings }
+    getBalance() {
+        const custom = this.balanceProfile === CUSTOM_BALANCE;
+        return {
+            profile: this.balanceProfile,
+            name: custom ? 'Custom' : BALANCE_PROFILES[this.balanceProfile].name,
+            settings: Object.assign({}, custom ? this.customBalance : BALANCE_PROFILES[this.balanceProfile].settings)
+        };
+    }
+    
+    // Save the finished race's full result as a CSV or JSON download
+    exportResults(format) {
+        const results = this.getResultsRecord();
+        const filename = `jel-derby-results-${this.seed || 'race'}.${format}`;
+        if (format === 'csv') {
+            FileUtils.download(filename, ResultsExport.toCsv(results), 'text/csv');
+        } else {
+            FileUtils.download(filename, ResultsExport.toJson(results), 'application/json');
+        }
+    }
+    
+    // Pass what the simulation reports on to the race event bus
+    publishSimulationEvents(simulation) {
+        simulation.on('lap', ({ runner, lap, time }) => {
+            this.raceEvents.emit(RACE_EVENTS.LAP_CHANGE, Object.assign(this.getHorseMoment(runner, time), {
+                lap,
+                totalLaps: simulation.totalLaps
+            }));
+        });
+        simulation.on('lead', ({ runner, previous, time }) => {
+            this.raceEvents.emit(RACE_EVENTS.LEAD_CHANGE, Object.assign(this.getHorseMoment(runner, time), {
+                previous: this.getHorseIdentity(previous)
+            }));
+        });
+        simulation.on('incident', ({ runner, type, message, duration, time }) => {
+            this.raceEvents.emit(RACE_EVENTS.HORSE_EVENT_START, Object.assign(this.getHorseMoment(runner, time), {
+                type,
+                message,
+                duration
+            }));
+        });
+        simulation.on('incident-end', ({ runner, event, time }) => {
+            this.raceEvents.emit(RACE_EVENTS.HORSE_EVENT_END, Object.assign(this.getHorseMoment(runner, time), { event }));
+        });
+    }
+    
+    // Who a horse is, for race events
+    getHorseIdentity(runner) {
+        return {
+            lane: runner.lane,
+            name: runner.name,
+            color: '#' + runner.color.toString(16).padStart(6, '0'),
+            jockey: runner.jockey ? runner.jockey.name : null
+        };
+    }
+    
+    // Who a horse is and where it is in the race, for race events
+    getHorseMoment(runner, time) {
+        const simulation = this.simulation;
+        const position = runner.position !== null ? runner.position :
+            simulation.finishedRunners.length + simulation.standings.indexOf(runner) + 1;
+        return {
+            horse: this.getHorseIdentity(runner),
+            time,
+            distance: runner.finished ? simulation.totalRaceDistance : runner.distance,
+            position
+        };
+    }
+    
+    // Settle the next race's conditions - anything left random is drawn from the seed
+    applyConditions() {
+        this.conditions = RaceConditions.resolve(this.conditionSettings, this.rng.fork('conditions'));
+        this.simulation.conditions = RaceConditions.getRaceEffects(this.conditions);
+        this.showConditions(this.conditions);
+        console.log(`Race conditions: ${RaceConditions.describe(this.conditions)}`);
+    }
+    
+    // Redraw the track for the surface and going, start the weather and show the conditions in the race info
+    showConditions(conditions) {
+        const drawn = this.drawnConditions;
+        if (!drawn || drawn.surface !== conditions.surface || drawn.going !== conditions.going) {
+            this.createPlaceholderAssets(conditions);
+        }
+        if (this.weatherEffects) {
+            this.weatherEffects.setWeather(conditions.weather);
+        }
+        
+        const conditionsElement = document.getElementById('race-conditions');
+        if (conditionsElement) {
+            conditionsElement.textContent = RaceConditions.describe(conditions);
+        }
+    }
+    
+    // Book the jockeys for the next race - drawn from the seed, so a re-run has the same riders
+    assignJockeys() {
+        this.jockeyRoom.assign(this.simulation.runners, this.rng.fork('jockeys'));
+        console.log('Jockeys booked:', this.horses.map(horse => `${horse.name} - ${horse.runner.jockey.name}`).join(', '));
+    }
+    
+    // Change how a horse runs - it keeps the style in the stable, and the odds are worked out again
+    setRunningStyle(horse, style) {
+        if (this.isRaceUnderway() || this.replay || !RUNNING_STYLES[style]) {
+            console.error(`Can't change ${horse.name}'s running style now`);
+            this.renderEntryList();
+            return;
+        }
+        
+        horse.runner.style = style;
+        this.stable.setStyle(horse.name, style);
+        console.log(`${horse.name} will race as a ${RUNNING_STYLES[style].name.toLowerCase()}`);
+        
+        this.updateMorningLine();
+        this.renderEntryList();
+    }
+    
+    // Simulate the current field in the background and publish the morning line
+    updateMorningLine() {
+        if (this.oddsJob) {
+            this.oddsJob.cancel();
+        }
+        this.morningLine = null;
+        
+        // A side stream of the seed keeps the odds reproducible without touching the race rolls
+        this.oddsJob = this.oddsCalculator.calculateAsync(this.simulation, this.rng.fork('odds'), odds => {
+            this.morningLine = odds;
+            this.oddsJob = null;
+            console.log('Morning line:', odds.map(line => `${this.horses[line.lane].name} ${line.fractional}`).join(', '));
+            
+            if (!this.raceInProgress && this.finishedHorses.length === 0) {
+                this.renderEntryList();
+            }
+        });
     }
     
     updateHorseList() {
+        // Before the race show the full field with odds instead of standings
+        if (!this.raceInProgress && this.finishedHorses.length === 0) {
+            this.renderEntryList();
+            return;
+        }
+        
         const horseListElement = document.getElementById('horse-list');
         if (horseListElement) {
             horseListElement.innerHTML = ''; // Clear the current list
 
-            // Sort horses by distance
-            const sortedHorses = this.horses.slice().sort((a, b) => b.distance - a.distance);
+            // Same running order as the timing tower
+            const order = this.getRaceOrder();
+            this.updateTimingTower(order);
 
-            // Display top 6 horses
-            sortedHorses.slice(0, 7).forEach((horse, index) => {
+            // Display the first 7 horses
+            order.slice(0, 7).forEach(({ horse }, index) => {
                 const horseElement = document.createElement('div');
                 horseElement.className = 'horse-item';
                 horseElement.innerHTML = `
                     <div class="horse-position">${index + 1}</div> &nbsp;
                     <div class="horse-color" style="background-color: ${Phaser.Display.Color.IntegerToColor(horse.color).rgba}"></div>
-                    <div class="horse-name">${horse.name}</div>
+                    <div class="horse-name">${horse.name}${this.getJockeyLabel(horse)}</div>
                 `;
                 horseListElement.appendChild(horseElement);
             });
@@ -464,24 +921,66 @@ class RaceScene extends Phaser.Scene {
     }
     
     resetRace() {
+        // Resetting during a replay just leaves the replay (which resets the race itself)
+        if (this.replay) {
+            this.stopReplay();
+            return;
+        }
+        
         // Reset race state
         this.raceInProgress = false;
         this.raceStartTime = 0;
         this.currentTime = 0;
         this.finishedHorses = [];
+        this.replayControls.setRaceUnderway(false);
+        
+        // Use the player's seed if one was entered, otherwise roll a new one
+        this.applySeed(this.readSeedInput() || SeededRandom.createSeed());
+        
+        // Once a meet is over the horses on the track are just a field again
+        const meetRunning = this.raceCard && !this.raceCard.isComplete();
+        if (!meetRunning) {
+            this.cardRaceLabel = null;
+        }
         
-        // Hide results panel when resetting
+        // Bring in a new field unless the same horses are staying in - tickets on the old field are void
+        // (a meet decides its own fields)
+        if (!meetRunning && !this.readKeepField()) {
+            this.betting.reset();
+            this.initHorseList(this.drawNewField());
+        }
+        
+        // Open fresh pools once the last race's betting is closed (open tickets carry over)
+        if (!this.betting.isOpen) {
+            this.betting.reset();
+        }
+        if (this.bettingPanel) {
+            this.bettingPanel.render();
+        }
+        
+        // Hide results panel and any photo when resetting
         const resultsContainer = document.querySelector('.results-panel');
         if (resultsContainer) {
             resultsContainer.style.display = 'none';
             console.log('Hiding results panel on reset');
         }
-        
-        // Reset horses
+        this.photoFinish.hide();
+        this.chartsPanel.hide();
+        this.commentator.reset();
+        this.commentaryTicker.clear();
+        this.timingTower.clear();
+        
+        // Reset horses for the next race's conditions and put up the jockeys
+        this.applyConditions();
+        this.assignJockeys();
+        this.simulation.reset(false);
         this.horses.forEach(horse => horse.reset());
         
-        // Reset camera position
-        this.cameras.main.scrollX = 0;
+        // Price up the new field
+        this.updateMorningLine();
+        
+        // Cut the camera straight back to the start
+        this.raceCamera.snap();
         
         // Update UI
         this.updateRaceInfo();
@@ -490,6 +989,248 @@ class RaceScene extends Phaser.Scene {
         
         // Enable UI controls
         this.enableRaceControls();
+        
+        this.raceEvents.emit(RACE_EVENTS.RESET, { seed: this.seed });
+    }
+    
+    // Read the seed typed into the race controls (empty string if none)
+    readSeedInput() {
+        const seedInput = document.getElementById('race-seed');
+        return seedInput ? seedInput.value.trim() : '';
+    }
+    
+    // From Start until the last horse is home, countdown included
+    isRaceUnderway() {
+        return this.raceInProgress || (this.raceStartTime > 0 && this.finishedHorses.length < this.numHorses);
+    }
+    
+    /**
+     * Change the field size and race length from the setup panel - throws if it can't be changed now
+     * @param {Object} setup
+     * @param {number} setup.numHorses - Horses in the field
+     * @param {number} setup.totalLaps - Race length in laps (may be a fraction)
+     * @param {Object} [setup.balance] - { profile, custom } - balance profile and the custom profile's settings
+     */
+    applySetup({ numHorses, totalLaps, trackLayout, conditions, balance }) {
+        if (this.isRaceUnderway() || this.replay) {
+            throw new Error("Wait for the current race or replay to finish");
+        }
+        if (this.raceCard && !this.raceCard.isComplete()) {
+            throw new Error("Finish or abandon the meet before changing the setup");
+        }
+        
+        this.totalLaps = totalLaps;
+        if (conditions) {
+            this.conditionSettings = conditions;
+        }
+        if (balance) {
+            this.balanceProfile = balance.profile;
+            this.customBalance = balance.custom;
+        }
+        
+        // A new course is laid out (and drawn) before the horses go into the gate
+        if (trackLayout && trackLayout !== this.trackLayout) {
+            this.trackLayout = trackLayout;
+            this.updateTrackDimensions();
+        }
+        
+        // Keep the horses already on the track and add or drop lanes at the outside
+        const entries = [];
+        for (let i = 0; i < numHorses; i++) {
+            const horse = this.horses[i];
+            entries.push(horse ?
+                { name: horse.name, color: '#' + horse.color.toString(16).padStart(6, '0') } :
+                this.getDefaultEntry(i, entries.map(entry => entry.name)));
+        }
+        
+        console.log(`Race setup: ${numHorses} horses over ${totalLaps} laps on the ${TRACK_LAYOUTS[this.trackLayout].name} course, ${this.getBalance().name} balance`);
+        this.initHorseList(entries);
+        this.resetRace();
+    }
+    
+    // Put a loaded roster on the track as the field - throws if it can't be changed now
+    applyRoster(entries) {
+        if (this.isRaceUnderway() || this.replay) {
+            throw new Error("Wait for the current race or replay to finish");
+        }
+        if (this.raceCard && !this.raceCard.isComplete()) {
+            throw new Error("Finish or abandon the meet before loading a roster");
+        }
+        const limits = SETUP_LIMITS.horses;
+        if (entries.length < limits.min || entries.length > limits.max) {
+            throw new Error(`A roster needs ${limits.min} to ${limits.max} horses - this one has ${entries.length}`);
+        }
+        
+        // Tickets on the old field are void
+        this.betting.reset();
+        this.initHorseList(entries);
+        this.resetRace();
+        console.log(`Loaded a roster of ${entries.length} horses`);
+    }
+    
+    // The field on the track as roster entries - stats are only included for horses that race with fixed stats
+    getRoster() {
+        return this.horses.map(horse => {
+            const stableHorse = this.stable.getHorse(horse.name) || {};
+            const entry = {
+                name: horse.name,
+                color: '#' + horse.color.toString(16).padStart(6, '0').toUpperCase(),
+                owner: stableHorse.owner || '',
+                silks: stableHorse.silks || '',
+                style: horse.runner.style
+            };
+            if (stableHorse.fixedStats) {
+                const skills = stableHorse.skills;
+                entry.stats = {
+                    baseSpeed: skills.baseSpeed,
+                    stamina: skills.stamina,
+                    acceleration: skills.acceleration,
+                    luckFactor: skills.luckFactor
+                };
+            }
+            return entry;
+        });
+    }
+    
+    // Start a meet with the horses on the track - throws if the card can't be run with this field
+    startMeet(options) {
+        if (this.isRaceUnderway() || this.replay) {
+            throw new Error("Wait for the current race or replay to finish");
+        }
+        
+        const entries = this.horses.map(horse => ({
+            name: horse.name,
+            color: '#' + horse.color.toString(16).padStart(6, '0')
+        }));
+        this.raceCard = new RaceCard(Object.assign({ entries }, options));
+        this.loadCardRace();
+    }
+    
+    abandonMeet() {
+        console.log(`Abandoning ${this.raceCard.name}`);
+        this.raceCard = null;
+        this.cardRaceLabel = null;
+        this.cardRaceIndex = null;
+        this.cardAdvancePending = false;
+        this.updateCardDisplay();
+        
+        if (!this.raceInProgress && !this.replay) {
+            this.resetRace();
+        }
+    }
+    
+    // Put the next race on the card on the track
+    loadCardRace() {
+        const race = this.raceCard.getCurrentRace();
+        if (!race) return;
+        
+        this.cardRaceLabel = race.label;
+        this.cardRaceIndex = this.raceCard.currentRace;
+        this.initHorseList(race.entries);
+        this.resetRace();
+        this.updateCardDisplay();
+        console.log(`Card: ${race.label} with ${race.entries.length} runners`);
+        
+        // Let the meet run itself if the player asked for it
+        if (this.cardPanel.isAutoRun()) {
+            const startRaceButton = document.getElementById('start-race');
+            setTimeout(() => {
+                if (!this.raceInProgress && !this.replay && this.finishedHorses.length === 0) {
+                    startRaceButton.click();
+                }
+            }, 2000);
+        }
+    }
+    
+    recordCardResult() {
+        this.raceCard.recordResult(this.finishedHorses.map(horse => ({
+            name: horse.name,
+            position: horse.position,
+            finishTime: horse.finishTime
+        })));
+        this.cardPanel.render();
+        this.updateCardDisplay();
+        
+        if (this.raceCard.isComplete()) {
+            const champion = this.raceCard.getChampion();
+            console.log(`${this.raceCard.name} champion: ${champion.name}`);
+            return;
+        }
+        
+        // Give everyone a few seconds with the result before the next field goes out
+        const card = this.raceCard;
+        setTimeout(() => {
+            if (this.raceCard !== card) return;
+            if (this.replay || this.raceInProgress) {
+                this.cardAdvancePending = true;
+                return;
+            }
+            this.loadCardRace();
+        }, 5000);
+    }
+    
+    // Show which race of the meet is on in the race info box
+    updateCardDisplay() {
+        const cardElement = document.getElementById('race-card-display');
+        if (!cardElement) return;
+        
+        const card = this.raceCard;
+        if (!card) {
+            cardElement.textContent = '';
+        } else if (card.isComplete()) {
+            cardElement.textContent = `${card.name} champion: ${card.getChampion().name}`;
+        } else {
+            cardElement.textContent = `${card.name}: ${this.cardRaceLabel} (${this.cardRaceIndex + 1}/${card.races.length})`;
+        }
+    }
+    
+    // Whether Reset keeps the same horses (true unless the player unticked "Keep field")
+    readKeepField() {
+        const keepFieldInput = document.getElementById('keep-field');
+        return keepFieldInput ? keepFieldInput.checked : true;
+    }
+    
+    // Whether the horses' stats move on after each race - a seed only re-runs a race exactly while they don't
+    readDevelop() {
+        const developInput = document.getElementById('develop-horses');
+        return developInput ? developInput.checked : true;
+    }
+    
+    // A new field from the seed - about half are horses from the stable, the rest first-time starters
+    // with names nobody in the stable or the race history has had
+    drawNewField() {
+        const rng = this.rng.fork('field');
+        const veterans = this.stable.horses.slice();
+        const knownNames = this.stable.horses.map(horse => horse.name).concat(this.raceHistory.getHorseNames());
+        const entries = [];
+        
+        while (entries.length < this.numHorses) {
+            if (veterans.length > 0 && rng.next() < 0.5) {
+                const horse = veterans.splice(rng.int(veterans.length), 1)[0];
+                entries.push({ name: horse.name, color: horse.color });
+                continue;
+            }
+            
+            const takenNames = knownNames.concat(entries.map(entry => entry.name));
+            const name = nameGenerator.generateName(rng, takenNames) || nameGenerator.getFallbackName(entries.length + 1, takenNames);
+            entries.push({ name, color: this.getRandomHexColor() });
+        }
+        
+        console.log(`Drew a new field: ${entries.map(entry => entry.name).join(', ')}`);
+        return entries;
+    }
+    
+    // Reseed the shared random generator and show the seed so the race can be re-run later
+    applySeed(seed) {
+        this.rng.setSeed(seed);
+        this.seed = this.rng.seed;
+        
+        const seedElement = document.getElementById('race-seed-display');
+        if (seedElement) {
+            seedElement.textContent = `Seed: ${this.seed}`;
+        }
+        
+        console.log(`Race seed set to ${this.seed}`);
     }
     
     enableRaceControls() {
@@ -500,13 +1241,18 @@ class RaceScene extends Phaser.Scene {
     }
     
     update(time, delta) {
-        if (this.raceInProgress) {
-            // Update horses
-            this.horses.forEach(horse => {
-                if (!horse.finished) {
-                    horse.update(time, delta);
-                }
-            });
+        if (this.weatherEffects) {
+            this.weatherEffects.update(delta);
+        }
+        
+        if (this.replay) {
+            this.updateReplay(delta);
+        } else if (this.raceInProgress) {
+            // Step the simulation with a fixed timestep, then draw the horses where it left them
+            this.simulation.advance(delta);
+            this.commentator.update(this.simulation);
+            this.horses.forEach(horse => horse.update(time, delta));
+            this.recorder.capture(this.simulation);
             
             // Update the raceTime - only if race has actually started
             if (this.raceStartTime > 0) {
@@ -524,6 +1270,184 @@ class RaceScene extends Phaser.Scene {
                 }
             }
         }
+        
+        // Point the camera once the horses have moved
+        this.raceCamera.update(delta, this.getRaceOrder());
+    }
+    
+    /**
+     * The field in race order, live or from the replay - finishers in their places, then the rest by
+     * ground covered. Each entry: { horse, laps, lengths, lap, finished, position, finishTime, margin,
+     * deadHeat, event } - laps and lengths run from the start, position and the rest once finished.
+     */
+    getRaceOrder() {
+        let order;
+        if (this.replay) {
+            const state = this.replay.getState();
+            const lapLength = this.replay.recording.trackLength;
+            const results = {};
+            (this.replay.recording.results || []).forEach(result => {
+                results[result.lane] = result;
+            });
+            order = this.horses.map(horse => {
+                const horseState = state[horse.lane];
+                const result = horseState.finished ? results[horse.lane] : null;
+                return {
+                    horse,
+                    laps: horseState.distance / lapLength,
+                    // Recordings are raced with the simulation's standard length of a horse
+                    lengths: horseState.distance / (lapLength / 60),
+                    lap: horseState.lap,
+                    finished: horseState.finished,
+                    position: result ? result.position : null,
+                    finishTime: result ? result.finishTime : null,
+                    margin: result ? result.margin : null,
+                    deadHeat: result ? result.deadHeat : false,
+                    event: horseState.event
+                };
+            });
+        } else {
+            order = this.horses.map(horse => ({
+                horse,
+                laps: horse.distance / this.simulation.trackLength,
+                lengths: horse.distance / this.simulation.horseLength,
+                lap: horse.currentLap,
+                finished: horse.finished,
+                position: horse.position,
+                finishTime: horse.finishTime,
+                margin: horse.marginLengths,
+                deadHeat: horse.deadHeat,
+                event: horse.currentEvent
+            }));
+        }
+        
+        return order.sort((a, b) => (b.finished - a.finished) ||
+            (a.position && b.position ? a.position - b.position : b.laps - a.laps));
+    }
+    
+    // Bring the timing tower up to date - the live race or the replay showing
+    updateTimingTower(order) {
+        if (this.replay) {
+            const recording = this.replay.recording;
+            const raceDistance = recording.raceDistance || recording.totalLaps * recording.trackLength;
+            this.timingTower.update(order, {
+                time: this.replay.time,
+                raceLaps: raceDistance / recording.trackLength,
+                startLaps: this.replay.startOffset / recording.trackLength,
+                totalLaps: recording.totalLaps
+            });
+        } else {
+            const simulation = this.simulation;
+            this.timingTower.update(order, {
+                time: simulation.elapsed,
+                raceLaps: simulation.raceDistance / simulation.trackLength,
+                startLaps: simulation.startOffset / simulation.trackLength,
+                totalLaps: simulation.totalLaps
+            });
+        }
+    }
+    
+    // Watch a recorded race - the live simulation is left alone until the replay ends
+    startReplay(recording) {
+        if (this.isRaceUnderway()) {
+            console.log("Can't start a replay during a race");
+            return;
+        }
+        
+        if (this.oddsJob) {
+            this.oddsJob.cancel();
+        }
+        
+        // Put the recorded field on the track if it isn't the one already there
+        const sameField = recording.horses.length === this.horses.length &&
+            recording.horses.every((entry, i) => entry.name === this.horses[i].name);
+        if (!sameField) {
+            if (!this.replayFieldLoaded) {
+                this.savedNumHorses = this.numHorses;
+                this.savedFieldEntries = this.fieldEntries;
+            }
+            this.initHorseList(recording.horses, true);
+            this.replayFieldLoaded = true;
+        } else {
+            // Same horses, but they may have had different riders that day
+            recording.horses.forEach((entry, i) => {
+                if (entry.jockey) this.horses[i].runner.jockey = this.jockeyRoom.getJockey(entry.jockey);
+            });
+        }
+        
+        // Show the day the race was run on (older recordings don't know)
+        if (recording.conditions) {
+            this.showConditions(recording.conditions);
+        }
+        
+        this.replay = new RaceReplay(recording);
+        this.replay.play();
+        this.commentaryTicker.clear();
+        this.timingTower.clear();
+        this.chartsPanel.hide();
+        
+        // Hide results and lock the start button while the replay runs
+        const resultsContainer = document.querySelector('.results-panel');
+        if (resultsContainer) {
+            resultsContainer.style.display = 'none';
+        }
+        this.photoFinish.hide();
+        const startRaceButton = document.getElementById('start-race');
+        if (startRaceButton) {
+            startRaceButton.disabled = true;
+        }
+        
+        this.replayControls.show(this.replay);
+        console.log(`Replaying race with seed ${recording.seed}`);
+    }
+    
+    stopReplay() {
+        if (!this.replay) return;
+        
+        this.replay = null;
+        this.replayControls.hide();
+        
+        // Bring back our own field if the replay brought its own
+        if (this.replayFieldLoaded) {
+            this.numHorses = this.savedNumHorses;
+            this.initHorseList(this.savedFieldEntries);
+            this.replayFieldLoaded = false;
+        }
+        
+        this.resetRace();
+        
+        // A card race that came up while the replay was on
+        if (this.cardAdvancePending) {
+            this.cardAdvancePending = false;
+            this.loadCardRace();
+        }
+    }
+    
+    updateReplay(delta) {
+        const replay = this.replay;
+        replay.update(delta);
+        
+        // Draw every horse from the recording
+        const state = replay.getState();
+        const lapLength = replay.recording.trackLength;
+        this.horses.forEach(horse => {
+            const horseState = state[horse.lane];
+            const laneOffset = horse.getLaneOffset(horseState.lateral, replay.laneWidth, replay.surfaceWidth);
+            horse.drawAt((horseState.distance + replay.startOffset) / lapLength, delta, horseState.finished || !replay.playing,
+                replay.startOffset / lapLength, laneOffset);
+        });
+        
+        this.replayControls.update();
+        this.updateTimingTower(this.getRaceOrder());
+        
+        // Show the replay clock and the leader's lap in the race info box
+        const raceTimeElement = document.getElementById('race-time');
+        const lapProgressElement = document.getElementById('lap-progress');
+        if (raceTimeElement && lapProgressElement) {
+            const leader = state.reduce((best, horse) => horse.distance > best.distance ? horse : best, state[0]);
+            raceTimeElement.textContent = `Replay: ${(replay.time / 1000).toFixed(2)}s`;
+            lapProgressElement.textContent = `Lap: ${leader.lap}/${replay.recording.totalLaps}`;
+        }
     }
     
     updateRaceInfo() {
@@ -533,7 +1457,7 @@ class RaceScene extends Phaser.Scene {
         if (raceTimeElement && lapProgressElement) {
             // Only show elapsed time if race has started
             if (this.raceStartTime > 0) {
-                const elapsedTime = (this.currentTime - this.raceStartTime) / 1000;
+                const elapsedTime = this.simulation.elapsed / 1000;
                 raceTimeElement.textContent = `Race Time: ${elapsedTime.toFixed(2)}s`;
             } else {
                 raceTimeElement.textContent = 'Race Time: 0.00s';
@@ -543,39 +1467,26 @@ class RaceScene extends Phaser.Scene {
             if (this.horses.length > 0) {
                 const leadingHorse = this.horses.reduce((leader, horse) => 
                     !horse.finished && horse.distance > leader.distance ? horse : leader, this.horses[0]);
-                const leadingLap = Math.min(this.totalLaps, Math.floor(leadingHorse.distance / this.trackLength) + 1);
-                lapProgressElement.textContent = `Lap: ${leadingLap}/${this.totalLaps}`;
+                const leadingLap = leadingHorse.currentLap;
+                lapProgressElement.textContent = `Lap: ${leadingLap}/${this.simulation.totalLaps}`;
             }
         }
     }
     
-    // Calculate position on oval track based on distance
-    getPositionOnTrack(distance, laneOffset) {
-        // Normalize distance to track length (0 to 1)
-        const normalizedDistance = (distance % this.trackLength) / this.trackLength;
-        
-        // Calculate angle based on normalized distance (0 to 2π)
-        const angle = normalizedDistance * Math.PI * 2;
-        
-        // Calculate the base radius (without lane offset) - increased for larger path
-        const baseRadiusX = (this.trackWidth / 2) - (this.trackWidth / 55);
-        const baseRadiusY = (this.trackHeight / 2) - (this.trackHeight / 55);
-        
-        // Apply lane offset - smaller offset for more similar paths
-        const radiusX = baseRadiusX - laneOffset;
-        const radiusY = baseRadiusY - laneOffset;
-        
-        // Calculate position on the oval
-        const x = this.trackCenterX + radiusX * Math.cos(angle);
-        const y = this.trackCenterY + radiusY * Math.sin(angle);
-        
-        // Calculate rotation angle (tangent to the oval)
-        const rotationAngle = Math.atan2(-radiusY * Math.sin(angle), -radiusX * Math.cos(angle));
-        
-        return { x, y, rotation: rotationAngle };
+    /**
+     * Where a horse is drawn on the course
+     * @param {number} distance - Pixels from the finish line along the rail, may be more than one lap
+     * @param {number} laneOffset - Pixels out from the rail
+     * @param {number} [startDistance] - Where the race started, so chute starts run down the chute
+     */
+    getPositionOnTrack(distance, laneOffset, startDistance) {
+        return this.trackGeometry.getPoint(distance, laneOffset, startDistance);
     }
     
-    createPlaceholderAssets() {
+    createPlaceholderAssets(conditions = this.drawnConditions || this.conditions) {
+        // Use a side stream of the seed so redrawing the track (e.g. on resize) never shifts the race rolls
+        const textureRng = this.rng.fork('track');
+        
         // Create track texture
         const trackGraphics = this.make.graphics({x: 0, y: 0, add: false});
         
@@ -590,10 +1501,10 @@ class RaceScene extends Phaser.Scene {
         
         // Add grass texture pattern
         for (let i = 0; i < 5000; i++) {
-            const x = Math.random() * width;
-            const y = Math.random() * height;
-            const size = Math.random() * 3 + 1;
-            const shade = Math.random() * 0.2 - 0.1; // Random shade variation
+            const x = textureRng.next() * width;
+            const y = textureRng.next() * height;
+            const size = textureRng.next() * 3 + 1;
+            const shade = textureRng.next() * 0.2 - 0.1; // Random shade variation
             
             // Calculate color variation for more natural look
             const colorVariation = shade < 0 ? 
@@ -608,48 +1519,61 @@ class RaceScene extends Phaser.Scene {
             trackGraphics.fillCircle(x, y, size);
         }
         
+        // The course itself needs the geometry, which is laid out once the screen size is known
+        const geometry = this.trackGeometry;
+        if (geometry) {
+            this.drawTrackSurface(trackGraphics, geometry, textureRng, conditions);
+            this.drawnConditions = conditions;
+        }
+        
+        // Generate texture
+        trackGraphics.generateTexture('track', width, height);
+        
+        // Create finish line texture
+        const finishGraphics = this.make.graphics({x: 0, y: 0, add: false});
+        finishGraphics.fillStyle(0xffffff);
+        
+        // Create checkered pattern
+        const squareSize = 5;
+        for (let y = 0; y < 100; y += squareSize * 2) {
+            for (let x = 0; x < 10; x += squareSize) {
+                finishGraphics.fillRect(x, y, squareSize, squareSize);
+                finishGraphics.fillRect(x + squareSize, y + squareSize, squareSize, squareSize);
+            }
+        }
+        
+        // Generate texture
+        finishGraphics.generateTexture('finishLine', 10, 100);
+    }
+    
+    // Racing surface for the day's conditions with its rails and the infield, drawn into the track texture
+    drawTrackSurface(trackGraphics, geometry, textureRng, conditions) {
+        const fence = geometry.getOutline(geometry.surfaceWidth);
+        const rail = geometry.getOutline(0);
+        const chute = geometry.getChuteOutline(0, geometry.surfaceWidth);
+        
         // Draw outer shadow for depth
         const shadowWidth = 15;
-        const outerX = this.trackCenterX;
-        const outerY = this.trackCenterY;
-        const outerWidth = this.trackWidth + shadowWidth * 2;
-        const outerHeight = this.trackHeight + shadowWidth * 2;
-        
-        // Create shadow with gradient
         trackGraphics.fillStyle(0x000000, 0.3);
-        trackGraphics.fillEllipse(outerX, outerY, outerWidth, outerHeight);
+        trackGraphics.fillPoints(geometry.getOutline(geometry.surfaceWidth + shadowWidth), true, true);
+        if (chute) {
+            trackGraphics.fillPoints(geometry.getChuteOutline(-shadowWidth, geometry.surfaceWidth + shadowWidth), true, true);
+        }
         
-        // Draw oval-shaped track with a rich dirt texture
-        const trackColor = 0xd2b48c; // Tan/dirt color
+        // Racing surface with a rich texture - tan dirt, green turf or synthetic, darker when the going is soft
+        const trackColor = RaceConditions.getSurfaceColor(conditions);
         trackGraphics.fillStyle(trackColor);
+        trackGraphics.fillPoints(fence, true, true);
+        if (chute) {
+            trackGraphics.fillPoints(chute, true, true);
+        }
         
-        // Draw main track
-        const mainTrackWidth = this.trackWidth;
-        const mainTrackHeight = this.trackHeight;
-        trackGraphics.fillEllipse(outerX, outerY, mainTrackWidth, mainTrackHeight);
-        
-        // Add dirt texture to the track
+        // Add texture to the track - spread by distance round the lap so every part gets the same
         for (let i = 0; i < 8000; i++) {
-            // Generate points only within the track area (using parametric equation of ellipse)
-            const angle = Math.random() * Math.PI * 2;
-            const radiusVariation = 0.9 + Math.random() * 0.1; // Between 0.9 and 1.0
-            
-            const ellipseX = outerX + (mainTrackWidth/2) * Math.cos(angle) * radiusVariation;
-            const ellipseY = outerY + (mainTrackHeight/2) * Math.sin(angle) * radiusVariation;
+            const point = geometry.getPoint(textureRng.next() * geometry.length, textureRng.next() * geometry.surfaceWidth);
             
-            // Skip points in the inner ellipse
-            const innerRadiusX = (this.trackWidth - (this.trackWidth / 10)) / 2;
-            const innerRadiusY = (this.trackHeight - (this.trackHeight / 10)) / 2;
-            
-            const normalizedX = (ellipseX - outerX) / innerRadiusX;
-            const normalizedY = (ellipseY - outerY) / innerRadiusY;
-            
-            if (normalizedX * normalizedX + normalizedY * normalizedY < 1) {
-                continue; // Skip points inside the inner ellipse
-            }
-            
-            const size = Math.random() * 2 + 0.5;
-            const shade = Math.random() * 0.3 - 0.15; // Random shade variation
+            const size = textureRng.next() * 2 + 0.5;
+            const shade = textureRng.next() * 0.3 - 0.15; // Random shade variation
             
             // Calculate color variation for more natural dirt look
             const dirtVariation = shade < 0 ? 
@@ -660,32 +1584,35 @@ class RaceScene extends Phaser.Scene {
                 Math.min(255, (((trackColor >> 8) & 0xFF) + Math.floor(shade * 255))) << 8 | 
                 Math.min(255, (((trackColor >> 16) & 0xFF) + Math.floor(shade * 255))) << 16;
             
-            trackGraphics.fillStyle(dirtVariation, Math.random() * 0.7 + 0.3);
-            trackGraphics.fillCircle(ellipseX, ellipseY, size);
+            trackGraphics.fillStyle(dirtVariation, textureRng.next() * 0.7 + 0.3);
+            trackGraphics.fillCircle(point.x, point.y, size);
         }
         
-        // Draw inner ellipse (to create an oval ring) with a slightly darker green for contrast
-        const innerWidth = this.trackWidth - (this.trackWidth / 10);
-        const innerHeight = this.trackHeight - (this.trackHeight / 10);
+        // Standing water on a muddy or sloppy track
+        const puddles = Math.round(Math.max(0, TRACK_GOINGS[conditions.going].softness - 0.5) * 240);
+        for (let i = 0; i < puddles; i++) {
+            const point = geometry.getPoint(textureRng.next() * geometry.length, textureRng.next() * geometry.surfaceWidth);
+            const size = textureRng.next() * 6 + 3;
+            trackGraphics.fillStyle(0x5d6d7e, 0.35);
+            trackGraphics.fillEllipse(point.x, point.y, size * 2, size);
+        }
         
         // Inner field with a slightly different shade of green
         const innerFieldColor = 0x228b22; // Forest green
         trackGraphics.fillStyle(innerFieldColor);
+        trackGraphics.fillPoints(rail, true, true);
         
-        // Draw main track
-        trackGraphics.fillEllipse(outerX, outerY, innerWidth, innerHeight);
-        
-        // Add texture to inner field
+        // Add texture to inner field - random points inside the rail
+        const minX = Math.min(...rail.map(point => point.x));
+        const maxX = Math.max(...rail.map(point => point.x));
+        const minY = Math.min(...rail.map(point => point.y));
+        const maxY = Math.max(...rail.map(point => point.y));
         for (let i = 0; i < 3000; i++) {
-            // Generate points only within the inner field
-            const angle = Math.random() * Math.PI * 2;
-            const radiusVariation = Math.random() * 0.9; // Between 0 and 0.9
-            
-            const ellipseX = outerX + (innerWidth/2) * Math.cos(angle) * radiusVariation;
-            const ellipseY = outerY + (innerHeight/2) * Math.sin(angle) * radiusVariation;
-            
-            const size = Math.random() * 2 + 0.5;
-            const shade = Math.random() * 0.2 - 0.1; // Random shade variation
+            const x = minX + textureRng.next() * (maxX - minX);
+            const y = minY + textureRng.next() * (maxY - minY);
+            const size = textureRng.next() * 2 + 0.5;
+            const shade = textureRng.next() * 0.2 - 0.1; // Random shade variation
+            if (!geometry.containsPoint(x, y)) continue;
             
             // Calculate color variation for inner field
             const innerVariation = shade < 0 ? 
@@ -697,46 +1624,15 @@ class RaceScene extends Phaser.Scene {
                 Math.min(255, (((innerFieldColor >> 16) & 0xFF) + Math.floor(shade * 255))) << 16;
             
             trackGraphics.fillStyle(innerVariation);
-            trackGraphics.fillCircle(ellipseX, ellipseY, size);
+            trackGraphics.fillCircle(x, y, size);
         }
         
-        // Add subtle lane dividers with darker dirt color
+        // Add subtle lane dividers a little darker than the track
         const numLanes = 6;
-        const laneWidth = (mainTrackWidth - innerWidth) / (2 * numLanes);
-        
+        const laneDividerColor = Phaser.Display.Color.IntegerToColor(trackColor).darken(10).color;
+        trackGraphics.lineStyle(1, laneDividerColor, 0.4);
         for (let lane = 1; lane < numLanes; lane++) {
-            const laneRadius = (innerWidth / 2) + (laneWidth * lane);
-            
-            // Use a slightly darker version of the track color for the lane dividers
-            const laneDividerColor = 0xc0a070; // Slightly darker than the track
-            trackGraphics.lineStyle(1, laneDividerColor, 0.4);
-            
-            // Draw the full elliptical lane divider
-            trackGraphics.strokeEllipse(
-                outerX,
-                outerY,
-                laneRadius * 2,
-                laneRadius * (mainTrackHeight / mainTrackWidth) * 2
-            );
+            trackGraphics.strokePoints(geometry.getOutline(geometry.surfaceWidth * lane / numLanes), true, true);
         }
-        
-        // Generate texture
-        trackGraphics.generateTexture('track', width, height);
-        
-        // Create finish line texture
-        const finishGraphics = this.make.graphics({x: 0, y: 0, add: false});
-        finishGraphics.fillStyle(0xffffff);
-        
-        // Create checkered pattern
-        const squareSize = 5;
-        for (let y = 0; y < 100; y += squareSize * 2) {
-            for (let x = 0; x < 10; x += squareSize) {
-                finishGraphics.fillRect(x, y, squareSize, squareSize);
-                finishGraphics.fillRect(x + squareSize, y + squareSize, squareSize, squareSize);
-            }
-        }
-        
-        // Generate texture
-        finishGraphics.generateTexture('finishLine', 10, 100);
     }
 }
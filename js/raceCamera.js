@@ -0,0 +1,265 @@
+/**
+ * Race Camera
+ * Broadcast-style camera work over the track - the whole course, following the leader or a chosen
+ * horse, or a "director" that cuts in on the tightest battle. Moves ease from shot to shot, and a
+ * picture-in-picture inset keeps the whole course in view whenever the camera is in close.
+ *
+ * Three Phaser cameras: the main one over the course, the inset over the whole course and an
+ * overlay camera that never moves, for the lane list, countdown and weather. Every object added
+ * to the scene goes to the course cameras unless it's made an overlay with setOverlay().
+ */
+const CAMERA_MODES = {
+    overview: 'Full track',
+    leader: 'Follow leader',
+    horse: 'Follow horse',
+    director: 'Director'
+};
+
+// Zoom when following one horse, and the range the director works in
+const CAMERA_FOLLOW_ZOOM = 2.5;
+const CAMERA_MIN_ZOOM = 1;
+const CAMERA_MAX_ZOOM = 3.5;
+
+// How quickly the camera eases to a new shot (ms to cover about two thirds of the way)
+const CAMERA_EASE_TIME = 400;
+
+// Director: horses within this many laps of each other (1.5 lengths) are in the same battle,
+// battles further back count as wider by this much per place, and a shot is held at least this long (ms)
+const CAMERA_BATTLE_LAPS = 1.5 / 60;
+const CAMERA_BATTLE_PLACE_WEIGHT = 0.15;
+const CAMERA_DIRECTOR_HOLD = 3000;
+
+// Space (screen pixels) around the horses in a director's shot
+const CAMERA_FRAME_PADDING = 120;
+
+// Inset size as a share of the screen width, and its gap from the screen edge
+const CAMERA_INSET_SCALE = 0.22;
+const CAMERA_INSET_MARGIN = 10;
+
+class RaceCamera {
+    constructor(scene) {
+        this.scene = scene;
+        this.mode = 'overview';
+        this.followLane = 0;
+        
+        // Where the camera is looking now, and the battle the director is on
+        this.view = null;
+        this.battle = null;
+        this.battleTime = 0;
+        
+        this.main = scene.cameras.main;
+        this.inset = scene.cameras.add(0, 0, 1, 1).setName('inset').setVisible(false);
+        this.overlay = scene.cameras.add(0, 0, 1, 1).setName('overlay');
+        this.insetFrame = scene.add.graphics();
+        
+        // Everything added from now on is part of the course unless it's marked as an overlay
+        scene.events.on('addedtoscene', object => this.overlay.ignore(object));
+        this.overlay.ignore(scene.children.list);
+        this.setOverlay(this.insetFrame);
+        
+        this.modeSelect = document.getElementById('camera-mode');
+        this.horseSelect = document.getElementById('camera-horse');
+        if (!this.modeSelect || !this.horseSelect) {
+            console.error("Could not find camera controls");
+        } else {
+            this.modeSelect.innerHTML = Object.keys(CAMERA_MODES)
+                .map(mode => `<option value="${mode}">${CAMERA_MODES[mode]}</option>`)
+                .join('');
+            this.modeSelect.addEventListener('change', () => this.setMode(this.modeSelect.value));
+            this.horseSelect.addEventListener('change', () => {
+                this.followLane = parseInt(this.horseSelect.value, 10);
+            });
+        }
+        
+        this.resize();
+        this.setMode(this.mode);
+    }
+    
+    // Key of CAMERA_MODES
+    setMode(mode) {
+        if (!CAMERA_MODES[mode]) {
+            console.error(`Unknown camera mode: ${mode}`);
+            return;
+        }
+        
+        this.mode = mode;
+        this.battle = null;
+        console.log(`Camera: ${CAMERA_MODES[mode]}`);
+        
+        if (this.modeSelect) {
+            this.modeSelect.value = mode;
+            this.horseSelect.style.display = mode === 'horse' ? '' : 'none';
+        }
+        this.updateInset();
+    }
+    
+    // On to the next mode (the C key)
+    nextMode() {
+        const modes = Object.keys(CAMERA_MODES);
+        this.setMode(modes[(modes.indexOf(this.mode) + 1) % modes.length]);
+    }
+    
+    // Screen furniture that stays put whatever the camera does - only the overlay camera draws it
+    setOverlay(objects) {
+        [].concat(objects).forEach(object => {
+            this.main.ignore(object);
+            this.inset.ignore(object);
+            object.cameraFilter &= ~this.overlay.id;
+        });
+    }
+    
+    // Too small to read in the inset (e.g. name labels)
+    hideFromInset(objects) {
+        this.inset.ignore(objects);
+    }
+    
+    // The horses that can be followed
+    setField(horses) {
+        if (!this.horseSelect) return;
+        
+        this.horseSelect.innerHTML = horses
+            .map(horse => `<option value="${horse.lane}">${horse.lane + 1}. ${horse.name}</option>`)
+            .join('');
+        if (!horses.some(horse => horse.lane === this.followLane)) {
+            this.followLane = 0;
+        }
+        this.horseSelect.value = this.followLane;
+    }
+    
+    // Fit the cameras to the screen after a resize
+    resize() {
+        const width = this.scene.scale.width;
+        const height = this.scene.scale.height;
+        
+        this.main.setBounds(0, 0, width, height);
+        this.overlay.setSize(width, height);
+        
+        // Whole course shrunk into the bottom right corner
+        const insetWidth = Math.round(width * CAMERA_INSET_SCALE);
+        const insetHeight = Math.round(height * CAMERA_INSET_SCALE);
+        const insetX = width - insetWidth - CAMERA_INSET_MARGIN;
+        const insetY = height - insetHeight - CAMERA_INSET_MARGIN;
+        this.inset.setViewport(insetX, insetY, insetWidth, insetHeight);
+        this.inset.setZoom(CAMERA_INSET_SCALE);
+        this.inset.centerOn(width / 2, height / 2);
+        
+        this.insetFrame.clear();
+        this.insetFrame.lineStyle(3, 0x1a5276, 1);
+        this.insetFrame.strokeRect(insetX - 1, insetY - 1, insetWidth + 2, insetHeight + 2);
+        
+        this.snap();
+    }
+    
+    // The inset is only needed while the camera is in close
+    updateInset() {
+        const show = this.mode !== 'overview';
+        this.inset.setVisible(show);
+        this.insetFrame.setVisible(show);
+    }
+    
+    // Cut straight to the shot instead of easing there (e.g. after a reset)
+    snap() {
+        this.view = null;
+        this.battle = null;
+    }
+    
+    /**
+     * Move the camera for this frame
+     * @param {number} delta - ms since the last frame
+     * @param {Array<{horse, laps, finished}>} field - In race order, leader first - laps run so far
+     */
+    update(delta, field) {
+        const target = this.getTarget(delta, field);
+        
+        if (!this.view) {
+            this.view = target;
+        } else {
+            // Ease towards the shot - the same speed whatever the frame rate
+            const ease = 1 - Math.exp(-delta / CAMERA_EASE_TIME);
+            this.view.x += (target.x - this.view.x) * ease;
+            this.view.y += (target.y - this.view.y) * ease;
+            this.view.zoom += (target.zoom - this.view.zoom) * ease;
+        }
+        
+        this.main.setZoom(this.view.zoom);
+        this.main.centerOn(this.view.x, this.view.y);
+    }
+    
+    // Where the camera wants to be for this mode: { x, y, zoom }
+    getTarget(delta, field) {
+        const overview = { x: this.scene.scale.width / 2, y: this.scene.scale.height / 2, zoom: 1 };
+        if (field.length === 0) return overview;
+        
+        if (this.mode === 'leader') {
+            return this.follow(field[0].horse);
+        }
+        if (this.mode === 'horse') {
+            const followed = field.find(entry => entry.horse.lane === this.followLane);
+            return followed ? this.follow(followed.horse) : overview;
+        }
+        if (this.mode === 'director') {
+            return this.frame(this.direct(delta, field));
+        }
+        return overview;
+    }
+    
+    follow(horse) {
+        return { x: horse.sprite.x, y: horse.sprite.y, zoom: CAMERA_FOLLOW_ZOOM };
+    }
+    
+    // Pick the battle to show - the closest bunch, favouring the front of the race, held for a few seconds
+    direct(delta, field) {
+        this.battleTime += delta;
+        const running = field.filter(entry => !entry.finished);
+        
+        // Keep the shot while it's fresh and nobody in it has finished
+        if (this.battle && this.battleTime < CAMERA_DIRECTOR_HOLD) {
+            const current = running.filter(entry => this.battle.includes(entry.horse.lane));
+            if (current.length === this.battle.length) return current;
+        }
+        
+        // Everyone home (or one horse left) - stay on the leader
+        let battle = running.length < 2 ? [running[0] || field[0]] : null;
+        if (!battle) {
+            let closest = Infinity;
+            let start = 0;
+            for (let i = 0; i < running.length - 1; i++) {
+                const gap = (running[i].laps - running[i + 1].laps) * (1 + i * CAMERA_BATTLE_PLACE_WEIGHT);
+                if (gap < closest) {
+                    closest = gap;
+                    start = i;
+                }
+            }
+            
+            // Take in everyone in touch with the pair, in front and behind
+            let end = start + 1;
+            while (start > 0 && running[start - 1].laps - running[start].laps < CAMERA_BATTLE_LAPS) start--;
+            while (end < running.length - 1 && running[end].laps - running[end + 1].laps < CAMERA_BATTLE_LAPS) end++;
+            battle = running.slice(start, end + 1);
+        }
+        
+        this.battle = battle.map(entry => entry.horse.lane);
+        this.battleTime = 0;
+        return battle;
+    }
+    
+    // Zoom in as far as the bunch allows
+    frame(entries) {
+        const xs = entries.map(entry => entry.horse.sprite.x);
+        const ys = entries.map(entry => entry.horse.sprite.y);
+        const left = Math.min(...xs);
+        const right = Math.max(...xs);
+        const top = Math.min(...ys);
+        const bottom = Math.max(...ys);
+        
+        const zoom = Math.min(
+            this.scene.scale.width / (right - left + CAMERA_FRAME_PADDING * 2),
+            this.scene.scale.height / (bottom - top + CAMERA_FRAME_PADDING * 2)
+        );
+        return {
+            x: (left + right) / 2,
+            y: (top + bottom) / 2,
+            zoom: Math.max(CAMERA_MIN_ZOOM, Math.min(CAMERA_MAX_ZOOM, zoom))
+        };
+    }
+}
@@ -0,0 +1,240 @@
+/**
+ * Race Card
+ * A meet of several races run one after another - either a points championship where the same
+ * field races N times, or knockout heats where the first few home in each heat go through to the
+ * next round until a single final decides the champion.
+ *
+ * Horses are identified by name, so the same horse can run in several races on the card.
+ */
+
+// Championship points for 1st, 2nd, 3rd... - everyone further back gets nothing
+const CARD_POINTS = [10, 8, 6, 5, 4, 3, 2, 1];
+
+const CARD_FORMATS = {
+    championship: 'Championship',
+    knockout: 'Heats and Final'
+};
+
+class RaceCard {
+    /**
+     * @param {Object} options
+     * @param {string} options.format - 'championship' or 'knockout'
+     * @param {Object[]} options.entries - The horses on the card ({ name, color })
+     * @param {string} [options.name] - Name of the meet
+     * @param {number} [options.races=4] - Championship: how many races the field runs
+     * @param {number} [options.heats=2] - Knockout: heats in the first round
+     * @param {number} [options.qualifiers=3] - Knockout: horses from each heat that go through
+     */
+    constructor(options) {
+        this.format = options.format;
+        this.name = options.name || CARD_FORMATS[this.format];
+        this.entries = options.entries.slice();
+        this.pointsTable = options.pointsTable || CARD_POINTS;
+        this.raceCount = options.races || 4;
+        this.heats = options.heats || 2;
+        this.qualifiers = options.qualifiers || 3;
+        
+        RaceCard.validate(this);
+        
+        // Every race on the card - knockout rounds are added once the round before is decided
+        this.races = [];
+        this.currentRace = 0;
+        
+        if (this.format === 'championship') {
+            for (let i = 0; i < this.raceCount; i++) {
+                this.races.push({ label: `Race ${i + 1}`, round: 1, entries: this.entries.slice(), results: null });
+            }
+        } else {
+            this.addRound(1, this.entries, this.heats);
+        }
+        
+        console.log(`New ${CARD_FORMATS[this.format]} card with ${this.races.length} races in the first round`);
+    }
+    
+    // Check the card can actually be run - throws an Error describing what's wrong
+    static validate(card) {
+        if (!CARD_FORMATS[card.format]) {
+            throw new Error(`Unknown meet format "${card.format}"`);
+        }
+        if (card.entries.length < 2) {
+            throw new Error('A meet needs at least 2 horses');
+        }
+        
+        if (card.format === 'championship') {
+            if (!Number.isInteger(card.raceCount) || card.raceCount < 1) {
+                throw new Error('A championship needs at least 1 race');
+            }
+            return;
+        }
+        
+        if (!Number.isInteger(card.heats) || card.heats < 2) {
+            throw new Error('Heats and final needs at least 2 heats');
+        }
+        if (!Number.isInteger(card.qualifiers) || card.qualifiers < 1) {
+            throw new Error('At least 1 horse from each heat has to go through');
+        }
+        
+        // The smallest heat still has to leave someone behind
+        const smallestHeat = Math.floor(card.entries.length / card.heats);
+        if (smallestHeat <= card.qualifiers) {
+            throw new Error(`${card.entries.length} horses in ${card.heats} heats leaves only ${smallestHeat} per heat - fewer than ${card.qualifiers + 1} needed`);
+        }
+    }
+    
+    // Deal the horses into heats like cards so the best qualifiers end up in different heats
+    addRound(round, entries, heatCount) {
+        const heats = [];
+        for (let i = 0; i < heatCount; i++) {
+            heats.push([]);
+        }
+        entries.forEach((entry, index) => heats[index % heatCount].push(entry));
+        
+        heats.forEach((heatEntries, index) => {
+            let label;
+            if (heatCount === 1) {
+                label = 'Final';
+            } else if (heatCount === 2 && round > 1) {
+                label = `Semi-final ${index + 1}`;
+            } else {
+                label = round > 1 ? `Round ${round} Heat ${index + 1}` : `Heat ${index + 1}`;
+            }
+            this.races.push({ label, round, entries: heatEntries, results: null });
+        });
+    }
+    
+    getCurrentRace() {
+        return this.races[this.currentRace] || null;
+    }
+    
+    isComplete() {
+        return this.currentRace >= this.races.length;
+    }
+    
+    // Points for each finisher - a dead heat shares the points of the places it covers
+    getPoints(results) {
+        return results.map(result => {
+            const tied = results.filter(other => other.position === result.position).length;
+            let points = 0;
+            for (let i = 0; i < tied; i++) {
+                points += this.pointsTable[result.position - 1 + i] || 0;
+            }
+            return points / tied;
+        });
+    }
+    
+    /**
+     * Record the result of the current race and move on to the next one
+     * @param {Object[]} results - Finishers in order: { name, position, finishTime }
+     */
+    recordResult(results) {
+        const race = this.getCurrentRace();
+        if (!race) {
+            console.error("The meet is already over");
+            return;
+        }
+        
+        const points = this.getPoints(results);
+        race.results = results.map((result, index) => ({
+            name: result.name,
+            position: result.position,
+            finishTime: result.finishTime,
+            points: points[index]
+        }));
+        this.currentRace++;
+        console.log(`${race.label} result recorded, winner ${results[0].name}`);
+        
+        // Knockout: once every heat in the round is in, the qualifiers make up the next round
+        if (this.format === 'knockout' && this.isComplete() && race.label !== 'Final') {
+            this.addNextRound(race.round);
+        }
+    }
+    
+    addNextRound(round) {
+        const roundRaces = this.races.filter(race => race.round === round);
+        
+        // Heat winners first, then the seconds and so on, quickest first within each position
+        // (horses dead-heating for the last qualifying place both go through)
+        const qualifiers = [];
+        roundRaces.forEach(race => {
+            race.results
+                .filter(result => result.position <= this.qualifiers)
+                .forEach(result => qualifiers.push(result));
+        });
+        qualifiers.sort((a, b) => a.position - b.position || a.finishTime - b.finishTime);
+        
+        // Half as many heats next round - fewer if there aren't enough qualifiers for a proper heat each
+        let heatCount = Math.max(1, Math.floor(roundRaces.length / 2));
+        while (heatCount > 1 && Math.floor(qualifiers.length / heatCount) <= this.qualifiers) {
+            heatCount--;
+        }
+        
+        const entries = qualifiers.map(result => this.entries.find(entry => entry.name === result.name));
+        this.addRound(round + 1, entries, heatCount);
+    }
+    
+    // Points table for the whole meet, leader first
+    getStandings() {
+        const standings = this.entries.map(entry => ({
+            name: entry.name,
+            color: entry.color,
+            points: 0,
+            starts: 0,
+            wins: 0,
+            finishes: this.races.map(() => null),
+            eliminated: false
+        }));
+        const byName = {};
+        standings.forEach(standing => {
+            byName[standing.name] = standing;
+        });
+        
+        this.races.forEach((race, raceIndex) => {
+            if (!race.results) return;
+            race.results.forEach(result => {
+                const standing = byName[result.name];
+                if (!standing) return;
+                standing.points += result.points;
+                standing.starts++;
+                if (result.position === 1) standing.wins++;
+                standing.finishes[raceIndex] = result.position;
+            });
+        });
+        
+        // A knockout horse is out once a round is decided without it in the next one
+        if (this.format === 'knockout') {
+            const latestRound = this.races[this.races.length - 1].round;
+            const stillIn = new Set();
+            this.races.filter(race => race.round === latestRound).forEach(race => {
+                race.entries.forEach(entry => stillIn.add(entry.name));
+            });
+            standings.forEach(standing => {
+                standing.eliminated = !stillIn.has(standing.name);
+            });
+        }
+        
+        return standings.sort((a, b) => {
+            // In a knockout the horses still going (or in the final) rank above those knocked out
+            if (a.eliminated !== b.eliminated) return a.eliminated ? 1 : -1;
+            if (this.format === 'knockout' && this.isComplete()) {
+                const final = this.races[this.races.length - 1].results;
+                const finalPosition = standing => {
+                    const result = final.find(r => r.name === standing.name);
+                    return result ? result.position : Infinity;
+                };
+                if (finalPosition(a) !== finalPosition(b)) return finalPosition(a) - finalPosition(b);
+            }
+            return b.points - a.points || b.wins - a.wins;
+        });
+    }
+    
+    // The horse that won the meet (null until the last race is run)
+    getChampion() {
+        if (!this.isComplete()) return null;
+        return this.getStandings()[0];
+    }
+}
+
+// Allow race cards to be loaded in Node for headless runs
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RaceCard, CARD_FORMATS };
+}
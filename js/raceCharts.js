@@ -0,0 +1,372 @@
+/**
+ * Race Charts
+ * Post-race analytics drawn from a race recording (see js/replay.js) as SVG - positions lap by lap,
+ * speed over the distance and the gap to the leader through the race, with markers where a horse's
+ * race events fired and where final-lap balancing kicked in. Needs no DOM, so the charts can be
+ * made in Node as well.
+ */
+const CHART_TYPES = {
+    positions: 'Position by lap',
+    speed: 'Speed over distance',
+    gap: 'Gap to leader'
+};
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 400;
+const CHART_MARGIN = { left: 56, right: 20, top: 40, bottom: 64 };
+
+// Spacing (ms of race time) of the points drawn, and the stretch speed is measured over
+const CHART_SAMPLE_INTERVAL = 250;
+const CHART_SPEED_WINDOW = 500;
+
+// Race events marked on the highlighted horse's line - the random events, then final-lap balancing
+const CHART_MARKERS = {
+    burst: { shape: 'circle', color: '#e67e22', label: 'Burst' },
+    comeback: { shape: 'circle', color: '#8e44ad', label: 'Comeback' },
+    move: { shape: 'circle', color: '#27ae60', label: 'Move' },
+    slowdown: { shape: 'circle', color: '#7f8c8d', label: 'Slowdown' },
+    'lose-momentum': { shape: 'circle', color: '#c0392b', label: 'Lost momentum' },
+    'final-lap-boost': { shape: 'diamond', color: '#2980b9', label: 'Final-lap boost' },
+    'final-lap-pressure': { shape: 'diamond', color: '#c0392b', label: 'Final-lap pressure' }
+};
+
+const RaceCharts = {
+    /**
+     * Draw one of the charts
+     * @param {string} type - Key of CHART_TYPES
+     * @param {Object} recording - A finished race recording
+     * @param {number} highlightLane - Horse drawn bold with its race events marked
+     * @returns {string} SVG document
+     */
+    render(type, recording, highlightLane) {
+        const race = this.getRace(recording);
+        if (type === 'speed') return this.speedChart(race, highlightLane);
+        if (type === 'gap') return this.gapChart(race, highlightLane);
+        return this.positionChart(race, highlightLane);
+    },
+    
+    // Every horse's distance through the race, thinned out to the chart's sample spacing
+    getRace(recording) {
+        const trackLength = recording.trackLength;
+        const raceDistance = recording.raceDistance || recording.totalLaps * trackLength;
+        const results = {};
+        (recording.results || []).forEach(result => {
+            results[result.lane] = result;
+        });
+        
+        const horses = recording.horses.map(horse => {
+            const result = results[horse.lane] || {};
+            const finishTime = result.finishTime !== undefined ? result.finishTime : Infinity;
+            const track = [];
+            recording.frames.forEach(frame => {
+                const last = track[track.length - 1];
+                if (frame.t > finishTime || (last && frame.t - last.t < CHART_SAMPLE_INTERVAL / 5)) return;
+                track.push({ t: frame.t, d: Math.min(frame.h[horse.lane][0], raceDistance) });
+            });
+            if (finishTime !== Infinity) {
+                track.push({ t: finishTime, d: raceDistance });
+            }
+            return Object.assign({}, horse, {
+                position: result.position,
+                finishTime,
+                events: result.events || [],
+                track
+            });
+        });
+        
+        return {
+            horses,
+            trackLength,
+            raceDistance,
+            totalLaps: recording.totalLaps,
+            startOffset: recording.totalLaps * trackLength - raceDistance,
+            // Recordings are raced with the simulation's standard length of a horse
+            horseLength: trackLength / 60,
+            duration: Math.max(...horses.map(horse => horse.track[horse.track.length - 1].t))
+        };
+    },
+    
+    // Where a horse was at a moment in the race - it stays on the line once it has finished
+    distanceAt(track, time) {
+        if (time <= track[0].t) return track[0].d;
+        let low = 0;
+        let high = track.length - 1;
+        if (time >= track[high].t) return track[high].d;
+        
+        while (high - low > 1) {
+            const mid = (low + high) >> 1;
+            if (track[mid].t <= time) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        const span = track[high].t - track[low].t;
+        return track[low].d + (track[high].d - track[low].d) * (span > 0 ? (time - track[low].t) / span : 0);
+    },
+    
+    // When a horse reached a distance, or null if it never did
+    timeAt(track, distance) {
+        for (let i = 1; i < track.length; i++) {
+            if (track[i].d >= distance) {
+                const span = track[i].d - track[i - 1].d;
+                return track[i - 1].t + (track[i].t - track[i - 1].t) * (span > 0 ? (distance - track[i - 1].d) / span : 0);
+            }
+        }
+        return null;
+    },
+    
+    // Lengths per second over the stretch of race around a moment
+    speedAt(track, time, horseLength) {
+        const from = Math.max(0, time - CHART_SPEED_WINDOW / 2);
+        const to = Math.min(track[track.length - 1].t, from + CHART_SPEED_WINDOW);
+        if (to <= from) return 0;
+        return (this.distanceAt(track, to) - this.distanceAt(track, from)) / horseLength / ((to - from) / 1000);
+    },
+    
+    // Each horse's place as it crossed the line at the end of every lap, and at the finish
+    positionChart(race, highlightLane) {
+        const boundaries = [];
+        for (let lap = 1; lap < race.totalLaps; lap++) {
+            boundaries.push(lap * race.trackLength - race.startOffset);
+        }
+        
+        const points = {};
+        race.horses.forEach(horse => {
+            points[horse.lane] = [];
+        });
+        boundaries.forEach((boundary, index) => {
+            const crossings = race.horses
+                .map(horse => ({ lane: horse.lane, time: this.timeAt(horse.track, boundary) }))
+                .filter(crossing => crossing.time !== null)
+                .sort((a, b) => a.time - b.time);
+            crossings.forEach((crossing, place) => points[crossing.lane].push([index + 1, place + 1]));
+        });
+        race.horses.forEach(horse => {
+            if (horse.position) points[horse.lane].push([race.totalLaps, horse.position]);
+        });
+        
+        const xTicks = [];
+        for (let lap = 1; lap <= race.totalLaps; lap++) {
+            xTicks.push({ value: lap, label: lap === race.totalLaps ? 'Finish' : `Lap ${lap}` });
+        }
+        
+        return this.lineChart({
+            title: CHART_TYPES.positions,
+            xLabel: 'End of lap',
+            yLabel: 'Position',
+            xMin: race.totalLaps > 1 ? 1 : 0,
+            xMax: race.totalLaps,
+            yMin: 1,
+            yMax: race.horses.length,
+            invertY: true,
+            xTicks,
+            yTicks: this.ticks(1, race.horses.length, 8).filter(value => Number.isInteger(value)),
+            series: this.getSeries(race, highlightLane, horse => points[horse.lane]),
+            markers: [],
+            highlight: race.horses.find(horse => horse.lane === highlightLane)
+        });
+    },
+    
+    // How fast each horse was going at every point of the race distance
+    speedChart(race, highlightLane) {
+        const series = this.getSeries(race, highlightLane, horse => {
+            const points = [];
+            for (let t = 0; t <= horse.finishTime && t <= race.duration; t += CHART_SAMPLE_INTERVAL) {
+                points.push([this.distanceAt(horse.track, t) / race.trackLength, this.speedAt(horse.track, t, race.horseLength)]);
+            }
+            return points;
+        });
+        const topSpeed = Math.max(1, ...series.map(line => Math.max(...line.points.map(point => point[1]))));
+        
+        const highlight = race.horses.find(horse => horse.lane === highlightLane);
+        const markers = this.getMarkers(highlight, time => [
+            this.distanceAt(highlight.track, time) / race.trackLength,
+            this.speedAt(highlight.track, time, race.horseLength)
+        ]);
+        
+        return this.lineChart({
+            title: CHART_TYPES.speed,
+            xLabel: 'Distance (laps)',
+            yLabel: 'Speed (lengths/s)',
+            xMin: 0,
+            xMax: race.raceDistance / race.trackLength,
+            yMin: 0,
+            yMax: topSpeed * 1.1,
+            xTicks: this.ticks(0, race.raceDistance / race.trackLength, 8).map(value => ({ value, label: `${value}` })),
+            yTicks: this.ticks(0, topSpeed * 1.1, 6),
+            verticals: this.getLapLines(race),
+            series,
+            markers,
+            highlight
+        });
+    },
+    
+    // Lengths behind whoever was in front, through the race
+    gapChart(race, highlightLane) {
+        const gapAt = (horse, time) => {
+            const leader = Math.max(...race.horses.map(other => this.distanceAt(other.track, time)));
+            return (leader - this.distanceAt(horse.track, time)) / race.horseLength;
+        };
+        
+        const series = this.getSeries(race, highlightLane, horse => {
+            const points = [];
+            for (let t = 0; t <= horse.finishTime && t <= race.duration; t += CHART_SAMPLE_INTERVAL) {
+                points.push([t / 1000, gapAt(horse, t)]);
+            }
+            return points;
+        });
+        const widest = Math.max(1, ...series.map(line => Math.max(...line.points.map(point => point[1]))));
+        
+        const highlight = race.horses.find(horse => horse.lane === highlightLane);
+        const markers = this.getMarkers(highlight, time => [time / 1000, gapAt(highlight, time)]);
+        
+        return this.lineChart({
+            title: CHART_TYPES.gap,
+            xLabel: 'Race time (s)',
+            yLabel: 'Lengths behind the leader',
+            xMin: 0,
+            xMax: race.duration / 1000,
+            yMin: 0,
+            yMax: widest * 1.05,
+            invertY: true,
+            xTicks: this.ticks(0, race.duration / 1000, 8).map(value => ({ value, label: `${value}` })),
+            yTicks: this.ticks(0, widest * 1.05, 6),
+            series,
+            markers,
+            highlight
+        });
+    },
+    
+    // One line per horse, the highlighted horse drawn last so it sits on top
+    getSeries(race, highlightLane, getPoints) {
+        return race.horses
+            .map(horse => ({ color: horse.color, points: getPoints(horse), highlight: horse.lane === highlightLane }))
+            .sort((a, b) => a.highlight - b.highlight);
+    },
+    
+    // Race events on the highlighted horse's line - place(time) gives the point on the chart
+    getMarkers(horse, place) {
+        if (!horse) return [];
+        return horse.events
+            .filter(event => CHART_MARKERS[event.type] && event.time <= horse.finishTime)
+            .map(event => {
+                const [x, y] = place(event.time);
+                return Object.assign({ x, y, title: `${(event.time / 1000).toFixed(1)}s: ${event.message}` }, CHART_MARKERS[event.type]);
+            });
+    },
+    
+    // Where each lap ends, in laps from the start
+    getLapLines(race) {
+        const lines = [];
+        for (let lap = 1; lap < race.totalLaps; lap++) {
+            lines.push((lap * race.trackLength - race.startOffset) / race.trackLength);
+        }
+        return lines;
+    },
+    
+    // Round numbers from min to max, about count of them
+    ticks(min, max, count) {
+        const rough = (max - min) / Math.max(1, count);
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough || 1)));
+        const step = [1, 2, 5, 10].map(multiple => multiple * magnitude).find(candidate => candidate >= rough) || rough;
+        
+        const values = [];
+        for (let value = Math.ceil(min / step) * step; value <= max + 1e-9; value += step) {
+            values.push(+value.toFixed(6));
+        }
+        return values;
+    },
+    
+    /**
+     * Plot lines on axes as an SVG document
+     * @param {Object} chart - { title, xLabel, yLabel, xMin, xMax, yMin, yMax, invertY, xTicks: [{ value, label }],
+     *     yTicks: [values], verticals: [x], series: [{ color, points: [[x, y]], highlight }],
+     *     markers: [{ x, y, shape, color, title }], highlight: horse named in the legend }
+     */
+    lineChart(chart) {
+        const left = CHART_MARGIN.left;
+        const top = CHART_MARGIN.top;
+        const plotWidth = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+        const plotHeight = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+        const xSpan = (chart.xMax - chart.xMin) || 1;
+        const ySpan = (chart.yMax - chart.yMin) || 1;
+        const sx = x => (left + (x - chart.xMin) / xSpan * plotWidth).toFixed(1);
+        const sy = y => {
+            const share = (y - chart.yMin) / ySpan;
+            return (top + (chart.invertY ? share : 1 - share) * plotHeight).toFixed(1);
+        };
+        
+        let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${CHART_WIDTH}" height="${CHART_HEIGHT}" ` +
+            `viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" font-family="Arial, sans-serif" font-size="11">`;
+        svg += `<rect width="${CHART_WIDTH}" height="${CHART_HEIGHT}" fill="#ffffff"/>`;
+        svg += `<text x="${CHART_WIDTH / 2}" y="22" text-anchor="middle" font-size="15" font-weight="bold" fill="#1a5276">` +
+            `${this.escape(chart.title)}</text>`;
+        
+        // Grid and axes
+        chart.yTicks.forEach(value => {
+            svg += `<line x1="${left}" x2="${left + plotWidth}" y1="${sy(value)}" y2="${sy(value)}" stroke="#eeeeee"/>`;
+            svg += `<text x="${left - 6}" y="${sy(value)}" text-anchor="end" dominant-baseline="middle" fill="#555">${value}</text>`;
+        });
+        chart.xTicks.forEach(tick => {
+            svg += `<text x="${sx(tick.value)}" y="${top + plotHeight + 16}" text-anchor="middle" fill="#555">${this.escape(tick.label)}</text>`;
+        });
+        (chart.verticals || []).forEach(x => {
+            svg += `<line x1="${sx(x)}" x2="${sx(x)}" y1="${top}" y2="${top + plotHeight}" stroke="#cccccc" stroke-dasharray="4 3"/>`;
+        });
+        svg += `<rect x="${left}" y="${top}" width="${plotWidth}" height="${plotHeight}" fill="none" stroke="#999999"/>`;
+        svg += `<text x="${left + plotWidth / 2}" y="${top + plotHeight + 34}" text-anchor="middle" fill="#333">${this.escape(chart.xLabel)}</text>`;
+        svg += `<text transform="translate(14 ${top + plotHeight / 2}) rotate(-90)" text-anchor="middle" fill="#333">` +
+            `${this.escape(chart.yLabel)}</text>`;
+        
+        // Lines - the field faded, the highlighted horse bold
+        chart.series.forEach(line => {
+            if (line.points.length === 0) return;
+            const path = line.points.map((point, index) => `${index === 0 ? 'M' : 'L'}${sx(point[0])} ${sy(point[1])}`).join(' ');
+            svg += line.highlight ?
+                `<path d="${path}" fill="none" stroke="${line.color}" stroke-width="3"/>` :
+                `<path d="${path}" fill="none" stroke="${line.color}" stroke-width="1.2" stroke-opacity="0.4"/>`;
+        });
+        
+        // Race event markers, each with its story on hover
+        chart.markers.forEach(marker => {
+            const x = sx(marker.x);
+            const y = sy(marker.y);
+            const shape = marker.shape === 'diamond' ?
+                `<path d="M${x} ${y - 6} L${+x + 6} ${y} L${x} ${+y + 6} L${x - 6} ${y} Z"` :
+                `<circle cx="${x}" cy="${y}" r="4.5"`;
+            svg += `${shape} fill="${marker.color}" stroke="#ffffff" stroke-width="1"><title>${this.escape(marker.title)}</title>` +
+                `${marker.shape === 'diamond' ? '</path>' : '</circle>'}`;
+        });
+        
+        // Legend - who's highlighted and the markers that appear
+        let legendX = left;
+        const legendY = CHART_HEIGHT - 10;
+        if (chart.highlight) {
+            svg += `<line x1="${legendX}" x2="${legendX + 18}" y1="${legendY - 4}" y2="${legendY - 4}" stroke="${chart.highlight.color}" stroke-width="3"/>`;
+            svg += `<text x="${legendX + 22}" y="${legendY}" fill="#333">${this.escape(chart.highlight.name)}</text>`;
+            legendX += 30 + chart.highlight.name.length * 6;
+        }
+        const shown = [];
+        chart.markers.forEach(marker => {
+            if (shown.includes(marker.label)) return;
+            shown.push(marker.label);
+            svg += marker.shape === 'diamond' ?
+                `<path d="M${legendX + 5} ${legendY - 9} L${legendX + 10} ${legendY - 4} L${legendX + 5} ${legendY + 1} L${legendX} ${legendY - 4} Z" fill="${marker.color}"/>` :
+                `<circle cx="${legendX + 5}" cy="${legendY - 4}" r="4.5" fill="${marker.color}"/>`;
+            svg += `<text x="${legendX + 14}" y="${legendY}" fill="#333">${this.escape(marker.label)}</text>`;
+            legendX += 22 + marker.label.length * 6;
+        });
+        
+        return svg + '</svg>';
+    },
+    
+    escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+};
+
+// Allow the charts to be made in Node for headless runs
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RaceCharts, CHART_TYPES };
+}
@@ -0,0 +1,114 @@
+/**
+ * Race Events
+ * Everything that happens in a live race, published on the scene's event bus so overlays, sound,
+ * stats logging or betting can follow the race without touching the scene or the horses:
+ *
+ *     const scene = game.scene.getScene('RaceScene');
+ *     const stop = scene.raceEvents.on(RACE_EVENTS.LEAD_CHANGE, ({ horse, previous, time }) => {
+ *         console.log(`${horse.name} leads ${previous.name} after ${time / 1000}s`);
+ *     });
+ *     stop(); // Unsubscribe
+ *
+ * Every payload is a plain object made for the handler. Horses are identified by HorseIdentity, and
+ * race times are milliseconds of race time from the off - the same on every screen and frame rate.
+ * Distances are in simulation track units (see js/simulation.js). Replays publish nothing - they're
+ * a recording of a race that has already been run.
+ */
+
+/**
+ * @typedef {Object} HorseIdentity
+ * @property {number} lane - Starting lane, 0 on the rail - unique within the field
+ * @property {string} name
+ * @property {string} color - Hex color, e.g. "#FF8C00"
+ * @property {string|null} jockey - Jockey's name, null if none was booked
+ */
+
+/**
+ * @typedef {Object} HorseMoment - Where a horse is when something happens to it
+ * @property {HorseIdentity} horse
+ * @property {number} time - Race time in ms
+ * @property {number} distance - Distance run in track units
+ * @property {number} position - Place in the race right now, 1 in front
+ */
+
+const RACE_EVENTS = {
+    // { count } - 3, 2, 1, then 0 when the gates open
+    COUNTDOWN_TICK: 'countdown-tick',
+    // { seed, totalLaps, raceDistance, trackLayout, conditions, horses: HorseIdentity[] }
+    RACE_START: 'race-start',
+    // HorseMoment & { lap, totalLaps } - the horse has started this lap (the leader gets there first)
+    LAP_CHANGE: 'lap-change',
+    // HorseMoment & { previous: HorseIdentity } - a new horse in front, until the winner is home
+    LEAD_CHANGE: 'lead-change',
+    // HorseMoment & { type, message, duration } - e.g. type 'burst', 'comeback', 'boxed-in', 'whip';
+    // duration is 0 for a one-off and how long it lasts (ms) otherwise, ended by HORSE_EVENT_END
+    HORSE_EVENT_START: 'horse-event-start',
+    // HorseMoment & { event } - e.g. event 'burst of speed'
+    HORSE_EVENT_END: 'horse-event-end',
+    // HorseMoment & { finishTime, margin (lengths behind the horse ahead, null for the winner), deadHeat }
+    HORSE_FINISHED: 'horse-finished',
+    // { time, results: [{ horse, position, finishTime, margin, deadHeat }] } - in finishing order
+    RACE_COMPLETE: 'race-complete',
+    // { seed } - the race has been reset for a new start
+    RESET: 'reset'
+};
+
+class RaceEventBus {
+    constructor() {
+        this.handlers = {};
+    }
+    
+    /**
+     * Follow one kind of event
+     * @param {string} type - One of RACE_EVENTS
+     * @param {Function} handler - Called with the event's payload
+     * @returns {Function} Call it to stop following
+     */
+    on(type, handler) {
+        if (!RaceEventBus.isKnown(type)) {
+            console.error(`No race event called "${type}"`);
+            return () => {};
+        }
+        
+        (this.handlers[type] = this.handlers[type] || []).push(handler);
+        return () => this.off(type, handler);
+    }
+    
+    // Follow just the next event of a kind
+    once(type, handler) {
+        const stop = this.on(type, payload => {
+            stop();
+            handler(payload);
+        });
+        return stop;
+    }
+    
+    off(type, handler) {
+        this.handlers[type] = (this.handlers[type] || []).filter(other => other !== handler);
+    }
+    
+    // A handler that throws is logged and skipped - a broken overlay mustn't stop the race
+    emit(type, payload) {
+        if (!RaceEventBus.isKnown(type)) {
+            console.error(`No race event called "${type}"`);
+            return;
+        }
+        
+        (this.handlers[type] || []).slice().forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Race event handler for "${type}" failed:`, error);
+            }
+        });
+    }
+    
+    static isKnown(type) {
+        return Object.keys(RACE_EVENTS).some(key => RACE_EVENTS[key] === type);
+    }
+}
+
+// Allow the event bus to be loaded in Node for headless runs
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RaceEventBus, RACE_EVENTS };
+}
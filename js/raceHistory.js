@@ -0,0 +1,258 @@
+/**
+ * Race History
+ * Every completed race, kept in IndexedDB so it survives a reload, with the queries behind the
+ * history view - races by horse, head-to-head records, fastest times per distance and a win
+ * leaderboard.
+ *
+ * Each race is stored as the full result from ResultsExport.build() plus an id:
+ * { id, savedAt, seed, race, trackLayout, conditions, balance, totalLaps, raceDistance, trackLength,
+ *   results: [{ position, lane, name, jockey, finishTime, margin, deadHeat, splits, events }] }
+ *
+ * Exported (and imported) as JSON: { version: 1, exportedAt, races: [...] }
+ */
+const HISTORY_DB_NAME = 'jel-derby-history';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'races';
+const HISTORY_EXPORT_VERSION = 1;
+
+class RaceHistory {
+    constructor(options = {}) {
+        // IndexedDB in the browser - pass null to keep the history in memory for this session
+        this.indexedDB = options.indexedDB !== undefined ? options.indexedDB :
+            (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.dbName = options.dbName || HISTORY_DB_NAME;
+        this.db = null;
+        
+        // Every race, oldest first - the whole history is small enough to query in memory
+        this.races = [];
+        
+        // Resolves once the saved history has been read
+        this.ready = this.load();
+    }
+    
+    load() {
+        if (!this.indexedDB) return Promise.resolve();
+        
+        const request = this.indexedDB.open(this.dbName, HISTORY_DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+        };
+        
+        return RaceHistory.whenDone(request)
+            .then(db => {
+                this.db = db;
+                return RaceHistory.whenDone(this.getStore('readonly').getAll());
+            })
+            .then(races => {
+                // Anything recorded while the database was opening is kept too
+                this.races = RaceHistory.sortRaces(races.concat(this.races));
+                console.log(`Loaded race history with ${races.length} races`);
+            })
+            .catch(error => {
+                // Storage disabled (e.g. private browsing) - the history still works for this session
+                console.error("Could not load the race history:", error);
+                this.db = null;
+            });
+    }
+    
+    getStore(mode) {
+        return this.db.transaction(HISTORY_STORE, mode).objectStore(HISTORY_STORE);
+    }
+    
+    // Wrap an IndexedDB request in a promise
+    static whenDone(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    static sortRaces(races) {
+        return races.slice().sort((a, b) => a.savedAt < b.savedAt ? -1 : (a.savedAt > b.savedAt ? 1 : 0));
+    }
+    
+    /**
+     * Keep a finished race
+     * @param {Object} record - From ResultsExport.build()
+     * @returns {Promise} Resolves once it's been written
+     */
+    add(record) {
+        const race = Object.assign({ id: RaceHistory.createId(record) }, record);
+        this.races.push(race);
+        return this.put([race]);
+    }
+    
+    // Unique enough to tell races apart when histories from two machines are merged
+    static createId(record) {
+        return `${record.savedAt}-${record.seed || 'race'}`;
+    }
+    
+    put(races) {
+        if (!this.db || races.length === 0) return Promise.resolve();
+        
+        const store = this.getStore('readwrite');
+        return Promise.all(races.map(race => RaceHistory.whenDone(store.put(race))))
+            .catch(error => console.error("Could not save the race history:", error));
+    }
+    
+    // Forget every race
+    clear() {
+        this.races = [];
+        if (!this.db) return Promise.resolve();
+        
+        return RaceHistory.whenDone(this.getStore('readwrite').clear())
+            .catch(error => console.error("Could not clear the race history:", error));
+    }
+    
+    toJson() {
+        return JSON.stringify({
+            version: HISTORY_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            races: this.races
+        }, null, 2);
+    }
+    
+    /**
+     * Merge in a history exported from here or another machine - races already kept are skipped
+     * @param {string} text - JSON from toJson()
+     * @returns {Promise<number>} How many races were added
+     * @throws {Error} If the file isn't a race history
+     */
+    importJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('This file is not a race history (not valid JSON)');
+        }
+        if (!data || !Array.isArray(data.races)) {
+            throw new Error('This file is not a race history (no races)');
+        }
+        if (data.version > HISTORY_EXPORT_VERSION) {
+            throw new Error(`This race history is from a newer version (${data.version})`);
+        }
+        
+        data.races.forEach((race, index) => RaceHistory.validateRace(race, index));
+        
+        const known = new Set(this.races.map(race => race.id));
+        const added = [];
+        data.races.forEach(race => {
+            const entry = Object.assign({ id: RaceHistory.createId(race) }, race);
+            if (known.has(entry.id)) return;
+            known.add(entry.id);
+            added.push(entry);
+        });
+        this.races = RaceHistory.sortRaces(this.races.concat(added));
+        return this.put(added).then(() => added.length);
+    }
+    
+    /**
+     * Check a race from an imported file has everything the history view shows - names and labels end
+     * up in the page, so they're held to the roster's rules
+     * @throws {Error} Naming the race and what's wrong with it
+     */
+    static validateRace(race, index) {
+        const where = `Race ${index + 1} in the history`;
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        const isSafeText = value => typeof value === 'string' && !/[<>"]/.test(value);
+        
+        if (!race || typeof race.savedAt !== 'string' || isNaN(Date.parse(race.savedAt)) ||
+            !Array.isArray(race.results) || race.results.length === 0 ||
+            !(race.raceDistance > 0) || !isFinite(race.raceDistance) || !(race.trackLength > 0) || !isFinite(race.trackLength)) {
+            throw new Error(`${where} is incomplete`);
+        }
+        if (race.results.some(result => !result || !isSafeText(result.name) || !result.name.trim() ||
+            !isNumber(result.position) || !isNumber(result.finishTime) ||
+            (result.jockey !== undefined && result.jockey !== null && !isSafeText(result.jockey)))) {
+            throw new Error(`${where} has a result without a usable name, position or time`);
+        }
+        if ((race.race !== undefined && race.race !== null && !isSafeText(race.race)) ||
+            (race.seed !== undefined && race.seed !== null && !isNumber(race.seed) && !isSafeText(race.seed)) ||
+            (race.balance && !isSafeText(race.balance.name))) {
+            throw new Error(`${where} has a label that can't contain < > or "`);
+        }
+        if (race.conditions && typeof RaceConditions !== 'undefined') {
+            RaceConditions.validate(race.conditions);
+        }
+    }
+    
+    // Races newest first - only the ones a horse ran in, if a name is given
+    getRaces(horseName = null) {
+        const races = horseName ?
+            this.races.filter(race => race.results.some(result => result.name === horseName)) :
+            this.races;
+        return races.slice().reverse();
+    }
+    
+    // Every horse that has run, alphabetically
+    getHorseNames() {
+        const names = new Set();
+        this.races.forEach(race => race.results.forEach(result => names.add(result.name)));
+        return Array.from(names).sort();
+    }
+    
+    // Every horse's record - most wins first, then places and shows
+    getLeaderboard() {
+        const records = {};
+        this.races.forEach(race => race.results.forEach(result => {
+            const record = records[result.name] = records[result.name] ||
+                { name: result.name, starts: 0, wins: 0, places: 0, shows: 0 };
+            record.starts++;
+            if (result.position === 1) record.wins++;
+            if (result.position === 2) record.places++;
+            if (result.position === 3) record.shows++;
+        }));
+        
+        return Object.keys(records).map(name => records[name])
+            .sort((a, b) => b.wins - a.wins || b.places - a.places || b.shows - a.shows || a.starts - b.starts);
+    }
+    
+    // Best winning time at each race distance, shortest distance first
+    getFastestTimes() {
+        const fastest = {};
+        this.races.forEach(race => {
+            const winner = race.results[0];
+            if (!winner) return;
+            
+            const best = fastest[race.raceDistance];
+            if (!best || winner.finishTime < best.finishTime) {
+                fastest[race.raceDistance] = {
+                    raceDistance: race.raceDistance,
+                    trackLength: race.trackLength,
+                    name: winner.name,
+                    finishTime: winner.finishTime,
+                    savedAt: race.savedAt,
+                    seed: race.seed
+                };
+            }
+        });
+        
+        return Object.keys(fastest).map(distance => fastest[distance])
+            .sort((a, b) => a.raceDistance - b.raceDistance);
+    }
+    
+    // How two horses have done in the races they've both run in - dead heats count as ties
+    getHeadToHead(first, second) {
+        const record = { races: 0, first: 0, second: 0, ties: 0 };
+        this.races.forEach(race => {
+            const a = race.results.find(result => result.name === first);
+            const b = race.results.find(result => result.name === second);
+            if (!a || !b) return;
+            
+            record.races++;
+            if (a.position < b.position) {
+                record.first++;
+            } else if (b.position < a.position) {
+                record.second++;
+            } else {
+                record.ties++;
+            }
+        });
+        return record;
+    }
+}
+
+// Allow the race history to be loaded in Node for headless runs
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RaceHistory };
+}
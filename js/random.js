@@ -0,0 +1,66 @@
+/**
+ * Seeded Random
+ * Deterministic pseudo-random number generator shared by the race
+ */
+class SeededRandom {
+    constructor(seed) {
+        this.setSeed(seed);
+    }
+
+    // Turn any seed (number or text typed by a player) into a 32-bit state using FNV-1a
+    static hashSeed(seed) {
+        const text = String(seed);
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    // Pick a fresh seed when the player hasn't entered one
+    // This is the only place allowed to use Math.random()
+    static createSeed() {
+        return Math.floor(Math.random() * 1000000).toString();
+    }
+
+    setSeed(seed) {
+        this.seed = String(seed);
+        this.state = SeededRandom.hashSeed(this.seed);
+    }
+
+    // Mulberry32 - returns a float between 0 (inclusive) and 1 (exclusive), like Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Random float between min and max
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Random integer between 0 and max - 1
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    // Random element of an array
+    pick(items) {
+        return items[this.int(items.length)];
+    }
+
+    // Create an independent generator derived from this seed
+    // Used for side streams (like track textures) so they never shift the race sequence
+    fork(label) {
+        return new SeededRandom(`${this.seed}:${label}`);
+    }
+}
+
+// Allow the generator to be loaded in Node for headless runs
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom };
+}
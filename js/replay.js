@@ -0,0 +1,254 @@
+/**
+ * Race Replay
+ * Records every horse's state each tick of a race and plays recordings back
+ *
+ * Recordings are plain JSON so they can be saved to a file and loaded again later:
+ * {
+ *     format: 'jel-derby-replay', version: 1, recordedAt, seed, totalLaps, trackLength, raceDistance,
+ *     laneWidth, surfaceWidth, conditions: { surface, going, weather },
+ *     horses: [{ lane, name, color, jockey }],
+ *     frames: [{ t, h: [[distance, lap, event, momentum, lateral], ...one per lane] }],
+ *     results: [{ lane, position, finishTime, margin, deadHeat, events: [{ type, message, time }] }]
+ * }
+ * Distances are in simulation units, so a replay looks the same on any screen size.
+ * raceDistance was added later - recordings without it are a whole number of laps.
+ * Lateral positions came later still - older recordings show every horse in its starting lane.
+ * So did jockeys (by name) and the race-day conditions - older recordings have none - and each
+ * horse's race events (the simulation's incidents), which the post-race charts mark.
+ */
+const REPLAY_FORMAT = 'jel-derby-replay';
+const REPLAY_VERSION = 1;
+
+/**
+ * RaceRecorder
+ * Captures the simulation state once per rendered tick while a race runs
+ */
+class RaceRecorder {
+    constructor() {
+        this.recording = null;
+    }
+    
+    start(scene) {
+        const simulation = scene.simulation;
+        
+        this.recording = {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            recordedAt: new Date().toISOString(),
+            seed: scene.seed,
+            totalLaps: simulation.totalLaps,
+            trackLength: simulation.trackLength,
+            raceDistance: simulation.raceDistance,
+            laneWidth: simulation.laneWidth,
+            surfaceWidth: simulation.surfaceWidth,
+            conditions: scene.conditions,
+            horses: scene.horses.map(horse => ({
+                lane: horse.lane,
+                name: horse.name,
+                color: '#' + horse.color.toString(16).padStart(6, '0'),
+                jockey: horse.runner.jockey ? horse.runner.jockey.name : null
+            })),
+            frames: [],
+            results: []
+        };
+        
+        // Everyone standing in the gate
+        this.capture(simulation);
+    }
+    
+    capture(simulation) {
+        if (!this.recording) return;
+        
+        this.recording.frames.push({
+            t: Math.round(simulation.elapsed * 100) / 100,
+            h: simulation.runners.map(runner => [
+                Math.round(runner.distance * 100) / 100,
+                runner.currentLap,
+                runner.currentEvent,
+                Math.round(runner.momentum * 1000) / 1000,
+                Math.round(runner.lateral * 100) / 100
+            ])
+        });
+    }
+    
+    // Add the official result and hand back the finished recording
+    finish(finishedHorses) {
+        if (!this.recording) return null;
+        
+        this.recording.results = finishedHorses.map(horse => ({
+            lane: horse.lane,
+            position: horse.position,
+            finishTime: horse.finishTime,
+            margin: horse.marginLengths,
+            deadHeat: horse.deadHeat,
+            events: horse.runner.incidents.map(incident => Object.assign({}, incident))
+        }));
+        
+        const recording = this.recording;
+        this.recording = null;
+        console.log(`Recorded race with ${recording.frames.length} frames`);
+        return recording;
+    }
+}
+
+/**
+ * RaceReplay
+ * Playback clock over a recording - play/pause, scrubbing, speed and jump to finish
+ */
+class RaceReplay {
+    constructor(recording) {
+        RaceReplay.validate(recording);
+        
+        this.recording = recording;
+        this.frames = recording.frames;
+        this.duration = this.frames[this.frames.length - 1].t;
+        
+        // How far round the first lap the race started
+        const raceDistance = recording.raceDistance || recording.totalLaps * recording.trackLength;
+        this.startOffset = recording.totalLaps * recording.trackLength - raceDistance;
+        
+        // Width of the track as it was raced (the simulation's defaults for older recordings)
+        this.laneWidth = recording.laneWidth || recording.trackLength / 1000;
+        this.surfaceWidth = recording.surfaceWidth || Math.max(12, recording.horses.length) * this.laneWidth;
+        
+        // When each lane crossed the line, so finished horses can stand still
+        this.finishTimes = {};
+        recording.results.forEach(result => {
+            this.finishTimes[result.lane] = result.finishTime;
+        });
+        this.time = 0;
+        this.speed = 1;
+        this.playing = false;
+    }
+    
+    // Check a loaded file really is a replay - throws an Error describing what's wrong
+    static validate(recording) {
+        if (!recording || recording.format !== REPLAY_FORMAT) {
+            throw new Error('This file is not a JEL Derby replay');
+        }
+        if (recording.version > REPLAY_VERSION) {
+            throw new Error(`Replay version ${recording.version} is newer than this simulator supports`);
+        }
+        if (!Array.isArray(recording.horses) || recording.horses.length === 0) {
+            throw new Error('Replay has no horses');
+        }
+        if (!Array.isArray(recording.frames) || recording.frames.length === 0) {
+            throw new Error('Replay has no frames');
+        }
+        if (!(recording.trackLength > 0) || !(recording.totalLaps > 0)) {
+            throw new Error('Replay is missing the track length or number of laps');
+        }
+        
+        if (recording.conditions) {
+            RaceConditions.validate(recording.conditions);
+        }
+        
+        // Names and colors end up in the page, so they're held to the same rules as a roster file
+        const isSafeName = name => typeof name === 'string' && name.trim() !== '' && name.length <= 40 && !/[<>"]/.test(name);
+        recording.horses.forEach((horse, index) => {
+            if (!horse || !isSafeName(horse.name)) {
+                throw new Error(`Horse ${index + 1} in the replay needs a name of up to 40 characters without < > or "`);
+            }
+            if (typeof horse.color !== 'string' || !/^#[0-9A-Fa-f]{6}$/.test(horse.color)) {
+                throw new Error(`${horse.name} in the replay needs a hex color like #FF8C00`);
+            }
+            if (horse.jockey !== undefined && horse.jockey !== null && !isSafeName(horse.jockey)) {
+                throw new Error(`${horse.name}'s jockey in the replay has an unusable name`);
+            }
+        });
+        
+        // Each horse's entry is [distance, lap, event, then numbers] - the event is its name or null
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        const isHorseState = state => Array.isArray(state) && isNumber(state[0]) && isNumber(state[1]) &&
+            (state[2] === null || state[2] === undefined || typeof state[2] === 'string') &&
+            state.slice(3).every(isNumber);
+        const fieldSize = recording.horses.length;
+        if (recording.frames.some(frame => !frame || !isNumber(frame.t) || !Array.isArray(frame.h) ||
+            frame.h.length !== fieldSize || !frame.h.every(isHorseState))) {
+            throw new Error('Replay frames do not match the field');
+        }
+        
+        // The finishing order - the replay bar names the winner from it at the end
+        if (!Array.isArray(recording.results) || recording.results.some(result => !result ||
+            !Number.isInteger(result.lane) || result.lane < 0 || result.lane >= fieldSize ||
+            !isNumber(result.finishTime) || !isNumber(result.position))) {
+            throw new Error('Replay results do not match the field');
+        }
+    }
+    
+    play() {
+        // Start again from the top if we're sitting at the finish
+        if (this.time >= this.duration) {
+            this.time = 0;
+        }
+        this.playing = true;
+    }
+    
+    pause() {
+        this.playing = false;
+    }
+    
+    seek(time) {
+        this.time = Math.max(0, Math.min(this.duration, time));
+    }
+    
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+    
+    jumpToFinish() {
+        this.seek(this.duration);
+        this.pause();
+    }
+    
+    isAtEnd() {
+        return this.time >= this.duration;
+    }
+    
+    // Advance the playback clock by real frame time
+    update(delta) {
+        if (!this.playing) return;
+        
+        this.seek(this.time + delta * this.speed);
+        if (this.isAtEnd()) {
+            this.pause();
+        }
+    }
+    
+    // State of every horse at the current time, interpolating distance and lateral position between recorded frames
+    getState() {
+        const frames = this.frames;
+        
+        // Binary search for the last frame at or before the current time
+        let low = 0;
+        let high = frames.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (frames[mid].t <= this.time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        
+        const frame = frames[low];
+        const next = frames[Math.min(low + 1, frames.length - 1)];
+        const span = next.t - frame.t;
+        const blend = span > 0 ? Math.min(1, (this.time - frame.t) / span) : 0;
+        return frame.h.map((horse, lane) => {
+            const distance = horse[0] + (next.h[lane][0] - horse[0]) * blend;
+            const lateral = horse[4] !== undefined ?
+                horse[4] + (next.h[lane][4] - horse[4]) * blend :
+                lane * this.laneWidth;
+            return {
+                lane,
+                distance,
+                lateral,
+                lap: horse[1],
+                event: horse[2],
+                momentum: horse[3],
+                finished: this.finishTimes[lane] !== undefined && this.time >= this.finishTimes[lane]
+            };
+        });
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * Replay Controls
+ * The replay bar (play/pause, scrubber, speed, jump to finish) plus saving and loading replay files
+ */
+class ReplayControls {
+    constructor(scene) {
+        this.scene = scene;
+        this.replayAvailable = false;
+        this.raceUnderway = false;
+        
+        this.container = document.querySelector('.replay-controls');
+        this.playButton = document.getElementById('replay-play');
+        this.scrubber = document.getElementById('replay-scrub');
+        this.timeElement = document.getElementById('replay-time');
+        this.speedSelect = document.getElementById('replay-speed');
+        this.statusElement = document.getElementById('replay-status');
+        this.watchButton = document.getElementById('watch-replay');
+        this.loadButton = document.getElementById('load-replay');
+        this.fileInput = document.getElementById('replay-file');
+        this.messageElement = document.getElementById('replay-message');
+        
+        if (!this.container) {
+            console.error("Could not find replay control elements");
+            return;
+        }
+        
+        this.watchButton.addEventListener('click', () => {
+            if (this.scene.lastRecording) {
+                this.scene.startReplay(this.scene.lastRecording);
+            }
+        });
+        this.loadButton.addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => this.loadFile());
+        
+        this.playButton.addEventListener('click', () => {
+            const replay = this.scene.replay;
+            if (!replay) return;
+            if (replay.playing) {
+                replay.pause();
+            } else {
+                replay.play();
+            }
+        });
+        this.scrubber.addEventListener('input', () => {
+            const replay = this.scene.replay;
+            if (replay) {
+                replay.seek((this.scrubber.value / 1000) * replay.duration);
+            }
+        });
+        this.speedSelect.addEventListener('change', () => {
+            if (this.scene.replay) {
+                this.scene.replay.setSpeed(parseFloat(this.speedSelect.value));
+            }
+        });
+        document.getElementById('replay-finish').addEventListener('click', () => {
+            if (this.scene.replay) {
+                this.scene.replay.jumpToFinish();
+            }
+        });
+        document.getElementById('replay-save').addEventListener('click', () => this.saveFile());
+        document.getElementById('replay-exit').addEventListener('click', () => this.scene.stopReplay());
+    }
+    
+    // The Replay button only works once there's a finished race to watch
+    setReplayAvailable(available) {
+        this.replayAvailable = available;
+        this.updateButtons();
+    }
+    
+    // Nothing can be watched or loaded from Start (countdown included) until the race is over or reset
+    setRaceUnderway(underway) {
+        this.raceUnderway = underway;
+        this.updateButtons();
+    }
+    
+    updateButtons() {
+        if (!this.watchButton || !this.loadButton) return;
+        this.watchButton.disabled = this.raceUnderway || !this.replayAvailable;
+        this.loadButton.disabled = this.raceUnderway;
+    }
+    
+    show(replay) {
+        if (!this.container) return;
+        replay.setSpeed(parseFloat(this.speedSelect.value));
+        this.container.style.display = 'flex';
+        this.statusElement.textContent = '';
+        this.update();
+    }
+    
+    hide() {
+        if (this.container) {
+            this.container.style.display = 'none';
+        }
+    }
+    
+    // Keep the bar in step with the playback clock - called every frame during a replay
+    update() {
+        const replay = this.scene.replay;
+        if (!replay || !this.container) return;
+        
+        this.playButton.textContent = replay.playing ? 'Pause' : 'Play';
+        this.scrubber.value = replay.duration > 0 ? Math.round((replay.time / replay.duration) * 1000) : 0;
+        this.timeElement.textContent = `${(replay.time / 1000).toFixed(2)}s / ${(replay.duration / 1000).toFixed(2)}s`;
+        
+        // Call the winner once playback reaches the finish
+        const results = replay.recording.results;
+        if (replay.isAtEnd() && results.length > 0) {
+            const winner = replay.recording.horses[results[0].lane];
+            this.statusElement.textContent = `Winner: ${winner.name} (${(results[0].finishTime / 1000).toFixed(2)}s)`;
+        } else {
+            this.statusElement.textContent = '';
+        }
+    }
+    
+    saveFile() {
+        const replay = this.scene.replay;
+        if (!replay) return;
+        
+        // Compact JSON - replays have thousands of frames
+        const filename = `jel-derby-replay-${replay.recording.seed || 'race'}.json`;
+        FileUtils.download(filename, JSON.stringify(replay.recording), 'application/json');
+    }
+    
+    // Why the last replay file wouldn't load, beside the Load button - cleared by the next one that does
+    showMessage(text) {
+        if (!this.messageElement) return;
+        this.messageElement.textContent = text;
+    }
+    
+    loadFile() {
+        const file = this.fileInput.files[0];
+        if (!file) return;
+        
+        FileUtils.readText(file)
+            .then(text => {
+                const recording = JSON.parse(text);
+                RaceReplay.validate(recording);
+                this.showMessage('');
+                this.scene.startReplay(recording);
+            })
+            .catch(error => {
+                console.error("Could not load replay:", error);
+                this.showMessage(`Could not load replay: ${error.message}`);
+            })
+            .finally(() => {
+                // Allow the same file to be picked again
+                this.fileInput.value = '';
+            });
+    }
+}
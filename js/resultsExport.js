@@ -0,0 +1,74 @@
+/**
+ * Results Export
+ * A finished race's full result - places, times, margins, sectionals and what happened to every
+ * horse - as JSON, or as CSV for pasting into a spreadsheet
+ */
+const ResultsExport = {
+    /**
+     * Gather the result of a finished race
+     * @param {RaceSimulation} simulation - After every horse is home
+     * @param {Object} [details] - About the race, e.g. { seed, race, trackLayout, conditions, balance }
+     * @returns {Object} Times in ms, margins in lengths behind the horse ahead
+     */
+    build(simulation, details = {}) {
+        return Object.assign({ savedAt: new Date().toISOString() }, details, {
+            totalLaps: simulation.totalLaps,
+            raceDistance: simulation.raceDistance,
+            trackLength: simulation.trackLength,
+            results: simulation.finishedRunners.map(runner => ({
+                position: runner.position,
+                lane: runner.lane,
+                name: runner.name,
+                jockey: runner.jockey ? runner.jockey.name : null,
+                finishTime: runner.finishTime,
+                margin: runner.marginLengths,
+                deadHeat: runner.deadHeat,
+                splits: simulation.getSplits(runner),
+                events: runner.incidents.map(incident => Object.assign({}, incident))
+            }))
+        });
+    },
+    
+    toJson(results) {
+        return JSON.stringify(results, null, 2);
+    },
+    
+    // One row per horse in finishing order - times in seconds, each lap's split and place, then the events
+    toCsv(results) {
+        const quote = value => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const seconds = time => (time / 1000).toFixed(3);
+        
+        const columns = ['Position', 'Horse', 'Jockey', 'Time', 'Margin', 'Dead Heat'];
+        for (let lap = 1; lap <= results.totalLaps; lap++) {
+            columns.push(`Lap ${lap}`, `Lap ${lap} Position`);
+        }
+        columns.push('Events');
+        
+        const lines = [columns.join(',')];
+        results.results.forEach(result => {
+            const row = [
+                result.position,
+                result.name,
+                result.jockey,
+                seconds(result.finishTime),
+                result.margin === null ? '' : result.margin.toFixed(2),
+                result.deadHeat ? 'DH' : ''
+            ];
+            for (let lap = 0; lap < results.totalLaps; lap++) {
+                const split = result.splits[lap];
+                row.push(split ? seconds(split.split) : '', split ? split.position : '');
+            }
+            row.push(result.events.map(event => `${event.type} (${seconds(event.time)}s)`).join('; '));
+            lines.push(row.map(quote).join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+};
+
+// Allow the results export to be loaded in Node for headless runs
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ResultsExport };
+}
@@ -0,0 +1,285 @@
+/**
+ * Roster
+ * The horses that make up the field, loaded from and saved to JSON or CSV files so the field
+ * can be set up without touching the code.
+ *
+ * JSON:
+ * {
+ *     format: 'jel-derby-roster', version: 1,
+ *     horses: [{ name, color, owner, silks, style, stats: { baseSpeed, stamina, acceleration, luckFactor } }]
+ * }
+ *
+ * CSV - one horse per row after a header row, only name and color are required:
+ * name,color,owner,silks,style,baseSpeed,stamina,acceleration,luckFactor
+ *
+ * Stats are optional - a horse with stats always races with them, one without rolls its own.
+ * So is the running style (front-runner, stalker or closer). Names have to pass the same registry
+ * rules as generated ones (see js/namePacks.js).
+ */
+const ROSTER_FORMAT = 'jel-derby-roster';
+const ROSTER_VERSION = 1;
+
+// The house field used until a roster is loaded
+const DEFAULT_ROSTER = [
+    { name: "Fusaichi Pegasus", color: "#000000" }, // Black
+    { name: "Aura Boost",       color: "#F5F5F5" }, // White Smoke
+    { name: "Orchid Dream",     color: "#DA70D6" }, // Orchid
+    { name: "Shell Beach",      color: "#20B2AA" }, // Light Sea Green
+    { name: "Rose Runner",      color: "#FF033E" }, // American Rose
+    { name: "Dusty Trails",     color: "#D2B48C" }, // Tan
+    { name: "Amber Flash",      color: "#FF8C00" }, // Dark Orange
+    { name: "Green Lightning",  color: "#32CD32" }, // Lime Green
+    { name: "Royal Thunder",    color: "#4169E1" }, // Royal Blue
+    { name: "Pink Dash",        color: "#FF69B4" }, // Hot Pink
+    { name: "Silver Streak",    color: "#C0C0C0" }, // Silver
+    { name: "Golden Arrow",     color: "#B8860B" }  // Dark Goldenrod
+];
+
+// Sensible bounds for fixed stats - the rolled ones come out well inside these
+const ROSTER_STAT_LIMITS = {
+    baseSpeed: { min: 0.5, max: 10 },
+    stamina: { min: 0.1, max: 3 },
+    acceleration: { min: 0.05, max: 2 },
+    luckFactor: { min: 0, max: 1 }
+};
+
+// Running styles a roster can give a horse - the keys of RUNNING_STYLES in the simulation
+const ROSTER_STYLES = ['front-runner', 'stalker', 'closer'];
+
+// Longest name a horse can have - the registry's (js/namePacks.js), which isn't loaded in Node
+const ROSTER_NAME_MAX_LENGTH = typeof NAME_MAX_LENGTH !== 'undefined' ? NAME_MAX_LENGTH : 18;
+
+const ROSTER_CSV_COLUMNS = ['name', 'color', 'owner', 'silks', 'style', 'baseSpeed', 'stamina', 'acceleration', 'luckFactor'];
+
+const Roster = {
+    /**
+     * Read a roster file - JSON or CSV, worked out from the file name or the text itself
+     * @param {string} text - File contents
+     * @param {string} [filename] - Used to tell CSV from JSON
+     * @returns {Object[]} Validated entries ({ name, color, owner, silks, style, stats })
+     */
+    parse(text, filename) {
+        const isJson = filename ? /\.json$/i.test(filename) : text.trim().startsWith('{');
+        const entries = isJson ? this.parseJson(text) : this.parseCsv(text);
+        return this.validate(entries);
+    },
+    
+    parseJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Roster is not valid JSON: ${error.message}`);
+        }
+        
+        // A bare list of horses is fine too
+        const horses = Array.isArray(data) ? data : data && data.horses;
+        if (!Array.isArray(horses)) {
+            throw new Error('Roster JSON needs a "horses" list');
+        }
+        if (data.format && data.format !== ROSTER_FORMAT) {
+            throw new Error('This file is not a JEL Derby roster');
+        }
+        if (data.version > ROSTER_VERSION) {
+            throw new Error(`Roster version ${data.version} is newer than this simulator supports`);
+        }
+        return horses;
+    },
+    
+    parseCsv(text) {
+        const rows = this.parseCsvRows(text).filter(row => row.some(cell => cell.trim() !== ''));
+        if (rows.length < 2) {
+            throw new Error('Roster CSV needs a header row and at least one horse');
+        }
+        
+        // Match the header case-insensitively and take "colour" as well as "color"
+        const header = rows[0].map(cell => cell.trim().toLowerCase().replace('colour', 'color'));
+        const columns = {};
+        ROSTER_CSV_COLUMNS.forEach(column => {
+            const index = header.indexOf(column.toLowerCase());
+            if (index !== -1) columns[column] = index;
+        });
+        if (columns.name === undefined || columns.color === undefined) {
+            throw new Error('Roster CSV header needs "name" and "color" columns');
+        }
+        
+        return rows.slice(1).map(row => {
+            const cell = column => (columns[column] !== undefined && row[columns[column]] !== undefined) ?
+                row[columns[column]].trim() : '';
+            
+            const entry = { name: cell('name'), color: cell('color'), owner: cell('owner'), silks: cell('silks'), style: cell('style') };
+            const stats = {};
+            Object.keys(ROSTER_STAT_LIMITS).forEach(stat => {
+                if (cell(stat) !== '') stats[stat] = Number(cell(stat));
+            });
+            if (Object.keys(stats).length > 0) {
+                entry.stats = stats;
+            }
+            return entry;
+        });
+    },
+    
+    // Split CSV text into rows of cells - handles quoted cells with commas, quotes and line breaks
+    parseCsvRows(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    },
+    
+    /**
+     * Check every entry and tidy it up - throws one Error listing every problem found
+     * @param {Object[]} entries - Raw entries from a file
+     * @returns {Object[]} Clean entries with colors as "#RRGGBB"
+     */
+    validate(entries) {
+        const problems = [];
+        const seenNames = {};
+        
+        const clean = entries.map((entry, index) => {
+            const where = `Horse ${index + 1}`;
+            if (!entry || typeof entry !== 'object') {
+                problems.push(`${where}: not a horse`);
+                return null;
+            }
+            
+            const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+            if (!name) {
+                problems.push(`${where}: missing a name`);
+            } else if (name.length > ROSTER_NAME_MAX_LENGTH) {
+                problems.push(`${where}: "${name}" is longer than ${ROSTER_NAME_MAX_LENGTH} characters`);
+            } else if (/[<>"]/.test(name)) {
+                problems.push(`${where}: "${name}" can't contain < > or "`);
+            } else if (typeof NamePacks !== 'undefined' && NamePacks.checkName(name)) {
+                problems.push(`${where}: ${NamePacks.checkName(name)}`);
+            } else if (seenNames[name.toLowerCase()]) {
+                problems.push(`${where}: "${name}" is already in the roster as horse ${seenNames[name.toLowerCase()]}`);
+            } else {
+                seenNames[name.toLowerCase()] = index + 1;
+            }
+            
+            // Accept "#abc", "#aabbcc" or the same without the #
+            let color = typeof entry.color === 'string' ? entry.color.trim() : '';
+            if (/^#?[0-9a-f]{3}$/i.test(color)) {
+                color = color.replace('#', '').split('').map(digit => digit + digit).join('');
+            }
+            if (/^#?[0-9a-f]{6}$/i.test(color)) {
+                color = '#' + color.replace('#', '').toUpperCase();
+            } else {
+                problems.push(`${where}${name ? ` (${name})` : ''}: "${entry.color || ''}" is not a hex color like #FF8C00`);
+            }
+            
+            const owner = typeof entry.owner === 'string' ? entry.owner.trim() : '';
+            const silks = typeof entry.silks === 'string' ? entry.silks.trim() : '';
+            if (/[<>"]/.test(owner) || /[<>"]/.test(silks)) {
+                problems.push(`${where}${name ? ` (${name})` : ''}: owner and silks can't contain < > or "`);
+            }
+            
+            // "Front runner" and "Front-Runner" both mean front-runner
+            const style = typeof entry.style === 'string' ? entry.style.trim().toLowerCase().replace(/\s+/g, '-') : '';
+            if (style && ROSTER_STYLES.indexOf(style) === -1) {
+                problems.push(`${where}${name ? ` (${name})` : ''}: running style must be one of ${ROSTER_STYLES.join(', ')}`);
+            }
+            
+            let stats = null;
+            if (entry.stats) {
+                stats = {};
+                Object.keys(entry.stats).forEach(stat => {
+                    const limits = ROSTER_STAT_LIMITS[stat];
+                    const value = Number(entry.stats[stat]);
+                    if (!limits) {
+                        problems.push(`${where}${name ? ` (${name})` : ''}: unknown stat "${stat}"`);
+                    } else if (!Number.isFinite(value) || value < limits.min || value > limits.max) {
+                        problems.push(`${where}${name ? ` (${name})` : ''}: ${stat} must be between ${limits.min} and ${limits.max}`);
+                    } else {
+                        stats[stat] = value;
+                    }
+                });
+            }
+            
+            return { name, color, owner, silks, style, stats };
+        });
+        
+        if (entries.length === 0) {
+            problems.push('The roster has no horses');
+        }
+        if (problems.length > 0) {
+            // Keep the message readable when a whole file is wrong
+            const shown = problems.slice(0, 8);
+            if (problems.length > shown.length) {
+                shown.push(`...and ${problems.length - shown.length} more`);
+            }
+            throw new Error(`Roster has problems:\n${shown.join('\n')}`);
+        }
+        return clean;
+    },
+    
+    toJson(entries) {
+        return JSON.stringify({
+            format: ROSTER_FORMAT,
+            version: ROSTER_VERSION,
+            horses: entries.map(entry => {
+                const horse = { name: entry.name, color: entry.color };
+                if (entry.owner) horse.owner = entry.owner;
+                if (entry.silks) horse.silks = entry.silks;
+                if (entry.style) horse.style = entry.style;
+                if (entry.stats) horse.stats = entry.stats;
+                return horse;
+            })
+        }, null, 2);
+    },
+    
+    toCsv(entries) {
+        const quote = value => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        const lines = [ROSTER_CSV_COLUMNS.join(',')];
+        entries.forEach(entry => {
+            const stats = entry.stats || {};
+            lines.push([
+                entry.name, entry.color, entry.owner, entry.silks, entry.style,
+                stats.baseSpeed, stats.stamina, stats.acceleration, stats.luckFactor
+            ].map(quote).join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+};
+
+// Allow the roster to be loaded in Node for headless runs
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Roster, DEFAULT_ROSTER };
+}
@@ -0,0 +1,57 @@
+/**
+ * Roster Controls
+ * Import and export buttons in the stable panel for setting up the field from a JSON or CSV file
+ */
+class RosterControls {
+    constructor(scene) {
+        this.scene = scene;
+        
+        this.fileInput = document.getElementById('roster-file');
+        this.messageElement = document.getElementById('roster-message');
+        
+        if (!this.fileInput) {
+            console.error("Could not find roster control elements");
+            return;
+        }
+        
+        document.getElementById('import-roster').addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => this.loadFile());
+        document.getElementById('export-roster-json').addEventListener('click', () => this.exportJson());
+        document.getElementById('export-roster-csv').addEventListener('click', () => this.exportCsv());
+    }
+    
+    showMessage(text, isError) {
+        if (!this.messageElement) return;
+        this.messageElement.textContent = text;
+        this.messageElement.className = isError ? 'roster-message roster-error' : 'roster-message';
+    }
+    
+    loadFile() {
+        const file = this.fileInput.files[0];
+        if (!file) return;
+        
+        FileUtils.readText(file)
+            .then(text => {
+                const entries = Roster.parse(text, file.name);
+                this.scene.applyRoster(entries);
+                this.scene.stablePanel.render();
+                this.showMessage(`Loaded ${entries.length} horses from ${file.name}`, false);
+            })
+            .catch(error => {
+                console.error("Could not load roster:", error);
+                this.showMessage(error.message, true);
+            })
+            .finally(() => {
+                // Allow the same file to be picked again once it's been fixed
+                this.fileInput.value = '';
+            });
+    }
+    
+    exportJson() {
+        FileUtils.download('jel-derby-roster.json', Roster.toJson(this.scene.getRoster()), 'application/json');
+    }
+    
+    exportCsv() {
+        FileUtils.download('jel-derby-roster.csv', Roster.toCsv(this.scene.getRoster()), 'text/csv');
+    }
+}
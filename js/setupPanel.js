@@ -0,0 +1,197 @@
+/**
+ * Setup Panel
+ * Field size, race length, course, race-day condition and balance controls in the top banner, and
+ * the editor for the custom balance profile
+ */
+
+// One lap of the oval is a mile
+const FURLONGS_PER_LAP = 8;
+
+// Limits for the setup inputs
+const SETUP_LIMITS = {
+    horses: { min: 2, max: 32 },
+    laps: { min: 1, max: 10 },
+    furlongs: { min: 4, max: 40 }
+};
+
+// Balance profile whose settings are tuned by hand rather than taken from BALANCE_PROFILES
+const CUSTOM_BALANCE = 'custom';
+
+class SetupPanel {
+    constructor(scene) {
+        this.scene = scene;
+        
+        this.horsesInput = document.getElementById('setup-horses');
+        this.lengthInput = document.getElementById('setup-length');
+        this.unitSelect = document.getElementById('setup-unit');
+        this.trackSelect = document.getElementById('setup-track');
+        this.balanceSelect = document.getElementById('setup-balance');
+        this.balancePanel = document.querySelector('.balance-panel');
+        this.balanceInputs = {};
+        this.messageElement = document.getElementById('setup-message');
+        this.conditionSelects = {
+            surface: document.getElementById('setup-surface'),
+            going: document.getElementById('setup-going'),
+            weather: document.getElementById('setup-weather')
+        };
+        
+        if (!this.horsesInput || !this.lengthInput || !this.unitSelect || !this.trackSelect || !this.balanceSelect || !this.balancePanel ||
+            Object.keys(this.conditionSelects).some(condition => !this.conditionSelects[condition])) {
+            console.error("Could not find race setup elements");
+            return;
+        }
+        
+        this.horsesInput.min = SETUP_LIMITS.horses.min;
+        this.horsesInput.max = SETUP_LIMITS.horses.max;
+        this.trackSelect.innerHTML = Object.keys(TRACK_LAYOUTS)
+            .map(layout => `<option value="${layout}">${TRACK_LAYOUTS[layout].name}</option>`)
+            .join('');
+        
+        // Each condition can be picked or left to the seed
+        const conditionTables = { surface: TRACK_SURFACES, going: TRACK_GOINGS, weather: RACE_WEATHER };
+        Object.keys(conditionTables).forEach(condition => {
+            const table = conditionTables[condition];
+            this.conditionSelects[condition].innerHTML = `<option value="${RANDOM_CONDITION}">Random</option>` +
+                Object.keys(table).map(key => `<option value="${key}">${table[key].name}</option>`).join('');
+        });
+        
+        this.balanceSelect.innerHTML = Object.keys(BALANCE_PROFILES)
+            .map(profile => `<option value="${profile}" title="${BALANCE_PROFILES[profile].description}">${BALANCE_PROFILES[profile].name}</option>`)
+            .join('') + `<option value="${CUSTOM_BALANCE}" title="Your own settings">Custom</option>`;
+        this.createBalanceEditor();
+        
+        this.unit = this.unitSelect.value;
+        this.updateLengthLimits();
+        this.show();
+        
+        this.unitSelect.addEventListener('change', () => this.changeUnit());
+        this.balanceSelect.addEventListener('change', () => this.showBalanceEditor());
+        document.getElementById('setup-apply').addEventListener('click', () => this.apply());
+    }
+    
+    // A number input for every balance setting, in the custom profile panel
+    createBalanceEditor() {
+        const settingsElement = document.getElementById('balance-settings');
+        settingsElement.innerHTML = Object.keys(BALANCE_SETTINGS).map(key => `
+            <label class="balance-setting">
+                <span>${BALANCE_SETTINGS[key].label}</span>
+                <input id="balance-${key}" type="number" min="0" max="${BALANCE_SETTINGS[key].max}" step="0.01">
+            </label>
+        `).join('');
+        Object.keys(BALANCE_SETTINGS).forEach(key => {
+            this.balanceInputs[key] = document.getElementById(`balance-${key}`);
+        });
+        
+        // Start the custom profile off from one of the others
+        document.getElementById('balance-copy').innerHTML = Object.keys(BALANCE_PROFILES)
+            .map(profile => `<button class="race-button" data-profile="${profile}">Copy ${BALANCE_PROFILES[profile].name}</button>`)
+            .join('');
+        document.getElementById('balance-copy').addEventListener('click', event => {
+            const profile = BALANCE_PROFILES[event.target.dataset.profile];
+            if (profile) this.showBalanceSettings(profile.settings);
+        });
+    }
+    
+    // The custom profile editor is open while Custom is picked
+    showBalanceEditor() {
+        this.balancePanel.style.display = this.balanceSelect.value === CUSTOM_BALANCE ? 'flex' : 'none';
+    }
+    
+    showBalanceSettings(settings) {
+        Object.keys(this.balanceInputs).forEach(key => {
+            this.balanceInputs[key].value = settings[key];
+        });
+    }
+    
+    // Show the scene's current setup in the inputs
+    show() {
+        this.horsesInput.value = this.scene.numHorses;
+        const length = this.unit === 'furlongs' ? this.scene.totalLaps * FURLONGS_PER_LAP : this.scene.totalLaps;
+        this.lengthInput.value = Math.round(length * 100) / 100;
+        this.trackSelect.value = this.scene.trackLayout;
+        Object.keys(this.conditionSelects).forEach(condition => {
+            this.conditionSelects[condition].value = this.scene.conditionSettings[condition];
+        });
+        this.balanceSelect.value = this.scene.balanceProfile;
+        this.showBalanceSettings(this.scene.customBalance);
+        this.showBalanceEditor();
+    }
+    
+    updateLengthLimits() {
+        const limits = SETUP_LIMITS[this.unit];
+        this.lengthInput.min = limits.min;
+        this.lengthInput.max = limits.max;
+        // Laps are whole, furlongs go in halves
+        this.lengthInput.step = this.unit === 'furlongs' ? 0.5 : 1;
+    }
+    
+    // Convert the length already typed in to the new unit
+    changeUnit() {
+        const length = parseFloat(this.lengthInput.value);
+        const newUnit = this.unitSelect.value;
+        if (Number.isFinite(length)) {
+            const converted = newUnit === 'furlongs' ? length * FURLONGS_PER_LAP : length / FURLONGS_PER_LAP;
+            this.lengthInput.value = newUnit === 'laps' ? Math.max(1, Math.round(converted)) : converted;
+        }
+        this.unit = newUnit;
+        this.updateLengthLimits();
+    }
+    
+    // Read and check the inputs - throws an Error describing the first problem
+    readSetup() {
+        const numHorses = Number(this.horsesInput.value);
+        const length = Number(this.lengthInput.value);
+        const horseLimits = SETUP_LIMITS.horses;
+        const lengthLimits = SETUP_LIMITS[this.unit];
+        
+        if (!Number.isInteger(numHorses) || numHorses < horseLimits.min || numHorses > horseLimits.max) {
+            throw new Error(`Field size must be a whole number from ${horseLimits.min} to ${horseLimits.max}`);
+        }
+        if (!Number.isFinite(length) || length < lengthLimits.min || length > lengthLimits.max) {
+            throw new Error(`Race length must be from ${lengthLimits.min} to ${lengthLimits.max} ${this.unit}`);
+        }
+        if (this.unit === 'laps' && !Number.isInteger(length)) {
+            throw new Error('Use furlongs for races that are not a whole number of laps');
+        }
+        
+        // The custom settings are kept whichever profile is picked, so they're still there to go back to
+        const custom = {};
+        Object.keys(BALANCE_SETTINGS).forEach(key => {
+            const value = Number(this.balanceInputs[key].value);
+            const max = BALANCE_SETTINGS[key].max;
+            if (this.balanceInputs[key].value === '' || !Number.isFinite(value) || value < 0 || value > max) {
+                throw new Error(`${BALANCE_SETTINGS[key].label} must be from 0 to ${max}`);
+            }
+            custom[key] = value;
+        });
+        
+        return {
+            numHorses,
+            totalLaps: this.unit === 'furlongs' ? length / FURLONGS_PER_LAP : length,
+            trackLayout: this.trackSelect.value,
+            conditions: {
+                surface: this.conditionSelects.surface.value,
+                going: this.conditionSelects.going.value,
+                weather: this.conditionSelects.weather.value
+            },
+            balance: { profile: this.balanceSelect.value, custom }
+        };
+    }
+    
+    // Problems with the setup are shown beside the Apply button until the next try
+    showMessage(text) {
+        if (!this.messageElement) return;
+        this.messageElement.textContent = text;
+    }
+    
+    apply() {
+        try {
+            this.scene.applySetup(this.readSetup());
+            this.showMessage('');
+        } catch (error) {
+            console.error("Could not change the race setup:", error);
+            this.showMessage(error.message);
+        }
+        this.show();
+    }
+}
@@ -0,0 +1,1006 @@
+/**
+ * Race Simulation
+ * Pure race physics - steps a race with a fixed timestep and needs no Phaser, DOM or canvas.
+ * The RaceScene renders over it in the browser, and it can be run on its own in Node
+ * (see tools/simulate-races.js) to tune balance.
+ *
+ * Distances are in simulation track units: one lap is `trackLength` units no matter how
+ * big the screen is, so a seed gives the same race on every display and frame rate.
+ *
+ * Distance is measured along the inside rail. Each horse also has a lateral position (units out
+ * from the rail) - horses tuck in towards the rail when there's room, swing out to get past a
+ * horse directly in front, and a horse racing wide on a turn covers more ground for the same
+ * progress along the rail.
+ *
+ * Race-day conditions (surface, going and weather) come in as plain numbers from
+ * RaceConditions.getRaceEffects() - see js/conditions.js.
+ */
+
+/**
+ * Running styles - how a horse spends its energy over the race
+ * early/late: effort (a speed multiplier) before and after the horse makes its move
+ * move: share of the race run when it makes that move
+ * moveText: what happens when it makes its move, for the race log
+ * Tuned with tools/simulate-races.js so each style wins about its share of races.
+ */
+const RUNNING_STYLES = {
+    'front-runner': { name: 'Front-runner', early: 1.13, late: 1.02, move: 0.6, moveText: 'is starting to tire' },
+    stalker: { name: 'Stalker', early: 1.0, late: 1.02, move: 0.65, moveText: 'moves up to challenge' },
+    closer: { name: 'Closer', early: 0.96, late: 1.04, move: 0.75, moveText: 'launches a late run' }
+};
+
+/**
+ * Balance - how hard the race pulls the field back together. Trailing horses get a catch-up boost,
+ * the leader a handicap that grows with its lead and the final lap one more push for the back of the
+ * field. Distances are shares of a lap; boosts and handicaps are shares of a horse's speed.
+ * label/max: for the custom profile editor in the setup panel - every setting runs from 0 to max
+ */
+const BALANCE_SETTINGS = {
+    catchUpPerPlace: { label: 'Catch-up per place behind', max: 0.1 },
+    catchUpPlaceMax: { label: 'Most catch-up for places', max: 0.5 },
+    catchUpPerLap: { label: 'Catch-up per lap behind', max: 5 },
+    catchUpDistanceMax: { label: 'Most catch-up for distance', max: 0.5 },
+    catchUpRandom: { label: 'Random catch-up', max: 0.2 },
+    lastPlaceBoost: { label: 'Last place boost', max: 0.5 },
+    catchUpSpeed: { label: 'Catch-up on top speed', max: 2 },
+    catchUpAcceleration: { label: 'Catch-up on acceleration', max: 2 },
+    catchUpMinSpeed: { label: 'Catch-up on minimum speed', max: 2 },
+    recoveryChance: { label: 'Chance of a catch-up move', max: 0.1 },
+    recoveryMomentum: { label: 'Catch-up move momentum', max: 0.5 },
+    leaderHandicapPerLap: { label: 'Leader handicap per lap ahead', max: 5 },
+    leaderHandicapMax: { label: 'Most leader handicap', max: 0.5 },
+    leaderHandicapSpeed: { label: 'Leader handicap on top speed', max: 2 },
+    easePaceChance: { label: 'Chance the leader eases', max: 0.1 },
+    easePaceLead: { label: 'Lead before the leader eases', max: 0.5 },
+    easePaceMomentum: { label: 'Momentum lost easing', max: 0.5 },
+    finalLapPressureLead: { label: 'Final lap lead under pressure', max: 0.5 },
+    finalLapPressure: { label: 'Final lap pressure', max: 0.5 },
+    finalLapBoost: { label: 'Final lap boost', max: 0.5 },
+    finalLapBoostRange: { label: 'Extra final lap boost at the back', max: 0.5 },
+    finalLapBoostMax: { label: 'Most final lap boost', max: 0.5 }
+};
+
+// Picked in the setup panel - Classic is how the races have always been run
+const BALANCE_PROFILES = {
+    pure: {
+        name: 'Pure',
+        description: "No rubber-banding - the horses' stats decide",
+        settings: {
+            catchUpPerPlace: 0, catchUpPlaceMax: 0, catchUpPerLap: 0, catchUpDistanceMax: 0, catchUpRandom: 0,
+            lastPlaceBoost: 0, catchUpSpeed: 0, catchUpAcceleration: 0, catchUpMinSpeed: 0,
+            recoveryChance: 0, recoveryMomentum: 0,
+            leaderHandicapPerLap: 0, leaderHandicapMax: 0, leaderHandicapSpeed: 0,
+            easePaceChance: 0, easePaceLead: 0, easePaceMomentum: 0,
+            finalLapPressureLead: 0, finalLapPressure: 0, finalLapBoost: 0, finalLapBoostRange: 0, finalLapBoostMax: 0
+        }
+    },
+    classic: {
+        name: 'Classic',
+        description: 'A gentle pull on the pack to keep the race close',
+        settings: {
+            catchUpPerPlace: 0.02, catchUpPlaceMax: 0.15, catchUpPerLap: 1.0, catchUpDistanceMax: 0.15, catchUpRandom: 0.05,
+            lastPlaceBoost: 0.1, catchUpSpeed: 0.7, catchUpAcceleration: 0.6, catchUpMinSpeed: 0.8,
+            recoveryChance: 0.01, recoveryMomentum: 0.15,
+            leaderHandicapPerLap: 1.5, leaderHandicapMax: 0.2, leaderHandicapSpeed: 0.7,
+            easePaceChance: 0.03, easePaceLead: 0.04, easePaceMomentum: 0.08,
+            finalLapPressureLead: 0.06, finalLapPressure: 0.08, finalLapBoost: 0.08, finalLapBoostRange: 0.12, finalLapBoostMax: 0.2
+        }
+    },
+    arcade: {
+        name: 'Arcade',
+        description: 'A tight pack and a dramatic finish',
+        settings: {
+            catchUpPerPlace: 0.03, catchUpPlaceMax: 0.2, catchUpPerLap: 1.5, catchUpDistanceMax: 0.25, catchUpRandom: 0.05,
+            lastPlaceBoost: 0.15, catchUpSpeed: 0.8, catchUpAcceleration: 0.8, catchUpMinSpeed: 1.0,
+            recoveryChance: 0.02, recoveryMomentum: 0.2,
+            leaderHandicapPerLap: 2.5, leaderHandicapMax: 0.3, leaderHandicapSpeed: 0.8,
+            easePaceChance: 0.05, easePaceLead: 0.03, easePaceMomentum: 0.1,
+            finalLapPressureLead: 0.04, finalLapPressure: 0.12, finalLapBoost: 0.1, finalLapBoostRange: 0.15, finalLapBoostMax: 0.25
+        }
+    }
+};
+const DEFAULT_BALANCE_PROFILE = 'classic';
+
+/**
+ * How a horse is ridden when nobody has booked it a jockey (see js/jockeys.js) - a rider in the
+ * middle of the weighing room on every count, e.g. for headless runs and old replays
+ */
+const NEUTRAL_RIDE = { name: null, skill: 0.5, weight: 54, aggression: 0.5, whipTiming: 0.85 };
+
+// Conditions when none are given - nothing changes and no horse is suited more than another
+const NEUTRAL_CONDITIONS = { surface: null, softness: 0.25, preference: 0, speed: 1, stamina: 1, luck: 1, leaderDrag: 0 };
+
+/**
+ * Runner
+ * The simulated state of a single horse - skills, speed, distance and race events
+ */
+class Runner {
+    constructor(simulation, lane, name, color) {
+        this.simulation = simulation;
+        this.lane = lane;
+        this.name = name;
+        this.color = color !== undefined ? color : this.getRandomColor();
+        this.jockey = null; // Booked before each race - see JockeyRoom.assign
+        
+        // Different horses have different skills - some are fast, some have stamina, some accelerate quickly
+        this.randomizeSkills();
+        
+        // Current state
+        this.reset();
+    }
+    
+    getRandomColor() {
+        const colors = [
+            0x000000, // Black
+            0xF5F5F5, // White Smoke
+            0xDA70D6, // Orchid
+            0x20B2AA, // Light Sea Green
+            0xFF033E, // American Rose
+            0xD2B48C, // Tan
+            0xFF8C00, // Dark Orange
+            0x32CD32, // Lime Green
+            0x4169E1, // Royal Blue
+            0xFF69B4, // Hot Pink
+            0xC0C0C0, // Silver
+            0xB8860B  // Dark Goldenrod
+        ];
+        
+        // Return a random color (this is only used as a fallback)
+        return colors[this.simulation.rng.int(colors.length)];
+    }
+    
+    // Method to randomize horse skills
+    randomizeSkills() {
+        const rng = this.simulation.rng;
+        
+        // Generate random skill distribution - each horse will excel in different areas
+        const totalSkillPoints = 3.75; // Total skill points to distribute
+        const skillVariance = 0.3; // How much variance to allow in total skill points
+        
+        // Randomize total skill points slightly to create some overall better/worse horses
+        const adjustedSkillPoints = totalSkillPoints + (rng.next() * skillVariance * 2) - skillVariance;
+        
+        // Distribute skill points with some randomness
+        const speedWeight = rng.next() * 0.6 + 0.7; // 0.7-1.3 (speed is important for all horses)
+        const staminaWeight = rng.next() * 0.8 + 0.6; // 0.6-1.4
+        const accelerationWeight = rng.next() * 0.8 + 0.6; // 0.6-1.4
+        
+        // Normalize weights so they sum to 1.0
+        const totalWeight = speedWeight + staminaWeight + accelerationWeight;
+        const normalizedSpeedWeight = speedWeight / totalWeight;
+        const normalizedStaminaWeight = staminaWeight / totalWeight;
+        const normalizedAccelerationWeight = accelerationWeight / totalWeight;
+        
+        // Calculate base stats based on weights
+        this.baseSpeed = (normalizedSpeedWeight * adjustedSkillPoints * 2.5) + 1.0; // Range ~1.5-3.5
+        this.stamina = (normalizedStaminaWeight * adjustedSkillPoints * 0.8) + 0.4; // Range ~0.6-1.2
+        this.acceleration = (normalizedAccelerationWeight * adjustedSkillPoints * 0.4) + 0.2; // Range ~0.3-0.6
+        
+        // Create descriptive traits based on stats
+        this.traits = Runner.getTraits(this.baseSpeed, this.stamina, this.acceleration);
+        
+        // Moderate luck factor - still allows for some randomness
+        this.luckFactor = rng.next() * 0.2 + 0.05; // Between 0.05 and 0.25 (reduced)
+        
+        this.style = Runner.pickStyle(rng, this.stamina, this.acceleration);
+        
+        // Every horse has a favourite surface, and somewhere between loving fast ground (0) and the mud (1)
+        this.surfacePreference = rng.pick(['dirt', 'turf', 'synthetic']);
+        this.goingPreference = rng.next();
+    }
+    
+    // Quick starters tend to go from the front and stayers to come from behind, but not always
+    static pickStyle(rng, stamina, acceleration) {
+        const weights = {
+            'front-runner': acceleration * 2,
+            stalker: 1,
+            closer: stamina
+        };
+        const total = Object.keys(weights).reduce((sum, style) => sum + weights[style], 0);
+        let roll = rng.next() * total;
+        return Object.keys(weights).find(style => (roll -= weights[style]) < 0) || 'stalker';
+    }
+    
+    // Effort at a point in the race - switches from early to late over a tenth of the race
+    getEffort(raceProgress) {
+        const style = RUNNING_STYLES[this.style] || RUNNING_STYLES.stalker;
+        const blend = Math.min(1, Math.max(0, (raceProgress - style.move) / 0.1));
+        return style.early + (style.late - style.early) * blend;
+    }
+    
+    // The jockey on board, or an average ride if none has been booked
+    getRide() {
+        return this.jockey || NEUTRAL_RIDE;
+    }
+    
+    // Descriptive traits for a set of stats
+    static getTraits(baseSpeed, stamina, acceleration) {
+        const traits = [];
+        if (baseSpeed > 2.8) traits.push("Fast");
+        if (stamina > 1.0) traits.push("Endurance");
+        if (acceleration > 0.5) traits.push("Quick Starter");
+        if (traits.length === 0) traits.push("Balanced");
+        return traits;
+    }
+    
+    // The skills that make this horse who it is (everything randomizeSkills rolls)
+    getSkills() {
+        return {
+            baseSpeed: this.baseSpeed,
+            stamina: this.stamina,
+            acceleration: this.acceleration,
+            luckFactor: this.luckFactor,
+            traits: this.traits.slice(),
+            style: this.style,
+            surfacePreference: this.surfacePreference,
+            goingPreference: this.goingPreference
+        };
+    }
+    
+    setSkills(skills) {
+        this.baseSpeed = skills.baseSpeed;
+        this.stamina = skills.stamina;
+        this.acceleration = skills.acceleration;
+        this.luckFactor = skills.luckFactor;
+        this.traits = skills.traits.slice();
+        this.style = skills.style;
+        this.surfacePreference = skills.surfacePreference;
+        this.goingPreference = skills.goingPreference;
+    }
+    
+    // Clear race state and roll the per-race factors
+    reset() {
+        const rng = this.simulation.rng;
+        
+        this.currentSpeed = 0;
+        this.distance = 0;
+        this.currentLap = 1;
+        this.finished = false;
+        this.finishTime = null;
+        this.position = null;
+        
+        // Photo-finish details filled in when the horse crosses the line
+        this.finishSpeed = 0;       // Track units per millisecond at the line
+        this.marginLengths = null;  // Lengths behind the horse that finished just ahead
+        this.deadHeat = false;
+        this.finishSnapshot = null; // Where every horse was at the instant this one crossed
+        
+        // Sectionals - race time at the end of every lap but the last (that's the finish time)
+        this.lapTimes = [];
+        // What happened to the horse along the way ({ type, message, time })
+        this.incidents = [];
+        
+        // Lateral position - everyone starts in their own stall, lane 1 on the rail
+        this.lateral = this.lane * this.simulation.laneWidth;
+        this.targetLateral = this.lateral;
+        this.blockedBy = null;  // Horse directly in front that this one can't run through
+        this.boxedIn = false;   // Blocked with no gap either side
+        this.madeMove = false;  // Switched from its early to its late effort
+        this.whipUsed = false;  // The jockey has gone for the whip
+        
+        // How well today's surface and going suit this horse
+        this.suitability = this.simulation.getSuitability(this);
+        
+        // Enhanced catch-up mechanics
+        this.catchUpFactor = 0;
+        this.leadHandicap = 0;
+        
+        // Racing event timers - less frequent events
+        this.nextEventTime = 3000 + rng.next() * 4000; // First event occurs 3-7 seconds into race
+        this.eventDuration = 0;
+        this.currentEvent = null;
+        this.eventMultiplier = 1.0;
+        
+        // More subtle momentum system
+        this.momentum = 0; // Ranges from -0.2 to +0.2, affects speed
+        
+        // Less dramatic lap-specific factors with narrower range for tighter pack
+        this.lapFactors = [];
+        for (let i = 0; i < this.simulation.totalLaps; i++) {
+            this.lapFactors.push({
+                speedBoost: (rng.next() * 0.2) - 0.1, // Between -0.1 and +0.1 (narrower range)
+                staminaBoost: (rng.next() * 0.16) - 0.08 // Between -0.08 and +0.08 (narrower range)
+            });
+        }
+    }
+    
+    // Advance this runner by one timestep - time is milliseconds since the start
+    update(time, delta) {
+        if (this.finished) return;
+        
+        const sim = this.simulation;
+        const rng = sim.rng;
+        
+        // Debug log on first few updates for first horse only
+        if (this.lane === 0 && this.distance < 100) {
+            sim.log(`Horse ${this.name} update: speed=${this.currentSpeed.toFixed(2)}, distance=${this.distance.toFixed(2)}`);
+        }
+        
+        // Calculate which lap we're on
+        const previousLap = this.currentLap;
+        this.currentLap = Math.min(sim.totalLaps, Math.floor((this.distance + sim.startOffset) / sim.trackLength) + 1);
+        
+        // Detect lap change and log it
+        if (this.currentLap > previousLap) {
+            sim.log(`${this.name} starting lap ${this.currentLap} of ${sim.totalLaps}`);
+            sim.emit('lap', { runner: this, lap: this.currentLap, time });
+            // Add excitement - sometimes horses get a surge when starting a new lap
+            if (rng.next() < 0.3) {
+                this.momentum += rng.next() * 0.15;
+                sim.incident(this, 'surge', `${this.name} gets a surge of energy at the start of lap ${this.currentLap}!`);
+            }
+            
+            // Special final lap balancing
+            if (this.currentLap === sim.totalLaps) {
+                this.applyFinalLapBalancing();
+            }
+        }
+        
+        // Handle random race events
+        this.handleRaceEvents(time, delta);
+        
+        // Calculate catch-up factor based on position in the race
+        this.updateRacePositioningFactors();
+        
+        // Get lap-specific performance factors
+        const lapIndex = this.currentLap - 1;
+        const lapFactor = this.lapFactors[lapIndex] || { speedBoost: 0, staminaBoost: 0 };
+        
+        // Apply momentum (gradually decays)
+        if (Math.abs(this.momentum) > 0.01) {
+            this.momentum *= 0.995;
+        } else {
+            this.momentum = 0;
+        }
+        
+        // Calculate speed based on time and current lap factor
+        const raceProgress = this.distance / sim.totalRaceDistance;
+        const style = RUNNING_STYLES[this.style] || RUNNING_STYLES.stalker;
+        if (!this.madeMove && raceProgress >= style.move) {
+            this.madeMove = true;
+            sim.incident(this, 'style-move', `${this.name} ${style.moveText}!`);
+        }
+        
+        // The jockey: a skilled one judges the pace and saves energy, an aggressive one pushes on and uses it up,
+        // the whip finds a little more for the finish and a heavier rider is a little more weight to carry
+        const ride = this.getRide();
+        if (!this.whipUsed && raceProgress >= ride.whipTiming) {
+            this.whipUsed = true;
+            if (this.jockey) sim.incident(this, 'whip', `${this.jockey.name} goes for the whip on ${this.name}`);
+        }
+        const energyManagement = 1 + (ride.skill - 0.5) * 0.3 - (ride.aggression - 0.5) * 0.1;
+        const rideFactor = (1 + (ride.skill - 0.5) * 0.04 + (ride.aggression - 0.5) * 0.02 - (ride.weight - NEUTRAL_RIDE.weight) * 0.004) *
+                           (this.whipUsed ? 1.03 : 1);
+        
+        // Race-day conditions - the leader takes the wind with nobody to shelter behind
+        const conditions = sim.conditions || NEUTRAL_CONDITIONS;
+        const windFactor = sim.standings[0] === this ? 1 - conditions.leaderDrag : 1;
+        const conditionFactor = conditions.speed * this.suitability * windFactor;
+        
+        const staminaFactor = Math.max(0.7, 1 - raceProgress / ((this.stamina + lapFactor.staminaBoost) * energyManagement * conditions.stamina));
+        
+        // Reduced random factor that changes each update - less chaotic
+        const instantRandomFactor = 1 + (rng.next() - 0.5) * (this.luckFactor * 0.5 * conditions.luck);
+        const raceEventFactor = this.eventMultiplier;
+        
+        // Accelerate up to base speed, applying all factors with more consistency
+        const balance = sim.balance;
+        const targetSpeed = this.baseSpeed * this.getEffort(raceProgress) * rideFactor * conditionFactor * staminaFactor * instantRandomFactor * raceEventFactor *
+                           (1 + lapFactor.speedBoost + (this.catchUpFactor * balance.catchUpSpeed) - (this.leadHandicap * balance.leaderHandicapSpeed) + (this.momentum * 0.8));
+        
+        // More gradual speed changes for smoother racing
+        if (this.currentSpeed < targetSpeed) {
+            // Moderate acceleration for trailing horses - and a good jockey gets a horse away from the gate quicker
+            const gateBoost = raceProgress < 0.1 ? 1 + (ride.skill - 0.5) * 0.6 : 1;
+            const accelerationBoost = (1 + (this.catchUpFactor * balance.catchUpAcceleration)) * gateBoost;
+            this.currentSpeed += (this.acceleration * accelerationBoost * (delta / 1000)) * 0.8; // 80% of original acceleration
+        } else if (this.currentSpeed > targetSpeed * 1.05) {
+            // Decelerate if going too fast (momentum or events pushed speed too high)
+            this.currentSpeed -= (this.acceleration * 0.5 * (delta / 1000)) * 0.8; // 80% of original deceleration
+        }
+        
+        // Ensure minimum speed for all horses (creates a more consistent and exciting race)
+        const minRaceSpeed = 0.7 + (this.catchUpFactor * balance.catchUpMinSpeed);
+        this.currentSpeed = Math.max(minRaceSpeed, this.currentSpeed);
+        
+        // Apply all speed factors
+        const actualSpeed = this.currentSpeed * staminaFactor * instantRandomFactor * raceEventFactor;
+        
+        // Pick a path through the field - this can leave the horse stuck behind another one
+        this.updateRacingLine(delta);
+        
+        // Move horse forward - racing wide on a turn means more ground for the same progress along the rail
+        const previousDistance = this.distance;
+        let move = actualSpeed * (delta / 1000) * 80 * sim.speedScale;
+        move /= Math.max(0.5, 1 + this.lateral * sim.getCurvature(this));
+        
+        // A horse can't run through the one in front - it has to check and sit behind it
+        if (this.blockedBy) {
+            const room = Math.max(0, this.blockedBy.distance - sim.horseLength * 0.8 - this.distance);
+            if (move > room) {
+                move = room;
+                this.currentSpeed = Math.min(this.currentSpeed, this.blockedBy.currentSpeed);
+            }
+        }
+        this.distance += move;
+        
+        // Time the end of a lap to the instant the line was crossed, the same way as the finish
+        const lapLine = (this.lapTimes.length + 1) * sim.trackLength - sim.startOffset;
+        if (lapLine < sim.totalRaceDistance && this.distance >= lapLine) {
+            const fraction = (lapLine - previousDistance) / (this.distance - previousDistance);
+            this.lapTimes.push(time - delta + fraction * delta);
+        }
+        
+        // Check if horse has finished race - interpolate exactly when within this step the line was crossed
+        if (this.distance >= sim.totalRaceDistance) {
+            const fraction = (sim.totalRaceDistance - previousDistance) / (this.distance - previousDistance);
+            this.finishSpeed = (this.distance - previousDistance) / delta;
+            this.finishRace(time - delta + fraction * delta);
+        }
+    }
+    
+    // Decide where to race across the track and move towards it
+    updateRacingLine(delta) {
+        const sim = this.simulation;
+        const laneWidth = sim.laneWidth;
+        
+        // Only pick a new path once the last move across has been made
+        if (Math.abs(this.targetLateral - this.lateral) < 1e-6) {
+            this.blockedBy = sim.getRunnerAhead(this, this.lateral);
+            const inside = Math.max(0, this.lateral - laneWidth);
+            const outside = this.lateral + laneWidth;
+            const canGoInside = this.lateral > 0 && sim.isLaneClear(this, inside);
+            
+            if (this.blockedBy) {
+                // Look for a gap - inside saves ground, otherwise go round
+                if (canGoInside) {
+                    this.targetLateral = inside;
+                } else if (outside <= sim.maxLateral + 1e-6 && sim.isLaneClear(this, outside)) {
+                    this.targetLateral = outside;
+                    sim.incident(this, 'swing-out', `${this.name} swings out to get past ${this.blockedBy.name}`);
+                } else if (!this.boxedIn) {
+                    sim.incident(this, 'boxed-in', `${this.name} is boxed in behind ${this.blockedBy.name}!`);
+                }
+                this.boxedIn = this.targetLateral === this.lateral;
+            } else {
+                // Clear run - tuck in towards the rail when there's room
+                this.boxedIn = false;
+                if (canGoInside) {
+                    this.targetLateral = inside;
+                }
+            }
+        } else {
+            this.blockedBy = sim.getRunnerAhead(this, this.lateral);
+        }
+        
+        const step = sim.lateralSpeed * (delta / 1000);
+        const gap = this.targetLateral - this.lateral;
+        this.lateral = Math.abs(gap) <= step ? this.targetLateral : this.lateral + Math.sign(gap) * step;
+    }
+    
+    handleRaceEvents(time, delta) {
+        const rng = this.simulation.rng;
+        
+        // Random events that can happen during the race - reduced frequency and impact
+        if (time > this.nextEventTime) {
+            // If an event is already happening, process it
+            if (this.currentEvent) {
+                this.eventDuration -= delta;
+                
+                if (this.eventDuration <= 0) {
+                    // End the current event
+                    this.simulation.log(`${this.name}'s ${this.currentEvent} has ended`);
+                    this.simulation.emit('incident-end', { runner: this, event: this.currentEvent, time });
+                    this.currentEvent = null;
+                    this.eventMultiplier = 1.0;
+                    
+                    // Schedule next event - less frequent events
+                    this.nextEventTime = time + 8000 + rng.next() * 7000;
+                }
+            } else {
+                // Start a new random event with reduced chances and less dramatic effects
+                const eventChance = rng.next();
+                
+                if (eventChance < 0.12) {
+                    // Burst of speed
+                    this.currentEvent = "burst of speed";
+                    this.eventMultiplier = 1.15;
+                    this.eventDuration = 800 + rng.next() * 1200;
+                    this.simulation.incident(this, 'burst', `${this.name} finds a burst of speed!`, this.eventDuration);
+                } else if (eventChance < 0.16) {
+                    // Slow down
+                    this.currentEvent = "slight slowdown";
+                    this.eventMultiplier = 0.9;
+                    this.eventDuration = 800 + rng.next() * 1200;
+                    this.simulation.incident(this, 'slowdown', `${this.name} slows slightly`, this.eventDuration);
+                } else if (eventChance < 0.24) {
+                    // Subtle momentum shift - aggressive jockeys ask for a move more often
+                    if (rng.next() < 0.3 + this.getRide().aggression * 0.4) {
+                        this.momentum += 0.1 + rng.next() * 0.05;
+                        this.simulation.incident(this, 'move', `${this.name} makes a move!`);
+                    } else {
+                        this.momentum -= 0.05 + rng.next() * 0.1;
+                        this.simulation.incident(this, 'lose-momentum', `${this.name} loses a bit of momentum`);
+                    }
+                    // No event duration, just a momentum change
+                    this.nextEventTime = time + 8000 + rng.next() * 10000;
+                } else if (eventChance < 0.28) {
+                    // Comeback effort
+                    if (this.catchUpFactor > 0.2) { // Only if already behind
+                        this.currentEvent = "comeback effort";
+                        this.eventMultiplier = 1.2;
+                        this.eventDuration = 1000 + rng.next() * 1000;
+                        this.simulation.incident(this, 'comeback', `${this.name} is making a comeback effort!`, this.eventDuration);
+                    } else {
+                        // Fallback to standard event
+                        this.nextEventTime = time + 8000 + rng.next() * 10000;
+                    }
+                } else {
+                    // No event this time (72% chance)
+                    this.nextEventTime = time + 8000 + rng.next() * 10000;
+                }
+            }
+        }
+    }
+    
+    updateRacePositioningFactors() {
+        const sim = this.simulation;
+        if (!sim.running || this.finished) return;
+        
+        // Active horses sorted by distance (computed once per step by the simulation)
+        const sortedHorses = sim.standings;
+        if (sortedHorses.length <= 1) return;
+        
+        // Find horse position
+        const position = sortedHorses.indexOf(this);
+        const balance = sim.balance;
+        
+        // Catch-up mechanics for trailing horses - keep the pack together
+        if (position > 0) {
+            // Calculate how far behind this horse is (as a percentage of track length)
+            const leader = sortedHorses[0];
+            const distanceBehind = leader.distance - this.distance;
+            const percentBehind = distanceBehind / sim.trackLength;
+            
+            // Position-based component, growing with every place behind
+            const positionFactor = Math.min(balance.catchUpPlaceMax, balance.catchUpPerPlace * position);
+            
+            // Distance-based component for being far behind
+            const distanceFactor = Math.min(balance.catchUpDistanceMax, percentBehind * balance.catchUpPerLap);
+            
+            // Combined catch-up factor with a little random variation
+            const randomBoost = sim.rng.next() * balance.catchUpRandom;
+            this.catchUpFactor = positionFactor + distanceFactor + randomBoost;
+            
+            // Extra boost for last place horse
+            if (position === sortedHorses.length - 1) {
+                this.catchUpFactor += balance.lastPlaceBoost;
+            }
+            
+            // Occasional chance for recovery in the back half of the field
+            if (sim.rng.next() < balance.recoveryChance && position > sortedHorses.length / 2) {
+                this.momentum += balance.recoveryMomentum;
+                sim.incident(this, 'catch-up', `${this.name} makes a move to catch up!`);
+            }
+        } else {
+            // Leader gets a handicap to keep pack closer
+            const secondPlace = sortedHorses[1];
+            const leadDistance = this.distance - secondPlace.distance;
+            const percentAhead = leadDistance / sim.trackLength;
+            
+            // Leader handicap increases with lead percentage
+            this.leadHandicap = Math.min(balance.leaderHandicapMax, percentAhead * balance.leaderHandicapPerLap);
+            
+            // Random chance for leader to slow slightly
+            if (sim.rng.next() < balance.easePaceChance && percentAhead > balance.easePaceLead) {
+                this.momentum -= balance.easePaceMomentum;
+                sim.incident(this, 'ease-pace', `${this.name} eases the pace slightly!`);
+            }
+            
+            this.catchUpFactor = 0;
+        }
+    }
+    
+    applyFinalLapBalancing() {
+        const sim = this.simulation;
+        
+        // Final lap balancing - keeps the pack together but maintains race integrity
+        sim.log(`${this.name} entering final lap balancing`);
+        
+        const sortedHorses = sim.standings;
+        if (sortedHorses.length <= 1) return;
+        
+        // Find horse position
+        const position = sortedHorses.indexOf(this);
+        const totalHorses = sortedHorses.length;
+        const balance = sim.balance;
+        
+        if (position === 0) {
+            // Leader gets a handicap on final lap to keep pack together
+            // but not so dramatic that they lose completely
+            const secondPlace = sortedHorses[1];
+            const leadDistance = this.distance - secondPlace.distance;
+            
+            // If lead is significant, apply gentle handicap
+            if (balance.finalLapPressure > 0 && leadDistance > sim.trackLength * balance.finalLapPressureLead) {
+                this.momentum -= balance.finalLapPressure;
+                sim.incident(this, 'final-lap-pressure', `${this.name} feels the pressure of the final lap`);
+            }
+        } else {
+            // Trailing horses get a boost based on position - the further back, the more boost
+            const boostFactor = Math.min(balance.finalLapBoost + (position / totalHorses) * balance.finalLapBoostRange, balance.finalLapBoostMax);
+            if (boostFactor <= 0) return;
+            this.momentum += boostFactor;
+            
+            sim.incident(this, 'final-lap-boost', `${this.name} gets motivated for the final lap (boost: ${boostFactor.toFixed(2)})`);
+        }
+    }
+    
+    // The simulation judges the finish order once every horse has run this step
+    finishRace(time) {
+        this.finished = true;
+        this.finishTime = time;
+        this.simulation.runnerCrossedLine(this);
+        this.simulation.log(`Horse ${this.name} finished the race! (${this.simulation.totalLaps} laps)`);
+    }
+}
+
+/**
+ * RaceSimulation
+ * Owns the runners and steps the whole race with a fixed timestep
+ */
+class RaceSimulation {
+    /**
+     * @param {Object} options
+     * @param {SeededRandom} options.rng - Seeded random generator every roll comes from (required)
+     * @param {number} [options.totalLaps=4] - Laps in the race - a fraction such as 1.5 starts part way round
+     * @param {number} [options.raceDistance] - Race distance in track units instead of whole laps -
+     *     the start moves back from the finish line so the race still finishes there
+     * @param {number} [options.trackLength=1200] - Length of one lap in simulation units
+     * @param {number} [options.speedScale=0.6] - Converts horse speed into track units per second
+     * @param {number} [options.timestep=1000/60] - Fixed step size in milliseconds
+     * @param {number} [options.horseLength] - One length in track units (defaults to 1/60 of a lap)
+     * @param {number} [options.deadHeatLengths=0.01] - Finishes closer than this are a dead heat
+     * @param {number} [options.laneWidth] - Width of one horse's path in track units (defaults to 1/1000 of a lap)
+     * @param {number[]} [options.turnProfile] - How much the rail turns (radians, towards the inside) over each
+     *     equal slice of the lap from the finish line - without one the course is treated as straight
+     * @param {Object} [options.chute] - { at, length } in laps - starts in the chute run straight until `at`
+     * @param {Object} [options.balance] - Settings of a BALANCE_PROFILES entry (Classic when not given)
+     * @param {boolean} [options.verbose=true] - Log race events to the console
+     */
+    constructor(options) {
+        this.rng = options.rng;
+        this.trackLength = options.trackLength || 1200;
+        this.raceDistance = options.raceDistance || this.trackLength * (options.totalLaps || 4);
+        
+        // Laps the race is run over, counting a part lap at the start as a lap
+        this.totalLaps = Math.ceil(this.raceDistance / this.trackLength - 1e-9);
+        // How far round the first lap the start is
+        this.startOffset = this.totalLaps * this.trackLength - this.raceDistance;
+        this.speedScale = options.speedScale || 0.6;
+        this.timestep = options.timestep || 1000 / 60;
+        this.horseLength = options.horseLength || this.trackLength / 60;
+        this.deadHeatLengths = options.deadHeatLengths !== undefined ? options.deadHeatLengths : 0.01;
+        this.laneWidth = options.laneWidth || this.trackLength / 1000;
+        // Horses move across about a lane in 0.4 seconds
+        this.lateralSpeed = this.laneWidth * 2.5;
+        this.turnProfile = options.turnProfile || null;
+        this.chute = options.chute || null;
+        // Race-day conditions from RaceConditions.getRaceEffects() - set before reset() so the horses see them
+        this.conditions = options.conditions || null;
+        this.balance = options.balance || BALANCE_PROFILES[DEFAULT_BALANCE_PROFILE].settings;
+        this.verbose = options.verbose !== false;
+        
+        // Cap on steps per advance() so a long frame (e.g. background tab) can't freeze the page
+        this.maxStepsPerAdvance = 30;
+        
+        this.runners = [];
+        this.finishedRunners = [];
+        this.crossedThisStep = [];
+        this.stepStartDistances = [];
+        this.standings = [];
+        this.leader = null; // Horse in front, for lead changes
+        this.listeners = {};
+        
+        this.elapsed = 0;
+        this.accumulator = 0;
+        this.running = false;
+    }
+    
+    get totalRaceDistance() {
+        return this.raceDistance;
+    }
+    
+    // The track is wide enough for at least 12 horses abreast, or the whole field
+    get laneCount() {
+        return Math.max(12, this.runners.length);
+    }
+    
+    // Rail to outside fence in track units
+    get surfaceWidth() {
+        return this.laneCount * this.laneWidth;
+    }
+    
+    // Furthest out a horse's path can be
+    get maxLateral() {
+        return this.surfaceWidth - this.laneWidth;
+    }
+    
+    // Whether the race starts in the chute rather than on the course
+    get startsInChute() {
+        if (!this.chute) return false;
+        const start = this.startOffset / this.trackLength;
+        return start >= this.chute.at - this.chute.length && start < this.chute.at;
+    }
+    
+    // How sharply the rail turns where a runner is (radians per track unit, negative bending away)
+    getCurvature(runner) {
+        if (!this.turnProfile) return 0;
+        
+        const courseDistance = runner.distance + this.startOffset;
+        if (this.startsInChute && courseDistance < this.chute.at * this.trackLength) {
+            return 0;
+        }
+        
+        const slices = this.turnProfile.length;
+        const lapPosition = (courseDistance % this.trackLength) / this.trackLength;
+        const slice = Math.min(slices - 1, Math.floor(lapPosition * slices));
+        return this.turnProfile[slice] / (this.trackLength / slices);
+    }
+    
+    // Speed multiplier for how well the surface and going suit a runner - about 0.97 to 1.04
+    getSuitability(runner) {
+        const conditions = this.conditions || NEUTRAL_CONDITIONS;
+        const surfaceMatch = conditions.surface === null ? 1 : (runner.surfacePreference === conditions.surface ? 1.02 : 0.99);
+        const goingMatch = 1 + (0.02 - Math.abs(runner.goingPreference - conditions.softness) * 0.05) * conditions.preference;
+        return surfaceMatch * goingMatch;
+    }
+    
+    // Whether two paths are too close for horses to race side by side
+    pathsOverlap(lateralA, lateralB) {
+        return Math.abs(lateralA - lateralB) < this.laneWidth * 0.9;
+    }
+    
+    // Nearest horse less than a length in front on the same path
+    getRunnerAhead(runner, lateral) {
+        let ahead = null;
+        this.standings.forEach(other => {
+            const gap = other.distance - runner.distance;
+            if (other === runner || gap <= 0 || gap >= this.horseLength) return;
+            if (!this.pathsOverlap(other.lateral, lateral)) return;
+            if (!ahead || other.distance < ahead.distance) {
+                ahead = other;
+            }
+        });
+        return ahead;
+    }
+    
+    // Whether a runner has room to move onto a path - nobody alongside on it or heading for it
+    isLaneClear(runner, lateral) {
+        return !this.standings.some(other => other !== runner &&
+            Math.abs(other.distance - runner.distance) < this.horseLength &&
+            (this.pathsOverlap(other.lateral, lateral) || this.pathsOverlap(other.targetLateral, lateral)));
+    }
+    
+    addRunner(name, color) {
+        const runner = new Runner(this, this.runners.length, name, color);
+        this.runners.push(runner);
+        return runner;
+    }
+    
+    // Settings needed to build another simulation that races the same way
+    getConfig() {
+        return {
+            raceDistance: this.raceDistance,
+            trackLength: this.trackLength,
+            speedScale: this.speedScale,
+            timestep: this.timestep,
+            horseLength: this.horseLength,
+            deadHeatLengths: this.deadHeatLengths,
+            laneWidth: this.laneWidth,
+            turnProfile: this.turnProfile,
+            chute: this.chute,
+            conditions: this.conditions,
+            balance: this.balance
+        };
+    }
+    
+    // Clear the race - rerolls every runner's skills unless told to keep them
+    reset(rerollSkills = true) {
+        this.elapsed = 0;
+        this.accumulator = 0;
+        this.running = false;
+        this.finishedRunners = [];
+        this.crossedThisStep = [];
+        this.leader = null;
+        
+        this.runners.forEach(runner => {
+            if (rerollSkills) {
+                runner.randomizeSkills();
+            }
+            runner.reset();
+        });
+        this.standings = this.runners.slice();
+    }
+    
+    start() {
+        this.running = true;
+    }
+    
+    // Feed real frame time in - runs as many whole fixed steps as fit
+    advance(delta) {
+        if (!this.running) return;
+        
+        this.accumulator = Math.min(this.accumulator + delta, this.timestep * this.maxStepsPerAdvance);
+        while (this.running && this.accumulator >= this.timestep) {
+            this.accumulator -= this.timestep;
+            this.step();
+        }
+    }
+    
+    // Advance the whole race by exactly one timestep
+    step() {
+        if (!this.running) return;
+        
+        this.elapsed += this.timestep;
+        
+        // Sort the active field once per step for the catch-up mechanics
+        this.standings = this.runners
+            .filter(runner => !runner.finished)
+            .sort((a, b) => b.distance - a.distance);
+        
+        // A new horse in front - only while the race is still open, not as the field comes home behind the winner
+        const leader = this.standings[0];
+        if (leader && leader !== this.leader && this.finishedRunners.length === 0) {
+            const previous = this.leader;
+            this.leader = leader;
+            if (previous) {
+                this.emit('lead', { runner: leader, previous, time: this.elapsed });
+            }
+        }
+        
+        // Remember where everyone started the step so photo finishes can be interpolated
+        this.stepStartDistances = this.runners.map(runner => runner.distance);
+        
+        this.runners.forEach(runner => runner.update(this.elapsed, this.timestep));
+        
+        // Judge everyone who reached the line this step - by crossing time, not update order
+        if (this.crossedThisStep.length > 0) {
+            this.judgeFinishers();
+        }
+        
+        if (this.isComplete()) {
+            this.running = false;
+            this.log("Race completed!");
+            this.emit('complete', this.finishedRunners);
+        }
+    }
+    
+    // Run a whole race without rendering and return the finish order - every horse keeps at least
+    // its minimum race speed, so every horse gets home
+    run() {
+        this.start();
+        while (this.running) {
+            this.step();
+        }
+        return this.finishedRunners;
+    }
+    
+    isComplete() {
+        return this.finishedRunners.length >= this.runners.length;
+    }
+    
+    runnerCrossedLine(runner) {
+        this.crossedThisStep.push(runner);
+    }
+    
+    // Place this step's finishers in crossing order, measure margins and spot dead heats
+    judgeFinishers() {
+        const finishers = this.crossedThisStep.sort((a, b) => a.finishTime - b.finishTime);
+        this.crossedThisStep = [];
+        
+        finishers.forEach(runner => {
+            runner.finishSnapshot = this.snapshotAt(runner.finishTime);
+            
+            const ahead = this.finishedRunners[this.finishedRunners.length - 1];
+            if (ahead) {
+                // Distance between them at the line is the time gap at the trailing horse's speed
+                runner.marginLengths = ((runner.finishTime - ahead.finishTime) * runner.finishSpeed) / this.horseLength;
+            }
+            
+            if (ahead && runner.marginLengths < this.deadHeatLengths) {
+                // Dead heat - share the position of the horse alongside
+                runner.position = ahead.position;
+                runner.deadHeat = true;
+                ahead.deadHeat = true;
+                this.log(`Dead heat between ${ahead.name} and ${runner.name} for position ${runner.position}!`);
+            } else {
+                runner.position = this.finishedRunners.length + 1;
+            }
+            
+            this.finishedRunners.push(runner);
+            this.emit('finish', runner);
+        });
+    }
+    
+    // Where every horse was at a moment inside the current step (time in ms since the start)
+    snapshotAt(time) {
+        const fraction = (time - (this.elapsed - this.timestep)) / this.timestep;
+        return this.runners.map((runner, lane) => {
+            const start = this.stepStartDistances[lane];
+            return { lane, distance: start + (runner.distance - start) * fraction };
+        });
+    }
+    
+    /**
+     * Sectional times for one horse - for every lap it has completed, the race time at the end of
+     * it, how long the lap took and where the horse was placed crossing the line. A race that
+     * isn't a whole number of laps has a short first lap.
+     * @returns {Array<{lap, time, split, position}>} Times in ms
+     */
+    getSplits(runner) {
+        const ends = runner.finished ? runner.lapTimes.concat([runner.finishTime]) : runner.lapTimes;
+        return ends.map((time, index) => {
+            // Placed by who got to the line first - the last lap is the finish, dead heats and all
+            const position = index === runner.lapTimes.length ? runner.position :
+                1 + this.runners.filter(other => other.lapTimes[index] < time).length;
+            return {
+                lap: index + 1,
+                time,
+                split: time - (index > 0 ? ends[index - 1] : 0),
+                position
+            };
+        });
+    }
+    
+    // Racing description of a winning margin, e.g. "nose", "neck", "1¾", "dist"
+    static describeMargin(lengths, deadHeat) {
+        if (deadHeat) return 'dead heat';
+        if (lengths === null || lengths === undefined) return '';
+        if (lengths < 0.05) return 'nose';
+        if (lengths < 0.1) return 'short head';
+        if (lengths < 0.2) return 'head';
+        if (lengths < 0.3) return 'short neck';
+        if (lengths < 0.4) return 'neck';
+        if (lengths > 30) return 'dist';
+        
+        // Quarters up to 2 lengths, halves up to 5, then whole lengths
+        const step = lengths < 2 ? 0.25 : (lengths < 5 ? 0.5 : 1);
+        const rounded = Math.max(0.5, Math.round(lengths / step) * step);
+        const whole = Math.floor(rounded);
+        const fraction = { 0: '', 0.25: '¼', 0.5: '½', 0.75: '¾' }[rounded - whole];
+        return `${whole > 0 ? whole : ''}${fraction}`;
+    }
+    
+    on(type, handler) {
+        (this.listeners[type] = this.listeners[type] || []).push(handler);
+    }
+    
+    emit(type, payload) {
+        (this.listeners[type] || []).forEach(handler => handler(payload));
+    }
+    
+    /**
+     * Something worth telling the crowd about - logged, and emitted as an 'incident' for the commentary
+     * @param {Runner} runner - The horse it happened to
+     * @param {string} type - e.g. 'burst', 'comeback', 'boxed-in' (see the calls in Runner)
+     * @param {string} message - Plain description for the log
+     * @param {number} [duration] - How long it lasts (ms) - 0 for a one-off, an 'incident-end' follows otherwise
+     */
+    incident(runner, type, message, duration = 0) {
+        this.log(message);
+        runner.incidents.push({ type, message, time: this.elapsed });
+        this.emit('incident', { runner, type, message, duration, time: this.elapsed });
+    }
+    
+    log(message) {
+        if (this.verbose) {
+            console.log(message);
+        }
+    }
+}
+
+// Allow the simulation to be loaded in Node for headless runs
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RaceSimulation, Runner, RUNNING_STYLES, BALANCE_PROFILES, BALANCE_SETTINGS, DEFAULT_BALANCE_PROFILE };
+}
@@ -0,0 +1,256 @@
+/**
+ * Stable
+ * Horses that persist between races - each name is one horse with its own skills and career record,
+ * kept in localStorage so results carry over from one session to the next.
+ *
+ * Stored as JSON:
+ * {
+ *     version: 1,
+ *     horses: [{ id, name, color, owner, silks, fixedStats,
+ *                skills: { baseSpeed, stamina, acceleration, luckFactor, traits, style, surfacePreference, goingPreference },
+ *                career: { starts, wins, places, shows, bestTime, earnings, form }, sire, dam }]
+ * Horses given stats by a roster have fixedStats set and never develop. A running style picked
+ * by the player (or a roster) stays with the horse from then on. Foals bred in the stable (see
+ * js/breeding.js) have the names of their sire and dam.
+ * }
+ */
+const STABLE_STORAGE_KEY = 'jel-derby-stable';
+const STABLE_VERSION = 1;
+
+// Purse paid out every race, split down the finishing order
+const RACE_PURSE = 10000;
+const PURSE_SHARES = [0.6, 0.2, 0.1, 0.05, 0.03, 0.02];
+
+// How many recent finishing positions a horse's form line shows
+const FORM_LENGTH = 6;
+
+class Stable {
+    constructor(options = {}) {
+        // localStorage in the browser - pass null (or your own store) to keep the stable in memory
+        this.storage = options.storage !== undefined ? options.storage :
+            (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = options.storageKey || STABLE_STORAGE_KEY;
+        this.horses = [];
+        this.nextId = 1;
+        this.load();
+    }
+    
+    load() {
+        if (!this.storage) return;
+        
+        try {
+            const saved = this.storage.getItem(this.storageKey);
+            if (!saved) return;
+            
+            const data = JSON.parse(saved);
+            if (!data || data.version > STABLE_VERSION || !Array.isArray(data.horses)) {
+                console.error("Ignoring saved stable in an unknown format");
+                return;
+            }
+            this.horses = data.horses;
+            this.nextId = this.horses.reduce((max, horse) => Math.max(max, horse.id), 0) + 1;
+            console.log(`Loaded stable with ${this.horses.length} horses`);
+        } catch (error) {
+            console.error("Could not load the stable:", error);
+        }
+    }
+    
+    save() {
+        if (!this.storage) return;
+        
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({ version: STABLE_VERSION, horses: this.horses }));
+        } catch (error) {
+            // Storage full or disabled (e.g. private browsing) - the stable still works for this session
+            console.error("Could not save the stable:", error);
+        }
+    }
+    
+    // Retire every horse and start the stable again from scratch
+    clear() {
+        this.horses = [];
+        this.nextId = 1;
+        this.save();
+        console.log("Stable cleared");
+    }
+    
+    getHorse(name) {
+        return this.horses.find(horse => horse.name === name) || null;
+    }
+    
+    /**
+     * Put a runner into the stable
+     * A horse we already know races with its stored skills, a new one keeps the skills it was just rolled
+     * @param {Runner} runner - Freshly added runner
+     * @param {string} color - Hex color string, e.g. "#FF8C00"
+     * @param {Object} [details] - From a roster: owner, silks, running style and stats the horse always races with
+     * @returns {Object} The horse's stable record
+     */
+    enroll(runner, color, details = {}) {
+        let horse = this.getHorse(runner.name);
+        if (!horse) {
+            horse = {
+                id: this.nextId++,
+                name: runner.name,
+                color,
+                skills: runner.getSkills(),
+                career: { starts: 0, wins: 0, places: 0, shows: 0, bestTime: null, earnings: 0, form: [] }
+            };
+            this.horses.push(horse);
+            console.log(`${horse.name} joins the stable`);
+        }
+        
+        if (details.owner) horse.owner = details.owner;
+        if (details.silks) horse.silks = details.silks;
+        if (details.stats) {
+            const skills = Object.assign({}, horse.skills, details.stats);
+            skills.traits = runner.constructor.getTraits(skills.baseSpeed, skills.stamina, skills.acceleration);
+            horse.skills = skills;
+            horse.fixedStats = true;
+        }
+        if (details.style) {
+            horse.skills = Object.assign({}, horse.skills, { style: details.style });
+        }
+        
+        runner.setSkills(horse.skills);
+        this.save();
+        return horse;
+    }
+    
+    /**
+     * Add a foal bred from two horses in the stable - it joins without a race to its name
+     * @param {string} name - Must pass the registry rules and not be taken by a horse in the stable
+     * @param {string} color - Hex color string
+     * @param {Object} skills - From Breeding.breed(), with traits
+     * @param {string} sire - Parents' names
+     * @param {string} dam
+     * @param {string[]} [takenNames] - Other names the foal can't have, e.g. horses in the race history
+     * @returns {Object} The foal's stable record
+     * @throws {Error} If the name is missing, taken or not allowed, or the foal's stats didn't work out
+     */
+    addFoal(name, color, skills, sire, dam, takenNames = []) {
+        const foalName = name.trim();
+        if (!foalName) {
+            throw new Error('Give the foal a name');
+        }
+        const maxLength = typeof NAME_MAX_LENGTH !== 'undefined' ? NAME_MAX_LENGTH : 18;
+        if (foalName.length > maxLength || /[<>"]/.test(foalName)) {
+            throw new Error(`${foalName} must be up to ${maxLength} characters without < > or "`);
+        }
+        if (this.getHorse(foalName)) {
+            throw new Error(`There is already a horse called ${foalName} in the stable`);
+        }
+        // The registry rules live with the name packs, which aren't loaded in Node
+        if (typeof NamePacks !== 'undefined') {
+            const problem = NamePacks.checkName(foalName, this.horses.map(horse => horse.name).concat(takenNames));
+            if (problem) throw new Error(problem);
+        }
+        if (!/^#[0-9A-Fa-f]{6}$/.test(color) ||
+            ['baseSpeed', 'stamina', 'acceleration', 'luckFactor', 'goingPreference'].some(stat => !Number.isFinite(skills[stat]))) {
+            throw new Error(`${foalName}'s color and stats could not be worked out from ${sire} and ${dam}`);
+        }
+        
+        const horse = {
+            id: this.nextId++,
+            name: foalName,
+            color,
+            skills,
+            career: { starts: 0, wins: 0, places: 0, shows: 0, bestTime: null, earnings: 0, form: [] },
+            sire,
+            dam
+        };
+        this.horses.push(horse);
+        this.save();
+        console.log(`${foalName} (by ${sire} out of ${dam}) joins the stable`);
+        return horse;
+    }
+    
+    // Change how a horse runs its races from now on
+    setStyle(name, style) {
+        const horse = this.getHorse(name);
+        if (!horse) return;
+        
+        horse.skills = Object.assign({}, horse.skills, { style });
+        this.save();
+    }
+    
+    // Purse money for each finisher - horses in a dead heat split the shares of the places they cover
+    static getEarnings(finishers) {
+        return finishers.map(runner => {
+            const tied = finishers.filter(other => other.position === runner.position).length;
+            let share = 0;
+            for (let i = 0; i < tied; i++) {
+                share += PURSE_SHARES[runner.position - 1 + i] || 0;
+            }
+            return Math.round((RACE_PURSE * share) / tied);
+        });
+    }
+    
+    /**
+     * Add a finished race to every runner's career and let their skills develop a little
+     * @param {Runner[]} finishers - Runners in finishing order
+     * @param {SeededRandom} rng - Random stream for skill development
+     * @param {boolean} [develop=true] - False keeps every horse's skills as they are, so a seed
+     *     re-runs the race exactly
+     */
+    recordRace(finishers, rng, develop = true) {
+        const earnings = Stable.getEarnings(finishers);
+        
+        finishers.forEach((runner, index) => {
+            const horse = this.getHorse(runner.name);
+            if (!horse) return;
+            
+            const career = horse.career;
+            career.starts++;
+            if (runner.position === 1) career.wins++;
+            if (runner.position === 2) career.places++;
+            if (runner.position === 3) career.shows++;
+            if (career.bestTime === null || runner.finishTime < career.bestTime) {
+                career.bestTime = runner.finishTime;
+            }
+            career.earnings += earnings[index];
+            career.form = career.form.concat(runner.position).slice(-FORM_LENGTH);
+            
+            // Traits follow the developed stats, using the same thresholds as a freshly rolled horse
+            if (horse.fixedStats || !develop) return;
+            const skills = Stable.develop(horse.skills, career.starts, rng);
+            skills.traits = runner.constructor.getTraits(skills.baseSpeed, skills.stamina, skills.acceleration);
+            horse.skills = skills;
+            runner.setSkills(skills);
+        });
+        
+        this.save();
+    }
+    
+    // Horses improve over their first few starts, hold steady, then slowly go over the top
+    static develop(skills, starts, rng) {
+        const trend = starts <= 10 ? 0.004 : (starts > 25 ? -0.004 : 0);
+        const change = () => 1 + trend + rng.range(-0.005, 0.005);
+        
+        return {
+            baseSpeed: skills.baseSpeed * change(),
+            stamina: skills.stamina * change(),
+            acceleration: skills.acceleration * change(),
+            luckFactor: skills.luckFactor,
+            traits: skills.traits.slice(),
+            style: skills.style,
+            surfacePreference: skills.surfacePreference,
+            goingPreference: skills.goingPreference
+        };
+    }
+    
+    // Record summary like "12: 3-2-1" (starts: wins-places-shows)
+    static describeRecord(career) {
+        return `${career.starts}: ${career.wins}-${career.places}-${career.shows}`;
+    }
+    
+    // Recent finishes with the latest on the right, e.g. "2-4-1", and 0 for tenth or worse like a racecard
+    static describeForm(career) {
+        return career.form.map(position => position >= 10 ? 0 : position).join('-');
+    }
+}
+
+// Allow the stable to be loaded in Node for headless runs
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Stable };
+}
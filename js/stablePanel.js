@@ -0,0 +1,185 @@
+/**
+ * Stable Panel
+ * Career records for every horse in the stable, richest first, with the pedigrees of the foals bred
+ * here, the breeding pen and the jockeys' standings
+ */
+class StablePanel {
+    constructor(scene) {
+        this.scene = scene;
+        this.stable = scene.stable;
+        this.jockeyRoom = scene.jockeyRoom;
+        
+        this.container = document.querySelector('.stable-panel');
+        this.listElement = document.getElementById('stable-list');
+        this.jockeyListElement = document.getElementById('jockey-list');
+        this.sireSelect = document.getElementById('breed-sire');
+        this.damSelect = document.getElementById('breed-dam');
+        this.foalNameInput = document.getElementById('breed-name');
+        this.breedingMessage = document.getElementById('breeding-message');
+        
+        if (!this.container) {
+            console.error("Could not find stable panel elements");
+            return;
+        }
+        
+        document.getElementById('clear-stable').addEventListener('click', () => this.clearStable());
+        document.getElementById('breed-foal').addEventListener('click', () => this.breed());
+        this.sireSelect.addEventListener('change', () => this.suggestFoalName());
+        this.damSelect.addEventListener('change', () => this.suggestFoalName());
+    }
+    
+    toggle() {
+        if (!this.container) return;
+        this.container.style.display = this.container.style.display === 'flex' ? 'none' : 'flex';
+        this.render();
+    }
+    
+    clearStable() {
+        if (!confirm('Retire every horse and clear all career records, jockeys included?')) return;
+        
+        this.stable.clear();
+        this.jockeyRoom.clear();
+        
+        // The horses on the track start new careers with the skills they have now (unless they're from a replay)
+        if (!this.scene.replayFieldLoaded) {
+            this.scene.horses.forEach(horse => this.stable.enroll(horse.runner, '#' + horse.color.toString(16).padStart(6, '0')));
+        }
+        this.scene.renderEntryList();
+        this.render();
+    }
+    
+    // Breed the two horses picked into a foal for the stable - it comes out in new fields like any other horse
+    breed() {
+        const sire = this.stable.getHorse(this.sireSelect.value);
+        const dam = this.stable.getHorse(this.damSelect.value);
+        if (!sire || !dam || sire === dam) {
+            this.showBreedingMessage('Pick two different horses to breed', true);
+            return;
+        }
+        
+        try {
+            const foal = Breeding.breed(sire, dam, new SeededRandom(SeededRandom.createSeed()));
+            foal.skills.traits = Runner.getTraits(foal.skills.baseSpeed, foal.skills.stamina, foal.skills.acceleration);
+            const horse = this.stable.addFoal(this.foalNameInput.value, foal.color, foal.skills, sire.name, dam.name,
+                this.scene.raceHistory.getHorseNames());
+            this.showBreedingMessage(`${horse.name} is foaled - ${horse.skills.traits.join(', ')}`, false);
+        } catch (error) {
+            console.error("Could not breed a foal:", error);
+            this.showBreedingMessage(error.message, true);
+            return;
+        }
+        this.render();
+    }
+    
+    // A name from the parents' names - the same pair always suggests the same name until it's taken
+    suggestFoalName() {
+        const sire = this.sireSelect.value;
+        const dam = this.damSelect.value;
+        if (!sire || !dam || sire === dam) {
+            this.foalNameInput.value = '';
+            return;
+        }
+        // Empty if the parents' names are used up - the player names the foal
+        this.foalNameInput.value = Breeding.suggestName(sire, dam, new SeededRandom(`${sire}|${dam}`),
+            this.stable.horses.map(horse => horse.name).concat(this.scene.raceHistory.getHorseNames())) || '';
+    }
+    
+    showBreedingMessage(text, isError) {
+        this.breedingMessage.textContent = text;
+        this.breedingMessage.className = isError ? 'roster-message roster-error' : 'roster-message';
+    }
+    
+    // Every horse in the stable can be a sire or a dam - the picks are kept across redraws
+    renderBreedingPen() {
+        const names = this.stable.horses.map(horse => horse.name).sort();
+        const options = names.map(name => `<option value="${name}">${name}</option>`).join('');
+        const sire = this.sireSelect.value;
+        const dam = this.damSelect.value;
+        
+        this.sireSelect.innerHTML = '<option value="">Sire</option>' + options;
+        this.damSelect.innerHTML = '<option value="">Dam</option>' + options;
+        this.sireSelect.value = names.includes(sire) ? sire : '';
+        this.damSelect.value = names.includes(dam) ? dam : '';
+        this.suggestFoalName();
+    }
+    
+    // Family tree of a foal bred here, back to its grandparents
+    renderPedigree(tree) {
+        const parent = (role, horse) => {
+            if (!horse) return '';
+            const color = horse.color ? `<span class="horse-color" style="background-color: ${horse.color}"></span>` : '';
+            return `
+                <div class="pedigree-parent">
+                    <div class="pedigree-name"><span class="pedigree-role">${role}</span>${color}${horse.name}</div>
+                    ${parent('Sire', horse.sire)}
+                    ${parent('Dam', horse.dam)}
+                </div>
+            `;
+        };
+        return parent('Sire', tree.sire) + parent('Dam', tree.dam);
+    }
+    
+    render() {
+        if (!this.listElement) return;
+        
+        this.renderJockeys();
+        this.renderBreedingPen();
+        
+        const horses = this.stable.horses.slice().sort((a, b) => b.career.earnings - a.career.earnings);
+        if (horses.length === 0) {
+            this.listElement.innerHTML = '<div class="stable-empty">No horses in the stable yet</div>';
+            return;
+        }
+        
+        this.listElement.innerHTML = horses.map(horse => {
+            const career = horse.career;
+            const bestTime = career.bestTime === null ? '-' : `${(career.bestTime / 1000).toFixed(2)}s`;
+            const owner = horse.owner ? `<div class="stable-horse-owner">${horse.owner}${horse.silks ? ` - ${horse.silks}` : ''}</div>` : '';
+            const pedigree = horse.sire ? `
+                <details class="stable-pedigree">
+                    <summary>By ${horse.sire} out of ${horse.dam}</summary>
+                    ${this.renderPedigree(Breeding.getPedigree(name => this.stable.getHorse(name), horse.name))}
+                </details>
+            ` : '';
+            return `
+                <div class="stable-horse">
+                    <div class="stable-horse-name">
+                        <span class="horse-color" style="background-color: ${horse.color}"></span>${horse.name}
+                    </div>
+                    ${owner}
+                    ${pedigree}
+                    <div class="stable-horse-record">
+                        <span title="Starts: wins-places-shows">${Stable.describeRecord(career)}</span>
+                        <span title="Recent form, latest last">${Stable.describeForm(career) || '-'}</span>
+                        <span title="Best time">${bestTime}</span>
+                        <span class="stable-earnings">$${career.earnings.toLocaleString()}</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    // Jockeys' championship - wins first, then their share of the prize money
+    renderJockeys() {
+        if (!this.jockeyListElement) return;
+        
+        const standings = this.jockeyRoom.getStandings();
+        if (standings.length === 0) {
+            this.jockeyListElement.innerHTML = '<div class="stable-empty">No rides recorded yet</div>';
+            return;
+        }
+        
+        this.jockeyListElement.innerHTML = standings.map((standing, index) => {
+            const career = standing.career;
+            const strikeRate = Math.round((career.wins / career.rides) * 100);
+            return `
+                <div class="stable-jockey">
+                    <span class="stable-jockey-name">${index + 1}. ${standing.name}</span>
+                    <span title="Rides: wins-places-shows">${JockeyRoom.describeRecord(career)}</span>
+                    <span title="Wins per ride">${strikeRate}%</span>
+                    <span class="stable-earnings">$${career.earnings.toLocaleString()}</span>
+                </div>
+            `;
+        }).join('');
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * Timing Tower
+ * Broadcast-style running order down the side of the screen - every horse's place, gap to the
+ * leader and to the horse in front in lengths, lap, places gained or lost and anything it's in
+ * the middle of (a burst of speed, a comeback) - with a minimap strip of the whole field laid out
+ * along the race distance
+ */
+
+// Badges for the simulation's race events
+const TOWER_EVENT_BADGES = {
+    'burst of speed': { label: 'BURST', className: 'tower-badge-burst' },
+    'comeback effort': { label: 'COMEBACK', className: 'tower-badge-comeback' },
+    'slight slowdown': { label: 'SLOWING', className: 'tower-badge-slowdown' }
+};
+
+// Places gained or lost are measured against where the horse was this long ago (ms of race time)
+const TOWER_TREND_INTERVAL = 2000;
+
+class TimingTower {
+    constructor(scene) {
+        this.scene = scene;
+        this.enabled = true;
+        this.visible = false;
+        
+        // Positions at the last two samples, by lane, for the arrows
+        this.previousPositions = {};
+        this.sampledPositions = {};
+        this.nextSampleTime = 0;
+        
+        this.container = document.querySelector('.timing-tower');
+        this.rowsElement = document.getElementById('timing-rows');
+        this.minimap = document.querySelector('.race-minimap');
+        this.minimapTrack = document.getElementById('minimap-track');
+        
+        if (!this.container || !this.rowsElement || !this.minimap || !this.minimapTrack) {
+            console.error("Could not find timing tower elements");
+            this.container = null;
+        }
+    }
+    
+    // Show or hide it for good (the Timing button)
+    toggle() {
+        this.enabled = !this.enabled;
+        this.show(this.visible);
+    }
+    
+    show(visible) {
+        this.visible = visible;
+        if (!this.container) return;
+        
+        const display = this.enabled && visible ? 'block' : 'none';
+        this.container.style.display = display;
+        this.minimap.style.display = display;
+    }
+    
+    // Back to an empty tower for a new race
+    clear() {
+        this.previousPositions = {};
+        this.sampledPositions = {};
+        this.nextSampleTime = 0;
+        this.show(false);
+    }
+    
+    /**
+     * Redraw for this frame
+     * @param {Array<Object>} order - The field in race order from RaceScene.getRaceOrder()
+     * @param {Object} race - { time, raceLaps, startLaps, totalLaps } - race time (ms), the race
+     *     distance in laps and how far round the first lap the race starts
+     */
+    update(order, race) {
+        if (!this.container || order.length === 0) return;
+        this.show(true);
+        
+        // Scrubbing a replay backwards starts the arrows again
+        if (race.time < this.nextSampleTime - TOWER_TREND_INTERVAL) {
+            this.previousPositions = {};
+            this.sampledPositions = {};
+            this.nextSampleTime = 0;
+        }
+        
+        const rows = TimingTower.buildRows(order);
+        if (race.time >= this.nextSampleTime) {
+            this.nextSampleTime = race.time + TOWER_TREND_INTERVAL;
+            this.previousPositions = this.sampledPositions;
+            this.sampledPositions = {};
+            rows.forEach(row => {
+                this.sampledPositions[row.entry.horse.lane] = row.position;
+            });
+        }
+        
+        if (!this.enabled) return;
+        this.renderRows(rows, race);
+        this.renderMinimap(order, race);
+    }
+    
+    /**
+     * Place and gaps for every horse - finishers by their official result, the rest by ground covered
+     * @returns {Array<{entry, position, gap, interval}>} gap and interval as text, e.g. "2.4L", "+1 lap"
+     */
+    static buildRows(order) {
+        const leader = order[0];
+        return order.map((entry, index) => {
+            if (entry.finished && entry.position) {
+                return {
+                    entry,
+                    position: entry.position,
+                    gap: `${(entry.finishTime / 1000).toFixed(2)}s`,
+                    interval: index === 0 ? 'Winner' :
+                        (entry.deadHeat ? 'DH' : TimingTower.describeMargin(entry.margin))
+                };
+            }
+            
+            const ahead = order[index - 1];
+            return {
+                entry,
+                position: index + 1,
+                gap: index === 0 ? 'Leader' : TimingTower.describeGap(leader, entry),
+                interval: index === 0 ? '' : TimingTower.describeGap(ahead, entry)
+            };
+        });
+    }
+    
+    // Lengths behind - or whole laps once a horse has been lapped
+    static describeGap(ahead, behind) {
+        const laps = Math.floor(ahead.laps - behind.laps);
+        if (laps >= 1) return `+${laps} lap${laps === 1 ? '' : 's'}`;
+        return `${Math.max(0, ahead.lengths - behind.lengths).toFixed(1)}L`;
+    }
+    
+    static describeMargin(margin) {
+        return margin === null || margin === undefined ? '' : `${margin.toFixed(1)}L`;
+    }
+    
+    renderRows(rows, race) {
+        this.rowsElement.innerHTML = rows.map(row => {
+            const horse = row.entry.horse;
+            const color = '#' + horse.color.toString(16).padStart(6, '0');
+            
+            // Up or down on a couple of seconds ago
+            const before = this.previousPositions[horse.lane];
+            let trend = '<span class="tower-trend"></span>';
+            if (before !== undefined && before !== row.position) {
+                trend = before > row.position ?
+                    `<span class="tower-trend tower-up" title="Up ${before - row.position}">▲</span>` :
+                    `<span class="tower-trend tower-down" title="Down ${row.position - before}">▼</span>`;
+            }
+            
+            const badge = TOWER_EVENT_BADGES[row.entry.event];
+            const badgeHtml = badge && !row.entry.finished ?
+                `<span class="tower-badge ${badge.className}" title="${row.entry.event}">${badge.label}</span>` : '';
+            const lap = row.entry.finished ? 'FIN' : `L${row.entry.lap}/${race.totalLaps}`;
+            
+            return `
+                <div class="tower-row${row.entry.finished ? ' tower-finished' : ''}">
+                    <span class="tower-position">${row.position}</span>
+                    ${trend}
+                    <span class="horse-color" style="background-color: ${color}"></span>
+                    <span class="tower-name">${horse.name}</span>
+                    ${badgeHtml}
+                    <span class="tower-lap">${lap}</span>
+                    <span class="tower-gap" title="Behind the leader">${row.gap}</span>
+                    <span class="tower-interval" title="Behind the horse in front">${row.interval}</span>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    // Every horse as a dot along the race distance, with the lap lines marked
+    renderMinimap(order, race) {
+        let html = '';
+        for (let lap = 1; lap < race.totalLaps; lap++) {
+            const at = (lap - race.startLaps) / race.raceLaps;
+            html += `<div class="minimap-lap" style="left: ${(at * 100).toFixed(2)}%"></div>`;
+        }
+        
+        // Back markers first so the leaders are drawn on top
+        order.slice().reverse().forEach((entry, index) => {
+            const at = Math.min(1, entry.laps / race.raceLaps);
+            const color = '#' + entry.horse.color.toString(16).padStart(6, '0');
+            const leader = index === order.length - 1 ? ' minimap-leader' : '';
+            html += `<div class="minimap-horse${leader}" style="left: ${(at * 100).toFixed(2)}%; background-color: ${color}"
+                title="${entry.horse.name}"></div>`;
+        });
+        this.minimapTrack.innerHTML = html;
+    }
+}
@@ -0,0 +1,381 @@
+/**
+ * Track Geometry
+ * The shape of the course, built as a closed path along the inside rail with positions looked up
+ * by real arc length - a horse covering the same distance moves the same amount on the straights
+ * as on the turns.
+ *
+ * Distance 0 is the finish line and distances run in the direction of racing. Offsets are measured
+ * from the rail out towards the outside fence, so 0 is on the rail and `surfaceWidth` is the fence.
+ *
+ * Layouts are plain data (see TRACK_LAYOUTS):
+ *     type: 'stadium' (two straights and two semicircular turns), 'ellipse' or 'spline'
+ *     handedness: 'right' (clockwise on screen) or 'left' (anticlockwise)
+ *     finish: how far along the home straight the finish line sits (stadium only, 0 to 1)
+ *     points: spline control points, [x, y] from -1 to 1 across the track - drawn as a closed curve
+ *     chute: { length, at } - a straight spur for starts that would otherwise be on a turn, joining the
+ *            course `at` a fraction of a lap after the finish (the back straight on a stadium) and
+ *            `length` of a lap long
+ */
+const TRACK_LAYOUTS = {
+    oval: { name: 'Oval', type: 'stadium', handedness: 'right', finish: 0.75 },
+    'oval-left': { name: 'Oval (left-handed)', type: 'stadium', handedness: 'left', finish: 0.75 },
+    'oval-chute': { name: 'Oval with chute', type: 'stadium', handedness: 'right', finish: 0.75, chute: { length: 0.1 } },
+    ellipse: { name: 'Ellipse', type: 'ellipse', handedness: 'right' },
+    riverside: {
+        name: 'Riverside',
+        type: 'spline',
+        handedness: 'left',
+        points: [[0.2, 0.85], [0.8, 0.75], [1, 0.1], [0.75, -0.7], [0.1, -0.85], [-0.45, -0.55], [-0.95, -0.7], [-1, 0.2], [-0.6, 0.85]],
+        chute: { length: 0.08, at: 0.3 }
+    }
+};
+
+const DEFAULT_TRACK_LAYOUT = 'oval';
+
+// The race is run on the course laid out at this size, so the result never depends on the window
+const TRACK_RACE_WIDTH = 1600;
+const TRACK_RACE_HEIGHT = 800;
+
+// How finely curves are cut into straight pieces
+const TRACK_SAMPLES_PER_TURN = 90;
+const TRACK_SAMPLES_PER_SPLINE_SEGMENT = 40;
+
+class TrackGeometry {
+    /**
+     * @param {Object} options
+     * @param {string|Object} [options.layout='oval'] - Key of TRACK_LAYOUTS or a layout object
+     * @param {number} options.centerX - Middle of the course
+     * @param {number} options.centerY
+     * @param {number} options.width - Width of the whole course to the outside fence
+     * @param {number} options.height - Height of the whole course to the outside fence
+     * @param {number} [options.surfaceWidth] - Rail to fence, defaults to a tenth of the smaller side
+     */
+    constructor(options) {
+        const key = options.layout === undefined ? DEFAULT_TRACK_LAYOUT : options.layout;
+        this.layout = TrackGeometry.validateLayout(typeof key === 'string' ? TRACK_LAYOUTS[key] : key, key);
+        this.centerX = options.centerX;
+        this.centerY = options.centerY;
+        this.surfaceWidth = options.surfaceWidth || Math.min(options.width, options.height) / 10;
+        
+        // The rail sits one surface width inside the fence all the way round
+        const halfWidth = Math.max(1, options.width / 2 - this.surfaceWidth);
+        const halfHeight = Math.max(1, options.height / 2 - this.surfaceWidth);
+        
+        let points;
+        let chuteAt = null;
+        if (this.layout.type === 'stadium') {
+            const stadium = this.buildStadium(halfWidth, halfHeight, this.layout.finish);
+            points = stadium.points;
+            chuteAt = stadium.backStraight;
+        } else if (this.layout.type === 'ellipse') {
+            points = this.buildEllipse(halfWidth, halfHeight);
+        } else {
+            points = this.buildSpline(halfWidth, halfHeight, this.layout.points);
+        }
+        
+        // Everything is built right-handed - a left-handed course is its mirror image
+        if (this.layout.handedness === 'left') {
+            points = points.map(point => ({ x: 2 * this.centerX - point.x, y: point.y }));
+        }
+        
+        this.setPath(points);
+        
+        if (this.layout.chute) {
+            const at = this.layout.chute.at !== undefined ? this.layout.chute.at * this.length : chuteAt;
+            this.chute = this.buildChute(at, this.layout.chute.length * this.length);
+        } else {
+            this.chute = null;
+        }
+    }
+    
+    // Check a layout has what its type needs - throws an Error describing the first problem
+    static validateLayout(layout, key) {
+        const name = typeof key === 'string' ? `"${key}"` : 'Track layout';
+        if (!layout) {
+            throw new Error(`Unknown track layout ${name}`);
+        }
+        if (['stadium', 'ellipse', 'spline'].indexOf(layout.type) === -1) {
+            throw new Error(`${name} has an unknown type "${layout.type}"`);
+        }
+        if (layout.handedness && layout.handedness !== 'left' && layout.handedness !== 'right') {
+            throw new Error(`${name} must be left- or right-handed`);
+        }
+        if (layout.type === 'spline') {
+            const points = layout.points;
+            if (!Array.isArray(points) || points.length < 3) {
+                throw new Error(`${name} needs at least 3 spline points`);
+            }
+            if (!points.every(point => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite))) {
+                throw new Error(`${name} has a spline point that isn't [x, y]`);
+            }
+        }
+        if (layout.chute) {
+            const chute = layout.chute;
+            if (!(chute.length > 0 && chute.length < 0.5)) {
+                throw new Error(`${name} chute length must be between 0 and half a lap`);
+            }
+            if (chute.at !== undefined && !(chute.at > chute.length && chute.at < 1)) {
+                throw new Error(`${name} chute must join the course after its own length and within the lap`);
+            }
+            // Only a stadium has a back straight for the chute to join by default
+            if (chute.at === undefined && layout.type !== 'stadium') {
+                throw new Error(`${name} chute needs "at" (where it joins the course) unless the course is a stadium`);
+            }
+        }
+        return layout;
+    }
+    
+    // Home straight along the bottom running right to left, then round clockwise
+    buildStadium(halfWidth, halfHeight, finish) {
+        const cx = this.centerX;
+        const cy = this.centerY;
+        const radius = Math.min(halfWidth, halfHeight);
+        const halfStraight = halfWidth - radius;
+        const finishX = cx + halfStraight - (finish !== undefined ? finish : 0.75) * 2 * halfStraight;
+        
+        const points = [{ x: finishX, y: cy + radius }];
+        const turn = (turnX, fromAngle) => {
+            for (let i = 0; i <= TRACK_SAMPLES_PER_TURN; i++) {
+                const angle = fromAngle + Math.PI * (i / TRACK_SAMPLES_PER_TURN);
+                points.push({ x: turnX + radius * Math.cos(angle), y: cy + radius * Math.sin(angle) });
+            }
+        };
+        
+        turn(cx - halfStraight, Math.PI / 2);
+        const backStraight = (finishX - (cx - halfStraight)) + Math.PI * radius;
+        turn(cx + halfStraight, -Math.PI / 2);
+        
+        return { points: this.removeDuplicates(points), backStraight };
+    }
+    
+    buildEllipse(halfWidth, halfHeight) {
+        const points = [];
+        const samples = TRACK_SAMPLES_PER_TURN * 4;
+        for (let i = 0; i < samples; i++) {
+            const angle = (i / samples) * Math.PI * 2;
+            points.push({ x: this.centerX + halfWidth * Math.cos(angle), y: this.centerY + halfHeight * Math.sin(angle) });
+        }
+        return points;
+    }
+    
+    // Closed Catmull-Rom curve through the control points, stretched to fill the course
+    buildSpline(halfWidth, halfHeight, controlPoints) {
+        const count = controlPoints.length;
+        const raw = [];
+        for (let i = 0; i < count; i++) {
+            const p0 = controlPoints[(i - 1 + count) % count];
+            const p1 = controlPoints[i];
+            const p2 = controlPoints[(i + 1) % count];
+            const p3 = controlPoints[(i + 2) % count];
+            for (let step = 0; step < TRACK_SAMPLES_PER_SPLINE_SEGMENT; step++) {
+                const t = step / TRACK_SAMPLES_PER_SPLINE_SEGMENT;
+                const t2 = t * t;
+                const t3 = t2 * t;
+                const blend = axis => 0.5 * (
+                    2 * p1[axis] +
+                    (p2[axis] - p0[axis]) * t +
+                    (2 * p0[axis] - 5 * p1[axis] + 4 * p2[axis] - p3[axis]) * t2 +
+                    (3 * p1[axis] - p0[axis] - 3 * p2[axis] + p3[axis]) * t3
+                );
+                raw.push({ x: blend(0), y: blend(1) });
+            }
+        }
+        
+        // The curve overshoots its control points a little - scale it back inside the fence
+        const minX = Math.min(...raw.map(point => point.x));
+        const maxX = Math.max(...raw.map(point => point.x));
+        const minY = Math.min(...raw.map(point => point.y));
+        const maxY = Math.max(...raw.map(point => point.y));
+        let points = raw.map(point => ({
+            x: this.centerX + ((point.x - minX) / (maxX - minX) * 2 - 1) * halfWidth,
+            y: this.centerY + ((point.y - minY) / (maxY - minY) * 2 - 1) * halfHeight
+        }));
+        
+        // Make sure the curve runs clockwise like the other shapes
+        if (TrackGeometry.signedArea(points) < 0) {
+            points = [points[0]].concat(points.slice(1).reverse());
+        }
+        return points;
+    }
+    
+    // Positive for a path that runs clockwise on screen (y pointing down)
+    static signedArea(points) {
+        let area = 0;
+        points.forEach((point, index) => {
+            const next = points[(index + 1) % points.length];
+            area += point.x * next.y - next.x * point.y;
+        });
+        return area / 2;
+    }
+    
+    removeDuplicates(points) {
+        return points.filter((point, index) => {
+            const previous = points[(index - 1 + points.length) % points.length];
+            return index === 0 || Math.hypot(point.x - previous.x, point.y - previous.y) > 1e-6;
+        });
+    }
+    
+    // Measure the closed path - segment i runs from point i to point i + 1 (wrapping round)
+    setPath(points) {
+        this.points = points;
+        this.distances = [0];
+        for (let i = 0; i < points.length; i++) {
+            const next = points[(i + 1) % points.length];
+            this.distances.push(this.distances[i] + Math.hypot(next.x - points[i].x, next.y - points[i].y));
+        }
+        this.length = this.distances[points.length];
+        
+        // Which side of the direction of travel the outside fence is on
+        this.outsideSign = TrackGeometry.signedArea(points) > 0 ? 1 : -1;
+        this.handedness = this.outsideSign > 0 ? 'right' : 'left';
+    }
+    
+    // Find the segment a distance round the lap falls in
+    findSegment(lapDistance) {
+        let low = 0;
+        let high = this.points.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.distances[middle] <= lapDistance) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    }
+    
+    // Unit direction of travel and the unit vector pointing out towards the fence
+    getDirections(heading) {
+        const dx = Math.cos(heading);
+        const dy = Math.sin(heading);
+        return { dx, dy, outX: dy * this.outsideSign, outY: -dx * this.outsideSign };
+    }
+    
+    /**
+     * Where a horse is on the course
+     * @param {number} distance - Distance from the finish line, may be more than one lap
+     * @param {number} [offset=0] - Distance out from the rail
+     * @param {number} [startDistance] - Where the race started - starts in the chute zone run down the chute
+     * @returns {{x: number, y: number, rotation: number, heading: number}} rotation is the heading
+     *          plus a quarter turn, which is the angle the horse sprites are drawn for
+     */
+    getPoint(distance, offset = 0, startDistance) {
+        if (this.isInChute(distance, startDistance)) {
+            return this.getChutePoint(this.chute.at - distance, offset);
+        }
+        
+        const lapDistance = ((distance % this.length) + this.length) % this.length;
+        const index = this.findSegment(lapDistance);
+        const from = this.points[index];
+        const to = this.points[(index + 1) % this.points.length];
+        const segmentLength = this.distances[index + 1] - this.distances[index];
+        const t = segmentLength > 0 ? (lapDistance - this.distances[index]) / segmentLength : 0;
+        
+        const heading = Math.atan2(to.y - from.y, to.x - from.x);
+        const directions = this.getDirections(heading);
+        return {
+            x: from.x + (to.x - from.x) * t + directions.outX * offset,
+            y: from.y + (to.y - from.y) * t + directions.outY * offset,
+            rotation: heading + Math.PI / 2,
+            heading
+        };
+    }
+    
+    // A straight spur leading into the course at `at`, in line with the track where it joins
+    buildChute(at, length) {
+        const join = this.getPoint(at);
+        return { at, length, join };
+    }
+    
+    // Horses that started in the chute zone stay in the chute until they reach the course
+    isInChute(distance, startDistance) {
+        if (!this.chute || startDistance === undefined) return false;
+        const zoneStart = this.chute.at - this.chute.length;
+        return startDistance >= zoneStart && startDistance < this.chute.at && distance < this.chute.at;
+    }
+    
+    getChutePoint(distanceToJoin, offset) {
+        const join = this.chute.join;
+        const directions = this.getDirections(join.heading);
+        return {
+            x: join.x - directions.dx * distanceToJoin + directions.outX * offset,
+            y: join.y - directions.dy * distanceToJoin + directions.outY * offset,
+            rotation: join.rotation,
+            heading: join.heading
+        };
+    }
+    
+    // Points all the way round at a fixed offset from the rail, for drawing rails and the surface
+    getOutline(offset = 0) {
+        return this.points.map((point, index) => {
+            const previous = this.points[(index - 1 + this.points.length) % this.points.length];
+            const next = this.points[(index + 1) % this.points.length];
+            // Average the two segments either side so corners stay smooth
+            const directions = this.getDirections(Math.atan2(next.y - previous.y, next.x - previous.x));
+            return { x: point.x + directions.outX * offset, y: point.y + directions.outY * offset };
+        });
+    }
+    
+    // Corners of the chute at a pair of offsets (null when the course has no chute)
+    getChuteOutline(innerOffset, outerOffset) {
+        if (!this.chute) return null;
+        return [
+            this.getChutePoint(this.chute.length, innerOffset),
+            this.getChutePoint(0, innerOffset),
+            this.getChutePoint(0, outerOffset),
+            this.getChutePoint(this.chute.length, outerOffset)
+        ].map(point => ({ x: point.x, y: point.y }));
+    }
+    
+    /**
+     * The shape of the course as the simulation needs it - see RaceSimulation's turnProfile and chute
+     * @param {number} [slices=240] - Equal slices of the lap to measure the turns over
+     * @returns {{turnProfile: number[], chute: ?{at: number, length: number}}} Chute in laps
+     */
+    getProfile(slices = 240) {
+        const turnProfile = [];
+        let heading = this.getPoint(0).heading;
+        for (let i = 1; i <= slices; i++) {
+            const next = this.getPoint(this.length * i / slices).heading;
+            // Wrap the change into a half turn either way, counted positive when turning towards the rail
+            let turn = next - heading;
+            turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+            turnProfile.push(turn * this.outsideSign);
+            heading = next;
+        }
+        
+        const chute = this.chute ? { at: this.chute.at / this.length, length: this.chute.length / this.length } : null;
+        return { turnProfile, chute };
+    }
+    
+    // The profile for a layout at the standard race size
+    static getRaceProfile(layout) {
+        return new TrackGeometry({ layout, centerX: 0, centerY: 0, width: TRACK_RACE_WIDTH, height: TRACK_RACE_HEIGHT }).getProfile();
+    }
+    
+    // Finish line from the rail across to the fence
+    getFinishLine() {
+        const rail = this.getPoint(0, 0);
+        const fence = this.getPoint(0, this.surfaceWidth);
+        return { x1: rail.x, y1: rail.y, x2: fence.x, y2: fence.y };
+    }
+    
+    // Whether a point is on the infield, inside the rail
+    containsPoint(x, y) {
+        let inside = false;
+        for (let i = 0, j = this.points.length - 1; i < this.points.length; j = i++) {
+            const a = this.points[i];
+            const b = this.points[j];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+}
+
+// Allow the geometry to be loaded in Node for headless runs
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TrackGeometry, TRACK_LAYOUTS, DEFAULT_TRACK_LAYOUT };
+}
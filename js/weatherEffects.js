@@ -0,0 +1,89 @@
+/**
+ * Weather Effects
+ * Rain falling and wind gusting across the course, or a heat haze over it - drawn over the race
+ * on a graphics layer of its own
+ */
+const WEATHER_RAIN_DROPS = 250;
+const WEATHER_WIND_STREAKS = 40;
+
+class WeatherEffects {
+    constructor(scene) {
+        this.scene = scene;
+        this.graphics = scene.add.graphics().setDepth(1);
+        this.weather = null;
+        this.particles = [];
+        this.time = 0;
+        
+        // Only for looks - a side stream of the seed so the weather never shifts the race rolls
+        this.rng = scene.rng.fork('weather');
+    }
+    
+    // Key of RACE_WEATHER - scatters a fresh set of drops or gusts across the screen
+    setWeather(weather) {
+        if (weather === this.weather) return;
+        this.weather = weather;
+        
+        const width = this.scene.scale.width;
+        const height = this.scene.scale.height;
+        const count = weather === 'rain' ? WEATHER_RAIN_DROPS : (weather === 'wind' ? WEATHER_WIND_STREAKS : 0);
+        this.particles = [];
+        for (let i = 0; i < count; i++) {
+            this.particles.push({
+                x: this.rng.next() * width,
+                y: this.rng.next() * height,
+                speed: this.rng.range(0.8, 1.2)
+            });
+        }
+        
+        this.draw();
+    }
+    
+    update(delta) {
+        if (this.particles.length === 0 && this.weather !== 'heat') return;
+        
+        this.time += delta;
+        const seconds = delta / 1000;
+        const width = this.scene.scale.width;
+        const height = this.scene.scale.height;
+        
+        this.particles.forEach(particle => {
+            if (this.weather === 'rain') {
+                // Falling fast with a slight slant
+                particle.x += 150 * particle.speed * seconds;
+                particle.y += 700 * particle.speed * seconds;
+            } else {
+                // Gusts blow across and wander up and down
+                particle.x += 600 * particle.speed * seconds;
+                particle.y += Math.sin(this.time / 400 + particle.x / 100) * 20 * seconds;
+            }
+            
+            // Off one edge and back in at the other
+            if (particle.y > height) {
+                particle.y -= height;
+                particle.x = this.rng.next() * width;
+            }
+            if (particle.x > width) {
+                particle.x -= width;
+            }
+        });
+        
+        this.draw();
+    }
+    
+    draw() {
+        const graphics = this.graphics;
+        graphics.clear();
+        
+        if (this.weather === 'rain') {
+            graphics.lineStyle(1, 0xaed6f1, 0.6);
+            this.particles.forEach(drop => graphics.lineBetween(drop.x, drop.y, drop.x - 4, drop.y - 18));
+        } else if (this.weather === 'wind') {
+            graphics.lineStyle(2, 0xffffff, 0.25);
+            this.particles.forEach(gust => graphics.lineBetween(gust.x, gust.y, gust.x - 40 * gust.speed, gust.y));
+        } else if (this.weather === 'heat') {
+            // A faint orange haze that shimmers slowly
+            graphics.fillStyle(0xff8c00, 0.05 + 0.03 * Math.sin(this.time / 600));
+            graphics.fillRect(0, 0, this.scene.scale.width, this.scene.scale.height);
+        }
+    }
+}
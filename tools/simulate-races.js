@@ -0,0 +1,99 @@
+/**
+ * Headless Race Runner
+ * Runs many races through the simulation in Node (no browser needed) to tune balance
+ *
+ * Usage: node tools/simulate-races.js [races=1000] [horses=12] [laps=4] [seed=balance] [track=oval] [conditions=random] [profile=classic]
+ * Conditions are surface,going,weather (e.g. turf,soft,rain) - any of them can be "random", drawn fresh every race
+ * Profile is the balance profile - pure, classic or arcade
+ */
+const { SeededRandom } = require('../js/random.js');
+const { RaceSimulation, BALANCE_PROFILES, DEFAULT_BALANCE_PROFILE } = require('../js/simulation.js');
+const { TrackGeometry, DEFAULT_TRACK_LAYOUT } = require('../js/trackGeometry.js');
+const { JockeyRoom } = require('../js/jockeys.js');
+const { RaceConditions, RANDOM_CONDITION } = require('../js/conditions.js');
+
+const races = parseInt(process.argv[2], 10) || 1000;
+const numHorses = parseInt(process.argv[3], 10) || 12;
+const totalLaps = parseInt(process.argv[4], 10) || 4;
+const baseSeed = process.argv[5] || 'balance';
+const trackLayout = process.argv[6] || DEFAULT_TRACK_LAYOUT;
+const [surface, going, weather] = (process.argv[7] || RANDOM_CONDITION).split(',');
+const conditionSettings = { surface, going, weather };
+const profile = process.argv[8] || DEFAULT_BALANCE_PROFILE;
+if (!BALANCE_PROFILES[profile]) {
+    console.error(`Unknown balance profile "${profile}" - use one of ${Object.keys(BALANCE_PROFILES).join(', ')}`);
+    process.exit(1);
+}
+
+const rng = new SeededRandom(baseSeed);
+const simulation = new RaceSimulation(Object.assign({ rng, totalLaps, verbose: false, balance: BALANCE_PROFILES[profile].settings },
+    TrackGeometry.getRaceProfile(trackLayout)));
+for (let i = 0; i < numHorses; i++) {
+    simulation.addRunner(`Horse ${i + 1}`, 0);
+}
+const jockeyRoom = new JockeyRoom({ storage: null });
+
+// Wins by how the winner's base speed ranked in its field (rank 1 = fastest horse)
+const winsBySpeedRank = new Array(numHorses).fill(0);
+const winsByGate = new Array(numHorses).fill(0);
+const winsByTrait = {};
+const winsByStyle = {};
+const startsByStyle = {};
+const winsByConditions = {};
+let suitedWins = 0;
+let suitedStarts = 0;
+let totalWinningTime = 0;
+let totalSpread = 0;
+
+for (let race = 0; race < races; race++) {
+    rng.setSeed(`${baseSeed}-${race}`);
+    const conditions = RaceConditions.resolve(conditionSettings, rng.fork('conditions'));
+    simulation.conditions = RaceConditions.getRaceEffects(conditions);
+    simulation.reset();
+    jockeyRoom.assign(simulation.runners, rng.fork('jockeys'));
+    
+    const speedOrder = simulation.runners.slice().sort((a, b) => b.baseSpeed - a.baseSpeed);
+    const results = simulation.run();
+    const winner = results[0];
+    const last = results[results.length - 1];
+    
+    winsBySpeedRank[speedOrder.indexOf(winner)]++;
+    winsByGate[winner.lane]++;
+    winsByStyle[winner.style] = (winsByStyle[winner.style] || 0) + 1;
+    simulation.runners.forEach(runner => {
+        startsByStyle[runner.style] = (startsByStyle[runner.style] || 0) + 1;
+        if (runner.surfacePreference === conditions.surface) suitedStarts++;
+    });
+    if (winner.surfacePreference === conditions.surface) suitedWins++;
+    const described = RaceConditions.describe(conditions);
+    winsByConditions[described] = (winsByConditions[described] || 0) + 1;
+    winner.traits.forEach(trait => {
+        winsByTrait[trait] = (winsByTrait[trait] || 0) + 1;
+    });
+    jockeyRoom.recordRace(results, results.map(() => 0));
+    totalWinningTime += winner.finishTime;
+    totalSpread += last.finishTime - winner.finishTime;
+}
+
+const percent = count => `${((count / races) * 100).toFixed(1)}%`;
+
+console.log(`Simulated ${races} races of ${numHorses} horses over ${totalLaps} laps on the ${trackLayout} course (seed "${baseSeed}", ${BALANCE_PROFILES[profile].name} balance)`);
+console.log(`Conditions: ${Object.keys(winsByConditions).length} different, most often ${Object.keys(winsByConditions).sort((a, b) => winsByConditions[b] - winsByConditions[a])[0]}`);
+console.log(`Winners on their favourite surface: ${percent(suitedWins)} (${((suitedStarts / (races * numHorses)) * 100).toFixed(1)}% of runners)`);
+console.log(`Average winning time: ${(totalWinningTime / races / 1000).toFixed(2)}s`);
+console.log(`Average first-to-last spread: ${(totalSpread / races / 1000).toFixed(2)}s`);
+console.log('Win rate by base speed rank:');
+winsBySpeedRank.forEach((wins, rank) => console.log(`  #${rank + 1} fastest: ${percent(wins)}`));
+console.log('Win rate by starting stall (1 is on the rail):');
+winsByGate.forEach((wins, lane) => console.log(`  Stall ${lane + 1}: ${percent(wins)}`));
+console.log('Winners by running style (share of runners with the style):');
+Object.keys(startsByStyle).forEach(style => {
+    console.log(`  ${style}: ${percent(winsByStyle[style] || 0)} (${((startsByStyle[style] / (races * numHorses)) * 100).toFixed(1)}%)`);
+});
+console.log('Winners with trait:');
+Object.keys(winsByTrait).forEach(trait => console.log(`  ${trait}: ${percent(winsByTrait[trait])}`));
+console.log('Jockeys with the most wins (win rate per ride, skill):');
+jockeyRoom.getStandings().slice(0, 5).forEach(standing => {
+    const jockey = jockeyRoom.getJockey(standing.name);
+    console.log(`  ${standing.name}: ${standing.career.wins} (${((standing.career.wins / standing.career.rides) * 100).toFixed(1)}%, skill ${jockey.skill})`);
+});